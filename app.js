@@ -21,8 +21,17 @@ require('dotenv').config();
 // Import security middleware
 var security = require('./middleware/security');
 
+var checkins = require('./lib/checkins');
+var mailer = require('./lib/mailer');
+var retention = require('./lib/retention');
+var sessions = require('./lib/sessions');
+var sessionStore = require('./lib/sessionstore');
+var settings = require('./lib/settings');
+
 var indexRouter = require('./routes/index');
 var usersRouter = require('./routes/users');
+var managerRouter = require('./routes/manager');
+var adminRouter = require('./routes/admin');
 
 var app = express();
 
@@ -43,15 +52,118 @@ var dbConnectionPool = mysql.createPool({
     // Connection pool settings for stability
     connectionLimit: 10,
     waitForConnections: true,
-    queueLimit: 0
+    queueLimit: 0,
+    // Check-in timestamps are stored in UTC (see lib/timezones.js)
+    timezone: 'Z'
+});
+
+// Run every session in UTC so NOW() and TIMESTAMP columns agree with the
+// UTC check-in timestamps, whatever the database server's own time zone
+dbConnectionPool.on('connection', function(connection) {
+    connection.query("SET time_zone = '+00:00';");
 });
 
-// Make database pool available to all routes via req.pool
+/**
+ * Outgoing Email
+ *
+ * Password reset links are emailed through the transport chosen with
+ * MAIL_TRANSPORT (see lib/mailer.js). The console transport only prints
+ * messages to the log, so production needs a real one.
+ */
+var appMailer = mailer.createMailer(process.env);
+
+if (process.env.NODE_ENV === 'production' && appMailer.transport !== 'smtp') {
+    console.warn('WARNING: MAIL_TRANSPORT is "' + appMailer.transport + '". Emails will not be delivered.');
+}
+
+// Make database pool and mailer available to all routes via req.pool and req.mailer
 app.use(function(req, res, next) {
     req.pool = dbConnectionPool;
+    req.mailer = appMailer;
     next();
 });
 
+/**
+ * Automatic Check-out
+ *
+ * Periodically closes visits that have run past their venue's maximum
+ * stay, so occupancy and tracing see realistic visit lengths even when
+ * people forget to check out. The timer is unref'd so it never keeps
+ * the process alive on its own.
+ */
+var AUTO_CHECKOUT_INTERVAL_MS = 5 * 60 * 1000; // 5 minutes
+
+if (process.env.NODE_ENV !== 'test') {
+    setInterval(function() {
+        checkins.autoCheckOut(dbConnectionPool, function(err, count) {
+            if (err) {
+                console.error('Automatic check-out error:', err);
+            } else if (count > 0) {
+                console.log('Automatically checked out ' + count + ' visit(s)');
+            }
+        });
+    }, AUTO_CHECKOUT_INTERVAL_MS).unref();
+}
+
+/**
+ * Check-in Data Retention
+ *
+ * Check-ins older than CHECK_IN_RETENTION_DAYS (default 30, matching the
+ * oldest check-in the app accepts) are deleted, or anonymised if
+ * CHECK_IN_RETENTION_MODE is 'anonymise'. Rows an open tracing
+ * investigation depends on are kept. Runs at startup and then hourly.
+ * A retention period that is not a whole number of days is ignored.
+ */
+var RETENTION_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+var retentionOptions = {
+    days: settings.wholeNumber('CHECK_IN_RETENTION_DAYS', 30, 1, 3650),
+    mode: process.env.CHECK_IN_RETENTION_MODE || 'delete'
+};
+
+if (!retention.RETENTION_MODES.includes(retentionOptions.mode)) {
+    console.warn('WARNING: Unknown CHECK_IN_RETENTION_MODE "' + retentionOptions.mode + '". Using "delete".');
+    retentionOptions.mode = 'delete';
+}
+
+function runRetention() {
+    retention.purgeExpiredCheckIns(dbConnectionPool, retentionOptions, function(err, result) {
+        if (err) {
+            return console.error('Check-in retention error:', err);
+        }
+
+        var action = retentionOptions.mode === 'anonymise' ? 'Anonymised' : 'Deleted';
+        console.log('Check-in retention: ' + action + ' ' + result.checkIns + ' check-in(s) and ' +
+            result.exposures + ' exposure record(s) older than ' + retentionOptions.days + ' days');
+    });
+}
+
+if (process.env.NODE_ENV !== 'test') {
+    setTimeout(runRetention, 0).unref();
+    setInterval(runRetention, RETENTION_INTERVAL_MS).unref();
+}
+
+/**
+ * Session Storage
+ *
+ * Sessions are kept in MySQL (see lib/sessionstore.js), so logins survive
+ * a restart and several app instances can share them. Expired sessions
+ * are deleted hourly.
+ */
+var appSessionStore = new sessionStore.MySQLStore(dbConnectionPool);
+
+var SESSION_PURGE_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+if (process.env.NODE_ENV !== 'test') {
+    setInterval(function() {
+        appSessionStore.purgeExpired(function(err) {
+            if (err) {
+                console.error('Session purge error:', err);
+            }
+        });
+    }, SESSION_PURGE_INTERVAL_MS).unref();
+}
+
 // Trust proxy if behind a reverse proxy (for accurate IP addresses in rate limiting)
 if (process.env.NODE_ENV === 'production') {
     app.set('trust proxy', 1);
@@ -133,7 +245,8 @@ app.use(helmet({
  * Session Configuration
  *
  * Sessions allow us to maintain user state across multiple requests.
- * When a user logs in, their information is stored in a session.
+ * When a user logs in, their information is stored in a session, along
+ * with the IP address and browser it is used from.
  *
  * Security Considerations:
  * - secret: Used to sign the session cookie. Must be a strong, random value.
@@ -160,6 +273,7 @@ app.use(session({
     resave: false,
     saveUninitialized: false,
     name: 'sessionId', // Change from default 'connect.sid' to prevent fingerprinting
+    store: appSessionStore,
     cookie: {
         secure: process.env.NODE_ENV === 'production',
         httpOnly: true,
@@ -168,6 +282,8 @@ app.use(session({
     }
 }));
 
+app.use(sessions.recordClient);
+
 // Apply input sanitization globally
 app.use(security.sanitizeInputs);
 
@@ -180,6 +296,8 @@ app.use(express.static(path.join(__dirname, 'public')));
 // Mount route handlers
 app.use('/', indexRouter);
 app.use('/users', usersRouter);
+app.use('/manager', managerRouter);
+app.use('/admin', adminRouter);
 
 /**
  * 404 Error Handler
@@ -63,9 +63,25 @@ CREATE TABLE `check_ins` (
   `time_` time DEFAULT NULL,
   `username` varchar(50) DEFAULT NULL,
   `c_id` int NOT NULL AUTO_INCREMENT,
+  `date_out` date DEFAULT NULL,
+  `time_out` time DEFAULT NULL,
+  `auto_checked_out` tinyint(1) NOT NULL DEFAULT '0',
+  `is_delayed` tinyint(1) NOT NULL DEFAULT '0',
+  `offline_id` varchar(64) DEFAULT NULL,
+  `submitted_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  `checked_in_at` datetime NOT NULL,
+  `checked_out_at` datetime DEFAULT NULL,
+  `dependant_id` int DEFAULT NULL,
+  `is_guest` tinyint(1) NOT NULL DEFAULT '0',
+  `guest_name` varchar(100) DEFAULT NULL,
+  `guest_phone` varchar(20) DEFAULT NULL,
   PRIMARY KEY (`c_id`),
+  UNIQUE KEY `offline_id` (`username`, `offline_id`),
   INDEX `idx_username` (`username`),
-  INDEX `idx_date` (`date_`)
+  INDEX `idx_date` (`date_`),
+  INDEX `idx_checked_in_at` (`checked_in_at`),
+  INDEX `idx_dependant` (`dependant_id`),
+  INDEX `idx_check_in_code` (`check_in_code`)
 ) ENGINE=InnoDB AUTO_INCREMENT=6 DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
 /*!40101 SET character_set_client = @saved_cs_client */;
 
@@ -75,7 +91,7 @@ CREATE TABLE `check_ins` (
 
 LOCK TABLES `check_ins` WRITE;
 /*!40000 ALTER TABLE `check_ins` DISABLE KEYS */;
-INSERT INTO `check_ins` VALUES ('0Hjk98','2021-06-14','19:18:01',NULL,1),('8H8lRa','2020-05-28','13:24:31','bobrice_',2),('OA87oK','2021-06-14','19:12:58',NULL,3),('P8h73i','2021-06-14','19:03:51','bobrice_',4),('P8h73i','2021-06-14','19:28:08','bobrice_',5);
+INSERT INTO `check_ins` (`check_in_code`, `date_`, `time_`, `username`, `c_id`, `checked_in_at`) VALUES ('0Hjk98','2021-06-14','19:18:01',NULL,1,'2021-06-14 09:48:01'),('8H8lRa','2020-05-28','13:24:31','bobrice_',2,'2020-05-28 03:54:31'),('OA87oK','2021-06-14','19:12:58',NULL,3,'2021-06-14 09:42:58'),('P8h73i','2021-06-14','19:03:51','bobrice_',4,'2021-06-14 09:33:51'),('P8h73i','2021-06-14','19:28:08','bobrice_',5,'2021-06-14 09:58:08');
 /*!40000 ALTER TABLE `check_ins` ENABLE KEYS */;
 UNLOCK TABLES;
 
@@ -104,6 +120,7 @@ CREATE TABLE `manager` (
 
 LOCK TABLES `manager` WRITE;
 /*!40000 ALTER TABLE `manager` DISABLE KEYS */;
+INSERT INTO `manager` (`m_id`, `given_name`, `family_name`, `username`, `email_address`, `venue`) VALUES (2,'Jenny','Elliot','jen_e11','jennyelliot11@example.email',1);
 /*!40000 ALTER TABLE `manager` ENABLE KEYS */;
 UNLOCK TABLES;
 
@@ -122,6 +139,10 @@ CREATE TABLE `user` (
   `password` varchar(256) DEFAULT NULL,
   `email_address` varchar(128) DEFAULT NULL,
   `user_type` varchar(50) DEFAULT NULL,
+  `disabled` tinyint(1) NOT NULL DEFAULT '0',
+  `totp_secret` varchar(64) DEFAULT NULL,
+  `totp_enabled` tinyint(1) NOT NULL DEFAULT '0',
+  `totp_last_step` bigint DEFAULT NULL,
   PRIMARY KEY (`u_id`),
   UNIQUE KEY `username` (`username`)
 ) ENGINE=InnoDB AUTO_INCREMENT=12 DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
@@ -133,7 +154,7 @@ CREATE TABLE `user` (
 
 LOCK TABLES `user` WRITE;
 /*!40000 ALTER TABLE `user` DISABLE KEYS */;
-INSERT INTO `user` VALUES (1,'Bob','Brice','bobrice_','94f05f964b165b44b797df209b16e3406b01a1d83fec58949d7fcdc23565f9cb','bobrice@example.email','user'),(2,'Jenny','Elliot','jen_e11','6449d989ac8ceab604773a0a3b128fed0f8046e090d9851f454f3191af4f8e57','jennyelliot11@example.email','manager'),(3,'George','Snow','snowy123098','9ffc7b2d0405e80f9348348f61c828d7b00ba343a897c83962aecb328b6b767d','georges@example.email','admin'),(5,'Sam','Samuel','sammy0','ab4fcf61dce123efddafa2f32f94d94fade596014a1ac5a959515b58c6fbf127','example@email.email',NULL),(6,'test','test','test','9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08','test','manager'),(7,'user','user','user','04f8996da763b7a969b1028ee3007569eaf3a635486ddab211d512c85b9df8fb','user','user'),(8,'manager','manager','manager','6ee4a469cd4e91053847f5d3fcb61dbcc91e8f0ef10be7748da4c4a1ba382d17','manager','manager'),(9,'test2','test2','test2','60303ae22b998861bce3b28f33eec1be758a213c86c93c076dbe9f558c11c752','test2','manager'),(10,'lee','lee','lee','1508b697895abf03d55c3841f59236ab92c9ba6ba89795c8337fcf392fdee8b4','lee','manager');
+INSERT INTO `user` VALUES (1,'Bob','Brice','bobrice_','94f05f964b165b44b797df209b16e3406b01a1d83fec58949d7fcdc23565f9cb','bobrice@example.email','user',0,NULL,0,NULL),(2,'Jenny','Elliot','jen_e11','6449d989ac8ceab604773a0a3b128fed0f8046e090d9851f454f3191af4f8e57','jennyelliot11@example.email','manager',0,NULL,0,NULL),(3,'George','Snow','snowy123098','9ffc7b2d0405e80f9348348f61c828d7b00ba343a897c83962aecb328b6b767d','georges@example.email','admin',0,NULL,0,NULL),(5,'Sam','Samuel','sammy0','ab4fcf61dce123efddafa2f32f94d94fade596014a1ac5a959515b58c6fbf127','example@email.email',NULL,0,NULL,0,NULL),(6,'test','test','test','9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08','test','manager',0,NULL,0,NULL),(7,'user','user','user','04f8996da763b7a969b1028ee3007569eaf3a635486ddab211d512c85b9df8fb','user','user',0,NULL,0,NULL),(8,'manager','manager','manager','6ee4a469cd4e91053847f5d3fcb61dbcc91e8f0ef10be7748da4c4a1ba382d17','manager','manager',0,NULL,0,NULL),(9,'test2','test2','test2','60303ae22b998861bce3b28f33eec1be758a213c86c93c076dbe9f558c11c752','test2','manager',0,NULL,0,NULL),(10,'lee','lee','lee','1508b697895abf03d55c3841f59236ab92c9ba6ba89795c8337fcf392fdee8b4','lee','manager',0,NULL,0,NULL);
 /*!40000 ALTER TABLE `user` ENABLE KEYS */;
 UNLOCK TABLES;
 
@@ -145,7 +166,8 @@ DROP TABLE IF EXISTS `venue`;
 /*!40101 SET @saved_cs_client     = @@character_set_client */;
 /*!50503 SET character_set_client = utf8mb4 */;
 CREATE TABLE `venue` (
-  `v_id` int NOT NULL,
+  `v_id` int NOT NULL AUTO_INCREMENT,
+  `venue_name` varchar(100) DEFAULT NULL,
   `street_number` int DEFAULT NULL,
   `street_name` varchar(50) DEFAULT NULL,
   `suburb_town` varchar(128) DEFAULT NULL,
@@ -153,8 +175,15 @@ CREATE TABLE `venue` (
   `postcode` int DEFAULT NULL,
   `country` varchar(128) DEFAULT NULL,
   `check_in_code` varchar(6) DEFAULT NULL,
-  PRIMARY KEY (`v_id`)
-) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+  `max_stay_minutes` int DEFAULT NULL,
+  `floor_area` decimal(10,2) DEFAULT NULL,
+  `capacity` int DEFAULT NULL,
+  `enforce_capacity` tinyint(1) NOT NULL DEFAULT '0',
+  `active` tinyint(1) NOT NULL DEFAULT '1',
+  `timezone` varchar(64) NOT NULL DEFAULT 'Australia/Sydney',
+  PRIMARY KEY (`v_id`),
+  UNIQUE KEY `check_in_code` (`check_in_code`)
+) ENGINE=InnoDB AUTO_INCREMENT=2 DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
 /*!40101 SET character_set_client = @saved_cs_client */;
 
 --
@@ -163,7 +192,7 @@ CREATE TABLE `venue` (
 
 LOCK TABLES `venue` WRITE;
 /*!40000 ALTER TABLE `venue` DISABLE KEYS */;
-INSERT INTO `venue` VALUES (1,11,'Baking Street','Glenelg','SA',5045,'Australia','8H8lRa');
+INSERT INTO `venue` (`v_id`, `street_number`, `street_name`, `suburb_town`, `state`, `postcode`, `country`, `check_in_code`, `timezone`) VALUES (1,11,'Baking Street','Glenelg','SA',5045,'Australia','8H8lRa','Australia/Adelaide');
 /*!40000 ALTER TABLE `venue` ENABLE KEYS */;
 UNLOCK TABLES;
 /*!40103 SET TIME_ZONE=@OLD_TIME_ZONE */;
@@ -203,4 +232,269 @@ INSERT INTO `mapmarkers` VALUES (1, 144.9631000, -37.8136000, NOW());
 /*!40000 ALTER TABLE `mapmarkers` ENABLE KEYS */;
 UNLOCK TABLES;
 
+--
+-- Table structure for table `positive_reports`
+--
+
+DROP TABLE IF EXISTS `positive_reports`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `positive_reports` (
+  `report_id` int NOT NULL AUTO_INCREMENT,
+  `username` varchar(50) NOT NULL,
+  `test_date` date NOT NULL,
+  `onset_date` date DEFAULT NULL,
+  `status` varchar(20) NOT NULL DEFAULT 'pending',
+  `reported_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  `reviewed_by` varchar(50) DEFAULT NULL,
+  `reviewed_at` timestamp NULL DEFAULT NULL,
+  `exposure_count` int DEFAULT NULL,
+  `closed_by` varchar(50) DEFAULT NULL,
+  `closed_at` timestamp NULL DEFAULT NULL,
+  PRIMARY KEY (`report_id`),
+  INDEX `idx_username` (`username`),
+  INDEX `idx_status` (`status`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Table structure for table `exposures`
+--
+
+DROP TABLE IF EXISTS `exposures`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `exposures` (
+  `e_id` int NOT NULL AUTO_INCREMENT,
+  `report_id` int NOT NULL,
+  `c_id` int NOT NULL,
+  `case_c_id` int NOT NULL,
+  `username` varchar(50) DEFAULT NULL,
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`e_id`),
+  INDEX `idx_report` (`report_id`),
+  INDEX `idx_c_id` (`c_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Table structure for table `notifications`
+--
+
+DROP TABLE IF EXISTS `notifications`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `notifications` (
+  `n_id` int NOT NULL AUTO_INCREMENT,
+  `username` varchar(50) NOT NULL,
+  `message` varchar(255) NOT NULL,
+  `report_id` int DEFAULT NULL,
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  `read_at` timestamp NULL DEFAULT NULL,
+  PRIMARY KEY (`n_id`),
+  INDEX `idx_username_read` (`username`, `read_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Table structure for table `retired_codes`
+--
+
+DROP TABLE IF EXISTS `retired_codes`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `retired_codes` (
+  `check_in_code` varchar(6) NOT NULL,
+  `v_id` int NOT NULL,
+  `retired_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  `valid_until` datetime NOT NULL,
+  PRIMARY KEY (`check_in_code`),
+  INDEX `idx_venue` (`v_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Table structure for table `export_audit`
+--
+
+DROP TABLE IF EXISTS `export_audit`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `export_audit` (
+  `export_id` int NOT NULL AUTO_INCREMENT,
+  `exported_by` varchar(50) NOT NULL,
+  `user_type` varchar(50) NOT NULL,
+  `v_id` int NOT NULL,
+  `date_from` date NOT NULL,
+  `date_to` date NOT NULL,
+  `format` varchar(10) NOT NULL,
+  `row_count` int DEFAULT NULL,
+  `exported_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`export_id`),
+  INDEX `idx_venue` (`v_id`),
+  INDEX `idx_exported_by` (`exported_by`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Table structure for table `dependants`
+--
+
+DROP TABLE IF EXISTS `dependants`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `dependants` (
+  `dependant_id` int NOT NULL AUTO_INCREMENT,
+  `username` varchar(50) NOT NULL,
+  `given_name` varchar(50) NOT NULL,
+  `family_name` varchar(50) NOT NULL,
+  `phone_number` varchar(20) DEFAULT NULL,
+  `email_address` varchar(254) DEFAULT NULL,
+  `active` tinyint(1) NOT NULL DEFAULT '1',
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`dependant_id`),
+  INDEX `idx_username` (`username`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Table structure for table `manager_applications`
+--
+
+DROP TABLE IF EXISTS `manager_applications`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `manager_applications` (
+  `application_id` int NOT NULL AUTO_INCREMENT,
+  `username` varchar(50) NOT NULL,
+  `status` varchar(20) NOT NULL DEFAULT 'pending',
+  `note` varchar(500) DEFAULT NULL,
+  `applied_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  `reviewed_by` varchar(50) DEFAULT NULL,
+  `reviewed_at` timestamp NULL DEFAULT NULL,
+  `outcome_seen_at` timestamp NULL DEFAULT NULL,
+  PRIMARY KEY (`application_id`),
+  INDEX `idx_username` (`username`),
+  INDEX `idx_status` (`status`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Table structure for table `password_resets`
+--
+
+DROP TABLE IF EXISTS `password_resets`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `password_resets` (
+  `reset_id` int NOT NULL AUTO_INCREMENT,
+  `username` varchar(50) NOT NULL,
+  `token_hash` char(64) NOT NULL,
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  `expires_at` timestamp NOT NULL,
+  `used_at` timestamp NULL DEFAULT NULL,
+  PRIMARY KEY (`reset_id`),
+  UNIQUE KEY `token_hash` (`token_hash`),
+  INDEX `idx_username` (`username`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Table structure for table `recovery_codes`
+--
+
+DROP TABLE IF EXISTS `recovery_codes`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `recovery_codes` (
+  `code_id` int NOT NULL AUTO_INCREMENT,
+  `username` varchar(50) NOT NULL,
+  `code_hash` char(64) NOT NULL,
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  `used_at` timestamp NULL DEFAULT NULL,
+  PRIMARY KEY (`code_id`),
+  INDEX `idx_username` (`username`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Table structure for table `login_lockouts`
+--
+
+DROP TABLE IF EXISTS `login_lockouts`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `login_lockouts` (
+  `username` varchar(50) NOT NULL,
+  `failed_attempts` int NOT NULL DEFAULT '0',
+  `failures_since_login` int NOT NULL DEFAULT '0',
+  `lockouts` int NOT NULL DEFAULT '0',
+  `lock_minutes` int DEFAULT NULL,
+  `locked_until` timestamp NULL DEFAULT NULL,
+  `last_failed_at` timestamp NULL DEFAULT NULL,
+  `last_failed_ip` varchar(45) DEFAULT NULL,
+  PRIMARY KEY (`username`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Table structure for table `sessions`
+--
+
+DROP TABLE IF EXISTS `sessions`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `sessions` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `session_id` varchar(128) NOT NULL,
+  `username` varchar(50) DEFAULT NULL,
+  `data` mediumtext NOT NULL,
+  `expires` timestamp NOT NULL,
+  `ip_address` varchar(45) DEFAULT NULL,
+  `user_agent` varchar(255) DEFAULT NULL,
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  `last_seen_at` timestamp NULL DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `session_id` (`session_id`),
+  INDEX `idx_username` (`username`),
+  INDEX `idx_expires` (`expires`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Table structure for table `audit_log`
+--
+
+DROP TABLE IF EXISTS `audit_log`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `audit_log` (
+  `audit_id` bigint NOT NULL AUTO_INCREMENT,
+  `actor` varchar(50) NOT NULL,
+  `actor_type` varchar(50) NOT NULL,
+  `action` varchar(50) NOT NULL,
+  `target_type` varchar(50) DEFAULT NULL,
+  `target_id` varchar(50) DEFAULT NULL,
+  `details` varchar(1000) DEFAULT NULL,
+  `ip_address` varchar(45) DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`audit_id`),
+  INDEX `idx_target` (`target_type`, `target_id`, `created_at`),
+  INDEX `idx_actor` (`actor`, `created_at`),
+  INDEX `idx_action` (`action`, `created_at`),
+  INDEX `idx_created_at` (`created_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Triggers keeping `audit_log` append-only
+--
+
+DELIMITER ;;
+CREATE TRIGGER `audit_log_no_update` BEFORE UPDATE ON `audit_log` FOR EACH ROW
+  SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'audit_log is append-only' ;;
+CREATE TRIGGER `audit_log_no_delete` BEFORE DELETE ON `audit_log` FOR EACH ROW
+  SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'audit_log is append-only' ;;
+DELIMITER ;
+
 -- Dump completed on 2021-06-14 13:58:43
@@ -0,0 +1,71 @@
+/**
+ * CovidWatch - Manager Applications
+ *
+ * Signing up as a venue manager creates an ordinary user account and a
+ * pending application. The account only gets the manager role once an
+ * admin approves the application. The applicant is told the outcome,
+ * with the admin's note, the next time they log in.
+ */
+
+// Statuses an application can have
+var APPLICATION_STATUSES = ['pending', 'approved', 'rejected'];
+
+/**
+ * Record a pending application for the manager role
+ *
+ * @param {Object} connection - MySQL connection from the pool
+ * @param {string} username - The applicant
+ * @param {Function} callback - Called with (err, applicationId)
+ */
+function applyForManager(connection, username, callback) {
+    var query = 'INSERT INTO manager_applications (username) VALUES (?);';
+
+    connection.query(query, [username], function(err, result) {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, result.insertId);
+    });
+}
+
+/**
+ * Get the outcome of a user's application they have not yet been shown
+ *
+ * The outcome is marked as seen, so it is only returned once.
+ *
+ * @param {Object} connection - MySQL connection from the pool
+ * @param {string} username - The applicant
+ * @param {Function} callback - Called with (err, outcome) where outcome
+ *   is {status, note} or null if there is nothing new to show
+ */
+function takeOutcome(connection, username, callback) {
+    var query = 'SELECT application_id, status, note FROM manager_applications ' +
+        "WHERE username = ? AND status <> 'pending' AND outcome_seen_at IS NULL " +
+        'ORDER BY reviewed_at DESC, application_id DESC LIMIT 1;';
+
+    connection.query(query, [username], function(err, rows) {
+        if (err) {
+            return callback(err);
+        }
+
+        if (rows.length === 0) {
+            return callback(null, null);
+        }
+
+        var updateQuery = 'UPDATE manager_applications SET outcome_seen_at = CURRENT_TIMESTAMP ' +
+            "WHERE username = ? AND status <> 'pending' AND outcome_seen_at IS NULL;";
+
+        connection.query(updateQuery, [username], function(err) {
+            if (err) {
+                return callback(err);
+            }
+            callback(null, { status: rows[0].status, note: rows[0].note });
+        });
+    });
+}
+
+module.exports = {
+    APPLICATION_STATUSES: APPLICATION_STATUSES,
+    applyForManager: applyForManager,
+    takeOutcome: takeOutcome
+};
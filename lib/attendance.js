@@ -0,0 +1,134 @@
+/**
+ * CovidWatch - Venue Attendance
+ *
+ * Builds a venue's attendance for a day: its check-ins, how many
+ * visitors were inside during each hour, and the busiest hours.
+ *
+ * Visitors' usernames are personal information collected for contact
+ * tracing, so they are only included when ATTENDANCE_SHOW_USERNAMES is
+ * set to 'true' by the operator.
+ */
+
+var checkins = require('./checkins');
+var timezones = require('./timezones');
+var venues = require('./venues');
+
+var MINUTE_MS = 60 * 1000;
+
+/**
+ * Whether attendance reports may include visitors' usernames
+ *
+ * @returns {boolean} True if the operator has allowed it
+ */
+function usernamesVisible() {
+    return process.env.ATTENDANCE_SHOW_USERNAMES === 'true';
+}
+
+/**
+ * Count the visitors inside during each hour of the day
+ *
+ * A visit counts towards every hour it overlaps, so a two hour visit
+ * adds one visitor to each of the hours it spans. Hours are the venue's
+ * local hours, so on the day daylight saving starts the skipped hour
+ * always has no visitors.
+ *
+ * @param {string} date - The day being reported (YYYY-MM-DD)
+ * @param {string} timeZone - The venue's time zone
+ * @param {Object[]} rows - Check-in rows with checked_in_at and visit_end
+ * @returns {number[]} 24 visitor counts, indexed by hour
+ */
+function hourlyCounts(date, timeZone, rows) {
+    // The instant each local hour starts, plus the end of the day
+    var boundaries = [];
+    for (var hour = 0; hour < 24; hour++) {
+        boundaries.push(timezones.fromLocal(date, String(hour).padStart(2, '0') + ':00:00', timeZone));
+    }
+    boundaries.push(timezones.localDayRange(date, timeZone).end);
+
+    var counts = boundaries.slice(1).map(function() {
+        return 0;
+    });
+
+    rows.forEach(function(row) {
+        var start = row.checked_in_at.getTime();
+        // A visit checked out the minute it began still counts for that hour
+        var end = Math.max(row.visit_end.getTime(), start + MINUTE_MS);
+
+        for (var h = 0; h < 24; h++) {
+            var hourStart = boundaries[h].getTime();
+            var hourEnd = boundaries[h + 1].getTime();
+            if (hourStart < hourEnd && start < hourEnd && end > hourStart) {
+                counts[h]++;
+            }
+        }
+    });
+
+    return counts;
+}
+
+/**
+ * Get a venue's attendance for one day
+ *
+ * The day is a calendar day in the venue's time zone, and every time in
+ * the report is the venue's local time.
+ *
+ * @param {Object} connection - MySQL connection from the pool
+ * @param {Object} venue - The venue row
+ * @param {string|null} date - The day to report on (YYYY-MM-DD), or null
+ *   for today at the venue
+ * @param {Function} callback - Called with (err, attendance)
+ */
+function venueAttendance(connection, venue, date, callback) {
+    var day = date || timezones.toLocal(new Date(), venue.timezone).date;
+    var range = timezones.localDayRange(day, venue.timezone);
+
+    var query = 'SELECT ci.username, ci.checked_in_at, ci.checked_out_at, ci.auto_checked_out, ' +
+        checkins.visitEnd('ci', 'v') + ' AS visit_end ' +
+        'FROM check_ins ci INNER JOIN venue v ON v.v_id = ? ' +
+        'WHERE ' + venues.checkInsAtVenue('ci', 'v') + ' AND ci.checked_in_at >= ? AND ci.checked_in_at < ? ' +
+        'ORDER BY ci.checked_in_at;';
+
+    connection.query(query, [venue.v_id, range.start, range.end], function(err, rows) {
+        if (err) {
+            return callback(err);
+        }
+
+        var showUsernames = usernamesVisible();
+        var counts = hourlyCounts(day, venue.timezone, rows);
+        var peakVisitors = Math.max.apply(null, counts);
+
+        callback(null, {
+            date: day,
+            time_zone: venue.timezone,
+            total_check_ins: rows.length,
+            usernames_visible: showUsernames,
+            hourly: counts.map(function(visitors, hour) {
+                return { hour: hour, visitors: visitors };
+            }),
+            peak: {
+                visitors: peakVisitors,
+                hours: peakVisitors > 0 ? counts.reduce(function(hours, visitors, hour) {
+                    return visitors === peakVisitors ? hours.concat(hour) : hours;
+                }, []) : []
+            },
+            check_ins: rows.map(function(row) {
+                var visit = checkins.localVisit(row.checked_in_at, row.checked_out_at, venue.timezone);
+                var entry = {
+                    time: visit.time_,
+                    date_out: visit.date_out,
+                    time_out: visit.time_out,
+                    auto_checked_out: Boolean(row.auto_checked_out)
+                };
+                if (showUsernames) {
+                    entry.username = row.username;
+                }
+                return entry;
+            })
+        });
+    });
+}
+
+module.exports = {
+    usernamesVisible: usernamesVisible,
+    venueAttendance: venueAttendance
+};
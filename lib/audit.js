@@ -0,0 +1,171 @@
+/**
+ * CovidWatch - Audit Log
+ *
+ * Privileged actions and views of other people's data are recorded in
+ * audit_log: who did it (and their role), what they did, whose data or
+ * which record it was done to, the IP address it came from and when.
+ *
+ * An action that touches several people is recorded once per person,
+ * with the person's username as the target, so the log can answer
+ * "who has seen this person's check-ins" by searching on one target.
+ *
+ * The table is append-only: triggers refuse any UPDATE or DELETE, and
+ * nothing in the app (including the retention job) removes entries.
+ */
+
+// Actions that are recorded, for filtering the log
+var ACTIONS = [
+    'audit.search',
+    'lockout.list',
+    'manager_application.approve',
+    'manager_application.list',
+    'manager_application.reject',
+    'marker.add',
+    'orphaned_check_in.list',
+    'positive_report.close',
+    'positive_report.confirm',
+    'positive_report.list',
+    'positive_report.reject',
+    'trace.run',
+    'user.disable',
+    'user.enable',
+    'user.role_change',
+    'user.search',
+    'user.unlock',
+    'user.view',
+    'venue.attendance',
+    'venue.export'
+];
+
+// Kinds of record an entry can be about
+var TARGET_TYPES = ['manager_application', 'marker', 'positive_report', 'user', 'venue'];
+
+// Entries listed per page of a search
+var PAGE_SIZE = 50;
+
+// Longest details text kept for an entry
+var MAX_DETAILS_LENGTH = 1000;
+
+/**
+ * Build audit entries for an action taken by the logged-in user
+ *
+ * @param {Object} req - Express request, with a logged-in session
+ * @param {string} action - One of ACTIONS
+ * @param {Object|Object[]} targets - What the action was done to: one or
+ *   more objects with a type, an id and optional details text. A target
+ *   without a type records the action on its own.
+ * @returns {Array[]} Rows for record()
+ */
+function entriesFor(req, action, targets) {
+    var user = req.session.user;
+
+    return [].concat(targets).map(function(target) {
+        var details = target.details ? String(target.details).slice(0, MAX_DETAILS_LENGTH) : null;
+
+        return [
+            user.username,
+            user.user_type,
+            action,
+            target.type || null,
+            target.type ? String(target.id) : null,
+            details,
+            req.ip || null
+        ];
+    });
+}
+
+/**
+ * Add entries to the audit log
+ *
+ * @param {Object} db - MySQL pool or connection
+ * @param {Array[]} entries - Rows from entriesFor()
+ * @param {Function} callback - Called with (err)
+ */
+function record(db, entries, callback) {
+    if (entries.length === 0) {
+        return callback(null);
+    }
+
+    var query = 'INSERT INTO audit_log (actor, actor_type, action, target_type, target_id, details, ip_address) ' +
+        'VALUES ?;';
+
+    db.query(query, [entries], function(err) {
+        callback(err || null);
+    });
+}
+
+/**
+ * Search the audit log, most recent entries first
+ *
+ * @param {Object} connection - MySQL connection from the pool
+ * @param {Object} filters
+ * @param {string} [filters.actor] - Username that took the action
+ * @param {string} [filters.action] - One of ACTIONS
+ * @param {string} [filters.target_type] - One of TARGET_TYPES
+ * @param {string} [filters.target] - Target id (a username for users)
+ * @param {string} [filters.from] - First day (YYYY-MM-DD, UTC)
+ * @param {string} [filters.to] - Last day (YYYY-MM-DD, UTC), inclusive
+ * @param {number} page - Page number, from 1
+ * @param {Function} callback - Called with (err, result), result having
+ *   entries, total, page and page_size
+ */
+function search(connection, filters, page, callback) {
+    var conditions = [];
+    var values = [];
+
+    ['actor', 'action', 'target_type'].forEach(function(field) {
+        if (filters[field]) {
+            conditions.push(field + ' = ?');
+            values.push(filters[field]);
+        }
+    });
+
+    if (filters.target) {
+        conditions.push('target_id = ?');
+        values.push(filters.target);
+    }
+
+    if (filters.from) {
+        conditions.push('created_at >= ?');
+        values.push(filters.from);
+    }
+
+    if (filters.to) {
+        conditions.push('created_at < ? + INTERVAL 1 DAY');
+        values.push(filters.to);
+    }
+
+    var where = conditions.length > 0 ? ' WHERE ' + conditions.join(' AND ') : '';
+    var countQuery = 'SELECT COUNT(*) AS total FROM audit_log' + where + ';';
+
+    connection.query(countQuery, values, function(err, counts) {
+        if (err) {
+            return callback(err);
+        }
+
+        var query = 'SELECT audit_id, actor, actor_type, action, target_type, target_id, details, ip_address, ' +
+            "DATE_FORMAT(created_at, '%Y-%m-%d %H:%i:%s') AS created_at FROM audit_log" + where +
+            ' ORDER BY audit_id DESC LIMIT ? OFFSET ?;';
+
+        connection.query(query, values.concat([PAGE_SIZE, (page - 1) * PAGE_SIZE]), function(err, rows) {
+            if (err) {
+                return callback(err);
+            }
+
+            callback(null, {
+                entries: rows,
+                total: counts[0].total,
+                page: page,
+                page_size: PAGE_SIZE
+            });
+        });
+    });
+}
+
+module.exports = {
+    ACTIONS: ACTIONS,
+    TARGET_TYPES: TARGET_TYPES,
+    entriesFor: entriesFor,
+    record: record,
+    search: search
+};
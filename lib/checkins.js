@@ -0,0 +1,124 @@
+/**
+ * CovidWatch - Check-in Visit Intervals
+ *
+ * A check-in row records when a visit started and, once the visitor
+ * checks out, when it ended. Visits that are never closed are ended
+ * automatically after the venue's maximum stay.
+ *
+ * The SQL helpers here are the single place that decides how a visit's
+ * start and end are worked out, so history, tracing and occupancy all
+ * agree on the same interval.
+ *
+ * Visits are timed by checked_in_at and checked_out_at, which the server
+ * stamps in UTC. The date and time the visitor's phone reported are kept
+ * in date_/time_ and date_out/time_out for reference only.
+ */
+
+var timezones = require('./timezones');
+
+// Maximum stay used when a venue has not set its own, in minutes
+var DEFAULT_MAX_STAY_MINUTES = 180;
+
+/**
+ * SQL expression for the start of a visit
+ *
+ * @param {string} alias - Table alias of the check_ins row
+ * @returns {string} SQL DATETIME expression (UTC)
+ */
+function visitStart(alias) {
+    return alias + '.checked_in_at';
+}
+
+/**
+ * SQL expression for the venue's maximum stay in minutes
+ *
+ * @param {string} venueAlias - Table alias of the joined venue row (may be NULL)
+ * @returns {string} SQL integer expression
+ */
+function maxStay(venueAlias) {
+    return 'COALESCE(' + venueAlias + '.max_stay_minutes, ' + DEFAULT_MAX_STAY_MINUTES + ')';
+}
+
+/**
+ * SQL expression for the end of a visit
+ *
+ * Uses the recorded check-out when there is one, otherwise assumes the
+ * visitor stayed for the venue's maximum stay.
+ *
+ * @param {string} alias - Table alias of the check_ins row
+ * @param {string} venueAlias - Table alias of the joined venue row (may be NULL)
+ * @returns {string} SQL DATETIME expression (UTC)
+ */
+function visitEnd(alias, venueAlias) {
+    return 'COALESCE(' + alias + '.checked_out_at, ' +
+        visitStart(alias) + ' + INTERVAL ' + maxStay(venueAlias) + ' MINUTE)';
+}
+
+/**
+ * SQL condition matching check-ins made at a venue
+ *
+ * Matches the venue's current code and every code it has rotated away
+ * from, so a venue's history is not split when its code changes.
+ *
+ * @param {string} alias - Table alias of the check_ins row
+ * @param {string} venueAlias - Table alias of the venue row
+ * @returns {string} SQL boolean expression
+ */
+function checkInsAtVenue(alias, venueAlias) {
+    return '(' + alias + '.check_in_code = ' + venueAlias + '.check_in_code OR ' + alias + '.check_in_code IN ' +
+        '(SELECT r.check_in_code FROM retired_codes r WHERE r.v_id = ' + venueAlias + '.v_id))';
+}
+
+/**
+ * Format a visit's UTC timestamps in the venue's local time
+ *
+ * @param {Date} checkedInAt - checked_in_at of the check-in
+ * @param {Date|null} checkedOutAt - checked_out_at, null while still open
+ * @param {string} timeZone - The venue's time zone
+ * @returns {Object} date_, time_, date_out and time_out (null while open)
+ */
+function localVisit(checkedInAt, checkedOutAt, timeZone) {
+    var start = timezones.toLocal(checkedInAt, timeZone);
+    var end = timezones.toLocal(checkedOutAt, timeZone);
+
+    return {
+        date_: start.date,
+        time_: start.time,
+        date_out: end ? end.date : null,
+        time_out: end ? end.time : null
+    };
+}
+
+/**
+ * Check out every visit that has run past its venue's maximum stay
+ *
+ * The check-out time is set to the end of the maximum stay, not the time
+ * the job ran, so a visit's recorded length never exceeds the limit.
+ *
+ * @param {Object} pool - MySQL connection pool
+ * @param {Function} callback - Called with (err, count)
+ */
+function autoCheckOut(pool, callback) {
+    var end = visitStart('ci') + ' + INTERVAL ' + maxStay('v') + ' MINUTE';
+
+    // Visits under a venue's retired codes still get the venue's own maximum stay
+    var query = 'UPDATE check_ins ci LEFT JOIN venue v ON ' + checkInsAtVenue('ci', 'v') + ' ' +
+        'SET ci.checked_out_at = ' + end + ', ci.auto_checked_out = 1 ' +
+        'WHERE ci.checked_out_at IS NULL AND ' + end + ' <= UTC_TIMESTAMP();';
+
+    pool.query(query, function(err, result) {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, result.affectedRows);
+    });
+}
+
+module.exports = {
+    DEFAULT_MAX_STAY_MINUTES: DEFAULT_MAX_STAY_MINUTES,
+    visitStart: visitStart,
+    visitEnd: visitEnd,
+    checkInsAtVenue: checkInsAtVenue,
+    localVisit: localVisit,
+    autoCheckOut: autoCheckOut
+};
@@ -0,0 +1,53 @@
+/**
+ * CovidWatch - Dependants
+ *
+ * A user can register dependants (children, or clients they care for)
+ * who do not have accounts of their own, and check them in alongside
+ * themselves. Each dependant's visit is stored as its own check-in row,
+ * under the user's username with check_ins.dependant_id set, so it can be
+ * traced separately. The user is the contact for their dependants.
+ *
+ * Removing a dependant only deactivates it, so check-ins already made
+ * under it still name the person for contact tracing.
+ */
+
+/**
+ * List a user's active dependants
+ *
+ * @param {Object} connection - MySQL connection from the pool
+ * @param {string} username - The user the dependants belong to
+ * @param {Function} callback - Called with (err, dependants)
+ */
+function listDependants(connection, username, callback) {
+    var query = 'SELECT dependant_id, given_name, family_name, phone_number, email_address ' +
+        'FROM dependants WHERE username = ? AND active = 1 ORDER BY given_name, family_name;';
+
+    connection.query(query, [username], callback);
+}
+
+/**
+ * Find some of a user's active dependants by id
+ *
+ * Ids that do not belong to the user, or whose dependant was removed,
+ * are left out of the result.
+ *
+ * @param {Object} connection - MySQL connection from the pool
+ * @param {string} username - The user the dependants belong to
+ * @param {number[]} ids - dependant_id values to look up
+ * @param {Function} callback - Called with (err, dependants)
+ */
+function findDependants(connection, username, ids, callback) {
+    if (ids.length === 0) {
+        return callback(null, []);
+    }
+
+    var query = 'SELECT dependant_id, given_name, family_name FROM dependants ' +
+        'WHERE username = ? AND active = 1 AND dependant_id IN (?);';
+
+    connection.query(query, [username, ids], callback);
+}
+
+module.exports = {
+    listDependants: listDependants,
+    findDependants: findDependants
+};
@@ -0,0 +1,350 @@
+/**
+ * CovidWatch - Attendance Exports
+ *
+ * Streams a venue's check-ins for a date range as a CSV file or an XLSX
+ * workbook, in the fixed column layout health authorities ask for.
+ * Rows are streamed from MySQL straight into the response, so large
+ * exports never have to be held in memory.
+ *
+ * A dependant's row carries their own name, with the username of the
+ * user who checked them in. Their email address falls back to that
+ * user's, so there is always someone to contact. Guests give a single
+ * name, which goes in Given Name, and their phone number.
+ *
+ * The date range is in the venue's time zone, and dates and times are
+ * given in the venue's local time, with the UTC timestamps alongside.
+ *
+ * Every export is recorded in export_audit and the audit log (see
+ * lib/audit.js) before any data is sent.
+ */
+
+var stream = require('stream');
+var ExcelJS = require('exceljs');
+
+var auditLog = require('./audit');
+var checkins = require('./checkins');
+var timezones = require('./timezones');
+var venues = require('./venues');
+
+// Fixed export layout: the column order and headings never change
+var COLUMNS = [
+    { key: 'c_id', header: 'Check-in ID' },
+    { key: 'venue_name', header: 'Venue Name' },
+    { key: 'street_number', header: 'Street Number' },
+    { key: 'street_name', header: 'Street Name' },
+    { key: 'suburb_town', header: 'Suburb/Town' },
+    { key: 'state', header: 'State' },
+    { key: 'postcode', header: 'Postcode' },
+    { key: 'check_in_code', header: 'Check-in Code' },
+    { key: 'date_', header: 'Date In' },
+    { key: 'time_', header: 'Time In' },
+    { key: 'date_out', header: 'Date Out' },
+    { key: 'time_out', header: 'Time Out' },
+    { key: 'time_zone', header: 'Time Zone' },
+    { key: 'checked_in_utc', header: 'Checked In (UTC)' },
+    { key: 'checked_out_utc', header: 'Checked Out (UTC)' },
+    { key: 'auto_checked_out', header: 'Automatic Check-out' },
+    { key: 'username', header: 'Username' },
+    { key: 'given_name', header: 'Given Name' },
+    { key: 'family_name', header: 'Family Name' },
+    { key: 'email_address', header: 'Email Address' },
+    { key: 'phone_number', header: 'Phone Number' },
+    { key: 'dependant', header: 'Dependant' },
+    { key: 'is_guest', header: 'Guest' }
+];
+
+// Columns identifying the visitor, left blank when the exporter may not
+// see who visited
+var VISITOR_COLUMNS = ['username', 'given_name', 'family_name', 'email_address', 'phone_number', 'dependant', 'is_guest'];
+
+var CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+/**
+ * Record an export in the audit trail
+ *
+ * @param {Object} connection - MySQL connection from the pool
+ * @param {Object} details
+ * @param {Object} details.user - Session user making the export
+ * @param {Object} details.venue - The venue row being exported
+ * @param {string} details.from - Start of the date range (YYYY-MM-DD)
+ * @param {string} details.to - End of the date range (YYYY-MM-DD)
+ * @param {string} details.format - 'csv' or 'xlsx'
+ * @param {Function} callback - Called with (err, exportId)
+ */
+function recordExport(connection, details, callback) {
+    var query = 'INSERT INTO export_audit (exported_by, user_type, v_id, date_from, date_to, format) ' +
+        'VALUES (?, ?, ?, ?, ?, ?);';
+    var params = [
+        details.user.username,
+        details.user.user_type,
+        details.venue.v_id,
+        details.from,
+        details.to,
+        details.format
+    ];
+
+    connection.query(query, params, function(err, result) {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, result.insertId);
+    });
+}
+
+/**
+ * Store how many rows an audited export contained once it has finished
+ *
+ * @param {Object} connection - MySQL connection from the pool
+ * @param {number} exportId - The export_audit row
+ * @param {number} rowCount - Rows written to the file
+ * @param {Function} callback - Called with (err)
+ */
+function completeExport(connection, exportId, rowCount, callback) {
+    var query = 'UPDATE export_audit SET row_count = ? WHERE export_id = ?;';
+
+    connection.query(query, [rowCount, exportId], function(err) {
+        callback(err || null);
+    });
+}
+
+/**
+ * Quote a value for CSV
+ *
+ * Values that a spreadsheet would run as a formula are prefixed with an
+ * apostrophe, so an export can't be used for formula injection.
+ *
+ * @param {*} value - Cell value
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    var text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = "'" + text;
+    }
+    if (/[",\r\n]/.test(text)) {
+        text = '"' + text.replace(/"/g, '""') + '"';
+    }
+    return text;
+}
+
+/**
+ * Put a check-in row into export column order
+ *
+ * @param {Object} row - Row from the export query
+ * @param {boolean} includeVisitors - Whether visitor columns are filled in
+ * @returns {Array} Cell values
+ */
+function exportValues(row, includeVisitors) {
+    var visit = checkins.localVisit(row.checked_in_at, row.checked_out_at, row.time_zone);
+
+    return COLUMNS.map(function(column) {
+        if (!includeVisitors && VISITOR_COLUMNS.includes(column.key)) {
+            return null;
+        }
+        if (column.key === 'auto_checked_out') {
+            return row.auto_checked_out ? 'Yes' : 'No';
+        }
+        if (column.key === 'dependant') {
+            return row.dependant_id ? 'Yes' : 'No';
+        }
+        if (column.key === 'is_guest') {
+            return row.is_guest ? 'Yes' : 'No';
+        }
+        if (column.key in visit) {
+            return visit[column.key];
+        }
+        return row[column.key];
+    });
+}
+
+/**
+ * Stream a venue's check-ins for a date range into an HTTP response
+ *
+ * Sets the download headers and writes the whole file. The connection
+ * stays busy until the callback runs; the caller releases it.
+ *
+ * @param {Object} connection - MySQL connection from the pool
+ * @param {Object} venue - The venue row
+ * @param {Object} options
+ * @param {string} options.from - Start of the date range (YYYY-MM-DD, venue local)
+ * @param {string} options.to - End of the date range (YYYY-MM-DD, venue local)
+ * @param {string} options.format - 'csv' or 'xlsx'
+ * @param {boolean} options.includeVisitors - Whether to fill in visitor columns
+ * @param {Object} res - Express response
+ * @param {Function} callback - Called with (err, rowCount, visitors) once
+ *   the file is sent, visitors being the usernames whose check-ins were
+ *   included (empty when visitor columns are left blank)
+ */
+function streamAttendance(connection, venue, options, res, callback) {
+    var query = 'SELECT ci.c_id, v.venue_name, v.street_number, v.street_name, v.suburb_town, v.state, v.postcode, ' +
+        'ci.check_in_code, ci.checked_in_at, ci.checked_out_at, v.timezone AS time_zone, ' +
+        "DATE_FORMAT(ci.checked_in_at, '%Y-%m-%d %H:%i:%s') AS checked_in_utc, " +
+        "DATE_FORMAT(ci.checked_out_at, '%Y-%m-%d %H:%i:%s') AS checked_out_utc, " +
+        'ci.auto_checked_out, ci.username, ci.dependant_id, ci.is_guest, ' +
+        'COALESCE(d.given_name, u.given_name, ci.guest_name) AS given_name, ' +
+        'COALESCE(d.family_name, u.family_name) AS family_name, ' +
+        'COALESCE(d.email_address, u.email_address) AS email_address, ' +
+        'COALESCE(d.phone_number, ci.guest_phone) AS phone_number ' +
+        'FROM check_ins ci INNER JOIN venue v ON v.v_id = ? ' +
+        'LEFT JOIN user u ON u.username = ci.username ' +
+        'LEFT JOIN dependants d ON d.dependant_id = ci.dependant_id ' +
+        'WHERE ' + venues.checkInsAtVenue('ci', 'v') + ' AND ci.checked_in_at >= ? AND ci.checked_in_at < ? ' +
+        'ORDER BY ci.checked_in_at;';
+
+    var start = timezones.localDayRange(options.from, venue.timezone).start;
+    var end = timezones.localDayRange(options.to, venue.timezone).end;
+    var rows = connection.query(query, [venue.v_id, start, end]).stream();
+    var rowCount = 0;
+    var visitors = {};
+    var finished = false;
+
+    function done(err) {
+        if (finished) return;
+        finished = true;
+        callback(err || null, rowCount, Object.keys(visitors));
+    }
+
+    // Count a row and note whose check-in it is
+    function exportRow(row) {
+        rowCount++;
+        if (options.includeVisitors && row.username) {
+            visitors[row.username] = true;
+        }
+        return exportValues(row, options.includeVisitors);
+    }
+
+    res.set('Content-Type', CONTENT_TYPES[options.format]);
+    res.set('Cache-Control', 'no-store');
+    res.attachment('attendance-' + venue.v_id + '-' + options.from + '-to-' + options.to + '.' + options.format);
+
+    if (options.format === 'csv') {
+        var toCsv = new stream.Transform({
+            writableObjectMode: true,
+            transform: function(row, encoding, next) {
+                next(null, exportRow(row).map(csvField).join(',') + '\r\n');
+            }
+        });
+
+        toCsv.push(COLUMNS.map(function(column) {
+            return csvField(column.header);
+        }).join(',') + '\r\n');
+
+        return stream.pipeline(rows, toCsv, res, done);
+    }
+
+    var workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+    var sheet = workbook.addWorksheet('Attendance');
+
+    sheet.columns = COLUMNS.map(function(column) {
+        return { key: column.key, header: column.header, width: 18 };
+    });
+
+    rows.on('data', function(row) {
+        sheet.addRow(exportRow(row)).commit();
+
+        // Stop reading rows until a slow client catches up. ExcelJS 4
+        // builds the zip in memory and writes it on commit, so this only
+        // holds back rows once its output reaches the response; CSV is
+        // the format that streams end to end.
+        if (res.writableNeedDrain && !rows.isPaused()) {
+            rows.pause();
+            res.once('drain', function() {
+                rows.resume();
+            });
+        }
+    });
+
+    // The client went away before the file was finished
+    res.on('close', function() {
+        if (!res.writableFinished) {
+            rows.destroy();
+            done(new Error('Export response closed before it was finished'));
+        }
+    });
+
+    rows.on('error', function(err) {
+        res.destroy(err);
+        done(err);
+    });
+
+    rows.on('end', function() {
+        sheet.commit();
+        workbook.commit().then(function() {
+            done(null);
+        }, done);
+    });
+}
+
+/**
+ * Audit and stream an attendance export
+ *
+ * The export is recorded in export_audit and the audit log before any
+ * data is sent, so an export that fails part way through is still in the
+ * audit trail. Once the file is sent, the audit log also gets an entry
+ * for each visitor whose check-ins it contained.
+ *
+ * @param {Object} connection - MySQL connection from the pool
+ * @param {Object} req - Express request from the logged-in exporter
+ * @param {Object} venue - The venue row
+ * @param {Object} options - As for streamAttendance
+ * @param {Object} res - Express response
+ * @param {Function} callback - Called with (err, rowCount)
+ */
+function auditedExport(connection, req, venue, options, res, callback) {
+    var details = {
+        user: req.session.user,
+        venue: venue,
+        from: options.from,
+        to: options.to,
+        format: options.format
+    };
+    var description = 'Venue ' + venue.v_id + ', ' + options.from + ' to ' + options.to + ' (' + options.format + ')';
+
+    recordExport(connection, details, function(err, exportId) {
+        if (err) {
+            return callback(err);
+        }
+
+        var venueEntry = auditLog.entriesFor(req, 'venue.export', {
+            type: 'venue',
+            id: venue.v_id,
+            details: description
+        });
+
+        auditLog.record(connection, venueEntry, function(err) {
+            if (err) {
+                return callback(err);
+            }
+
+            streamAttendance(connection, venue, options, res, function(streamErr, rowCount, visitors) {
+                var visitorEntries = auditLog.entriesFor(req, 'venue.export', visitors.map(function(username) {
+                    return { type: 'user', id: username, details: description };
+                }));
+
+                // Record the visitors even if the file was cut short, as
+                // some of it may have been sent
+                auditLog.record(connection, visitorEntries, function(err) {
+                    if (streamErr || err) {
+                        return callback(streamErr || err, rowCount);
+                    }
+
+                    completeExport(connection, exportId, rowCount, function(err) {
+                        callback(err, rowCount);
+                    });
+                });
+            });
+        });
+    });
+}
+
+module.exports = {
+    COLUMNS: COLUMNS,
+    auditedExport: auditedExport
+};
@@ -0,0 +1,197 @@
+/**
+ * CovidWatch - Account Lockouts
+ *
+ * Failed logins are counted per account, so guessing one account's
+ * password from many IP addresses is slowed down as well as guessing
+ * from one (which authLimiter already limits). After MAX_FAILED_ATTEMPTS
+ * wrong passwords or codes in a row the account is locked for
+ * BASE_LOCK_MINUTES, doubling with each lockout after that, up to
+ * MAX_LOCK_MINUTES. Logging in successfully, resetting the password, or
+ * an admin clearing the lockout starts the count again.
+ *
+ * The owner is told about each lockout by email and in their
+ * notification inbox, and after logging in is told how many failed
+ * attempts there were since their last login.
+ */
+
+// Failed attempts in a row that lock an account
+var MAX_FAILED_ATTEMPTS = 5;
+
+// Length of the first lockout, and the most any lockout can last
+var BASE_LOCK_MINUTES = 15;
+var MAX_LOCK_MINUTES = 24 * 60;
+
+/**
+ * Check whether an account is locked
+ *
+ * @param {Object} connection - MySQL connection from the pool
+ * @param {string} username - The account
+ * @param {Function} callback - Called with (err, locked)
+ */
+function isLocked(connection, username, callback) {
+    var query = 'SELECT 1 FROM login_lockouts WHERE username = ? AND locked_until > UTC_TIMESTAMP();';
+
+    connection.query(query, [username], function(err, rows) {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, rows.length > 0);
+    });
+}
+
+/**
+ * Record a failed login, locking the account if it has had too many
+ *
+ * The count and the lock are both updated by single statements, so
+ * failures arriving at the same time can't skip or double a lockout.
+ *
+ * @param {Object} connection - MySQL connection from the pool
+ * @param {string} username - The account
+ * @param {string} ip - Address the attempt came from
+ * @param {Function} callback - Called with (err, lockout), where lockout
+ *   is null, or has the minutes and locked_until of a lockout this
+ *   failure started
+ */
+function recordFailure(connection, username, ip, callback) {
+    var countQuery = 'INSERT INTO login_lockouts (username, failed_attempts, failures_since_login, last_failed_at, last_failed_ip) ' +
+        'VALUES (?, 1, 1, UTC_TIMESTAMP(), ?) ' +
+        'ON DUPLICATE KEY UPDATE failed_attempts = failed_attempts + 1, failures_since_login = failures_since_login + 1, ' +
+        'last_failed_at = UTC_TIMESTAMP(), last_failed_ip = VALUES(last_failed_ip);';
+
+    connection.query(countQuery, [username, ip], function(err) {
+        if (err) {
+            return callback(err);
+        }
+
+        // Assignments run left to right, so the lock length uses the
+        // lockout count from before this lockout
+        var lockQuery = 'UPDATE login_lockouts SET ' +
+            'locked_until = UTC_TIMESTAMP() + INTERVAL LEAST(? * POW(2, LEAST(lockouts, 10)), ?) MINUTE, ' +
+            'lock_minutes = LEAST(? * POW(2, LEAST(lockouts, 10)), ?), lockouts = lockouts + 1, failed_attempts = 0 ' +
+            'WHERE username = ? AND failed_attempts >= ?;';
+
+        connection.query(lockQuery, [BASE_LOCK_MINUTES, MAX_LOCK_MINUTES, BASE_LOCK_MINUTES, MAX_LOCK_MINUTES,
+            username, MAX_FAILED_ATTEMPTS], function(err, result) {
+            if (err) {
+                return callback(err);
+            }
+
+            if (result.affectedRows === 0) {
+                return callback(null, null);
+            }
+
+            var query = 'SELECT lock_minutes AS minutes, locked_until FROM login_lockouts WHERE username = ?;';
+
+            connection.query(query, [username], function(err, rows) {
+                if (err) {
+                    return callback(err);
+                }
+                callback(null, rows[0] || null);
+            });
+        });
+    });
+}
+
+/**
+ * Record a successful login, starting the count again
+ *
+ * @param {Object} connection - MySQL connection from the pool
+ * @param {string} username - The account
+ * @param {Function} callback - Called with (err, failures), the number
+ *   of failed attempts since the account's last login
+ */
+function recordSuccess(connection, username, callback) {
+    var query = 'SELECT failures_since_login FROM login_lockouts WHERE username = ?;';
+
+    connection.query(query, [username], function(err, rows) {
+        if (err) {
+            return callback(err);
+        }
+
+        if (rows.length === 0) {
+            return callback(null, 0);
+        }
+
+        var deleteQuery = 'DELETE FROM login_lockouts WHERE username = ?;';
+
+        connection.query(deleteQuery, [username], function(err) {
+            if (err) {
+                return callback(err);
+            }
+            callback(null, rows[0].failures_since_login);
+        });
+    });
+}
+
+/**
+ * Unlock an account and start its count again, keeping the number of
+ * failures since the last login so the owner is still told about them
+ *
+ * @param {Object} connection - MySQL connection from the pool
+ * @param {string} username - The account
+ * @param {Function} callback - Called with (err, cleared), false if the
+ *   account had no failed attempts recorded
+ */
+function clearLockout(connection, username, callback) {
+    var query = 'UPDATE login_lockouts SET failed_attempts = 0, lockouts = 0, locked_until = NULL, lock_minutes = NULL ' +
+        'WHERE username = ?;';
+
+    connection.query(query, [username], function(err, result) {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, result.affectedRows > 0);
+    });
+}
+
+/**
+ * Tell an account's owner it has been locked, by email and in their
+ * notification inbox
+ *
+ * The callback runs once the notification is saved, so the connection
+ * can be released without waiting for the email, whose errors are only
+ * logged.
+ *
+ * @param {Object} connection - MySQL connection from the pool
+ * @param {Object} mailer - Mailer from lib/mailer.js
+ * @param {Object} user - username, given_name and email_address
+ * @param {Object} lockout - minutes, from recordFailure
+ * @param {Function} callback - Called with (err)
+ */
+function notifyLockout(connection, mailer, user, lockout, callback) {
+    var message = 'Your account was locked for ' + lockout.minutes + ' minutes after ' +
+        MAX_FAILED_ATTEMPTS + ' failed login attempts. If these were not you, change your password.';
+
+    var query = 'INSERT INTO notifications (username, message) VALUES (?, ?);';
+
+    connection.query(query, [user.username, message], function(err) {
+        callback(err || null);
+
+        if (!user.email_address) {
+            return;
+        }
+
+        mailer.send({
+            to: user.email_address,
+            subject: 'Your CovidWatch account has been locked',
+            text: 'Hi ' + (user.given_name || user.username) + ',\n\n' +
+                'There were ' + MAX_FAILED_ATTEMPTS + ' failed attempts in a row to log in to your CovidWatch ' +
+                'account (' + user.username + '), so it has been locked for ' + lockout.minutes + ' minutes.\n\n' +
+                'If these were not you, someone may be trying to guess your password. You can unlock your ' +
+                'account now by resetting your password from the login page.\n'
+        }, function(err) {
+            if (err) {
+                console.error('Lockout email error:', err);
+            }
+        });
+    });
+}
+
+module.exports = {
+    MAX_FAILED_ATTEMPTS: MAX_FAILED_ATTEMPTS,
+    isLocked: isLocked,
+    recordFailure: recordFailure,
+    recordSuccess: recordSuccess,
+    clearLockout: clearLockout,
+    notifyLockout: notifyLockout
+};
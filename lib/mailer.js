@@ -0,0 +1,138 @@
+/**
+ * CovidWatch - Outgoing Email
+ *
+ * Email is sent through a transport chosen with MAIL_TRANSPORT:
+ * - smtp: delivered through an SMTP server (SMTP_HOST, SMTP_PORT, ...)
+ * - file: written to MAIL_DIR as .eml files, for local development
+ * - console: printed to the server log, for local development (default)
+ *
+ * A transport is any object with a send(message, callback) method, so
+ * others (such as an email API) can be added to TRANSPORTS.
+ */
+
+var fs = require('fs');
+var path = require('path');
+
+/**
+ * Format a message as the text of an .eml file
+ *
+ * @param {Object} message - from, to, subject and text
+ * @returns {string} The message with its headers
+ */
+function formatMessage(message) {
+    return 'From: ' + message.from + '\r\n' +
+        'To: ' + message.to + '\r\n' +
+        'Subject: ' + message.subject + '\r\n' +
+        'Date: ' + new Date().toUTCString() + '\r\n' +
+        'Content-Type: text/plain; charset=utf-8\r\n' +
+        '\r\n' +
+        message.text;
+}
+
+/**
+ * Create a transport that delivers through an SMTP server
+ *
+ * nodemailer is only loaded when this transport is used.
+ *
+ * @param {Object} env - Environment variables
+ * @returns {Object} Transport
+ */
+function smtpTransport(env) {
+    var nodemailer = require('nodemailer');
+    var auth = env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined;
+    var transporter = nodemailer.createTransport({
+        host: env.SMTP_HOST || 'localhost',
+        port: parseInt(env.SMTP_PORT, 10) || 587,
+        secure: env.SMTP_SECURE === 'true',
+        auth: auth
+    });
+
+    return {
+        send: function(message, callback) {
+            transporter.sendMail(message, function(err) {
+                callback(err || null);
+            });
+        }
+    };
+}
+
+/**
+ * Create a transport that writes each message to a file
+ *
+ * @param {Object} env - Environment variables
+ * @returns {Object} Transport
+ */
+function fileTransport(env) {
+    var dir = env.MAIL_DIR || path.join(__dirname, '..', 'mail');
+
+    return {
+        send: function(message, callback) {
+            fs.mkdir(dir, { recursive: true }, function(err) {
+                if (err) {
+                    return callback(err);
+                }
+
+                var name = new Date().toISOString().replace(/[:.]/g, '-') + '-' +
+                    Math.random().toString(36).slice(2, 8) + '.eml';
+                fs.writeFile(path.join(dir, name), formatMessage(message), callback);
+            });
+        }
+    };
+}
+
+/**
+ * Create a transport that prints each message to the server log
+ *
+ * @returns {Object} Transport
+ */
+function consoleTransport() {
+    return {
+        send: function(message, callback) {
+            console.log('--- Email (console transport) ---\n' + formatMessage(message) + '\n---');
+            callback(null);
+        }
+    };
+}
+
+// Transports MAIL_TRANSPORT can choose, by name
+var TRANSPORTS = {
+    smtp: smtpTransport,
+    file: fileTransport,
+    console: consoleTransport
+};
+
+/**
+ * Create a mailer from environment variables
+ *
+ * @param {Object} env - Environment variables (usually process.env)
+ * @returns {Object} Mailer with a send({to, subject, text}, callback)
+ *   method and the name of its transport
+ */
+function createMailer(env) {
+    var name = env.MAIL_TRANSPORT || 'console';
+
+    if (!TRANSPORTS[name]) {
+        console.warn('WARNING: Unknown MAIL_TRANSPORT "' + name + '". Using "console".');
+        name = 'console';
+    }
+
+    var transport = TRANSPORTS[name](env);
+    var from = env.MAIL_FROM || 'CovidWatch <no-reply@localhost>';
+
+    return {
+        transport: name,
+        send: function(message, callback) {
+            transport.send({
+                from: from,
+                to: message.to,
+                subject: message.subject,
+                text: message.text
+            }, callback);
+        }
+    };
+}
+
+module.exports = {
+    TRANSPORTS: TRANSPORTS,
+    createMailer: createMailer
+};
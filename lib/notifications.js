@@ -0,0 +1,65 @@
+/**
+ * CovidWatch - In-app Notifications
+ *
+ * Writes messages into a user's notification inbox. Messages are read
+ * back through GET /users/notifications.
+ */
+
+/**
+ * Notify every user exposed to a confirmed case
+ *
+ * Sends one message per exposed person, venue and day, so several
+ * overlapping visits on the same day do not flood the inbox. Messages
+ * about a dependant go to the user who checked them in.
+ *
+ * @param {Object} connection - MySQL connection from the pool
+ * @param {number} reportId - The confirmed report the exposures came from
+ * @param {Object[]} exposures - Result of tracing.findExposures
+ * @param {Function} callback - Called with (err, count)
+ */
+function notifyExposures(connection, reportId, exposures, callback) {
+    var values = [];
+
+    exposures.forEach(function(exposure) {
+        var seen = {};
+
+        // Guests have no inbox; contact tracers phone them instead
+        if (exposure.guest) {
+            return;
+        }
+
+        exposure.contacts.forEach(function(contact) {
+            var key = contact.check_in_code + '|' + contact.date + '|' + (contact.dependant_id || '');
+            if (seen[key]) {
+                return;
+            }
+            seen[key] = true;
+
+            var who = contact.dependant_name ? 'Your dependant ' + contact.dependant_name + ' was' : 'You were';
+
+            values.push([
+                exposure.username,
+                who + ' at venue ' + contact.check_in_code +
+                    ' at the same time as a confirmed case on ' + contact.date,
+                reportId
+            ]);
+        });
+    });
+
+    if (values.length === 0) {
+        return callback(null, 0);
+    }
+
+    var query = 'INSERT INTO notifications (username, message, report_id) VALUES ?;';
+
+    connection.query(query, [values], function(err) {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, values.length);
+    });
+}
+
+module.exports = {
+    notifyExposures: notifyExposures
+};
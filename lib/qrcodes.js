@@ -0,0 +1,80 @@
+/**
+ * CovidWatch - QR Codes
+ *
+ * Renders a venue's check-in code as a QR code for its door poster.
+ * The QR code holds a deep link to GET /checkin/:code rather than the
+ * bare code, so scanning it with a phone camera opens the check-in page.
+ *
+ * Also renders the otpauth:// URLs scanned when setting up two-factor
+ * authentication.
+ */
+
+var QRCode = require('qrcode');
+
+// Formats a QR code can be rendered in, with their content types
+var CONTENT_TYPES = {
+    svg: 'image/svg+xml',
+    png: 'image/png'
+};
+
+// Rendering options shared by both formats. Medium error correction
+// keeps the code readable through scuffs and glare on a printed poster.
+var RENDER_OPTIONS = {
+    errorCorrectionLevel: 'M',
+    margin: 2,
+    width: 512
+};
+
+/**
+ * Build the deep link a venue's QR code points to
+ *
+ * Uses PUBLIC_URL when it is set, so links are correct behind a reverse
+ * proxy; otherwise falls back to the host the request was made to.
+ *
+ * @param {Object} req - Express request
+ * @param {string} code - The venue's check-in code
+ * @returns {string} Absolute check-in URL
+ */
+function checkInUrl(req, code) {
+    var base = process.env.PUBLIC_URL || (req.protocol + '://' + req.get('host'));
+    return base.replace(/\/+$/, '') + '/checkin/' + encodeURIComponent(code);
+}
+
+/**
+ * Render a URL as a QR code image
+ *
+ * @param {string} url - The text to encode
+ * @param {string} format - 'svg' or 'png'
+ * @param {Function} callback - Called with (err, image), a string for SVG
+ *   and a Buffer for PNG
+ */
+function render(url, format, callback) {
+    if (format === 'svg') {
+        var svgOptions = Object.assign({ type: 'svg' }, RENDER_OPTIONS);
+        return QRCode.toString(url, svgOptions, callback);
+    }
+
+    QRCode.toBuffer(url, Object.assign({ type: 'png' }, RENDER_OPTIONS), callback);
+}
+
+/**
+ * Render text as a PNG QR code in a data: URL, for use as an image source
+ *
+ * @param {string} text - The text to encode
+ * @param {Function} callback - Called with (err, dataUrl)
+ */
+function dataUrl(text, callback) {
+    render(text, 'png', function(err, image) {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, 'data:' + CONTENT_TYPES.png + ';base64,' + image.toString('base64'));
+    });
+}
+
+module.exports = {
+    CONTENT_TYPES: CONTENT_TYPES,
+    checkInUrl: checkInUrl,
+    render: render,
+    dataUrl: dataUrl
+};
@@ -0,0 +1,123 @@
+/**
+ * CovidWatch - Password Resets
+ *
+ * A user who has forgotten their password asks for a reset link by
+ * email. The link carries a random one-time token; only its SHA-256
+ * hash is stored, so the password_resets table can't be used to reset
+ * anyone's password. A token works once, until it expires, and asking
+ * for a new link cancels any earlier ones.
+ */
+
+var crypto = require('crypto');
+
+// Minutes a reset link stays valid
+var RESET_TOKEN_MINUTES = 60;
+
+/**
+ * Hash a reset token for storage and lookup
+ *
+ * @param {string} token - The token from the reset link
+ * @returns {string} Hex SHA-256 hash
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Build the link a reset email points to
+ *
+ * Uses PUBLIC_URL when it is set. The request's Host header is only
+ * trusted outside production, as anyone can set it and a reset link
+ * must not point at another site.
+ *
+ * @param {Object} req - Express request
+ * @param {string} token - The reset token
+ * @returns {string|null} Absolute reset URL, or null if PUBLIC_URL is
+ *   needed but not set
+ */
+function resetUrl(req, token) {
+    var base = process.env.PUBLIC_URL;
+
+    if (!base) {
+        if (process.env.NODE_ENV === 'production') {
+            return null;
+        }
+        base = req.protocol + '://' + req.get('host');
+    }
+
+    return base.replace(/\/+$/, '') + '/reset_password.html?token=' + encodeURIComponent(token);
+}
+
+/**
+ * Issue a new reset token for a user, cancelling their earlier ones
+ *
+ * @param {Object} connection - MySQL connection from the pool
+ * @param {string} username - The user resetting their password
+ * @param {Function} callback - Called with (err, token)
+ */
+function createReset(connection, username, callback) {
+    var token = crypto.randomBytes(32).toString('hex');
+
+    var cancelQuery = 'UPDATE password_resets SET used_at = UTC_TIMESTAMP() ' +
+        'WHERE username = ? AND used_at IS NULL;';
+
+    connection.query(cancelQuery, [username], function(err) {
+        if (err) {
+            return callback(err);
+        }
+
+        var insertQuery = 'INSERT INTO password_resets (username, token_hash, expires_at) ' +
+            'VALUES (?, ?, UTC_TIMESTAMP() + INTERVAL ? MINUTE);';
+
+        connection.query(insertQuery, [username, hashToken(token), RESET_TOKEN_MINUTES], function(err) {
+            if (err) {
+                return callback(err);
+            }
+            callback(null, token);
+        });
+    });
+}
+
+/**
+ * Use up a reset token
+ *
+ * Marking the token used and checking it is valid happen in one UPDATE,
+ * so two requests can't both use the same token.
+ *
+ * @param {Object} connection - MySQL connection from the pool
+ * @param {string} token - The token from the reset link
+ * @param {Function} callback - Called with (err, username), where
+ *   username is null if the token is unknown, used or expired
+ */
+function consumeReset(connection, token, callback) {
+    var tokenHash = hashToken(token);
+
+    var updateQuery = 'UPDATE password_resets SET used_at = UTC_TIMESTAMP() ' +
+        'WHERE token_hash = ? AND used_at IS NULL AND expires_at > UTC_TIMESTAMP();';
+
+    connection.query(updateQuery, [tokenHash], function(err, result) {
+        if (err) {
+            return callback(err);
+        }
+
+        if (result.affectedRows === 0) {
+            return callback(null, null);
+        }
+
+        var query = 'SELECT username FROM password_resets WHERE token_hash = ?;';
+
+        connection.query(query, [tokenHash], function(err, rows) {
+            if (err) {
+                return callback(err);
+            }
+            callback(null, rows.length > 0 ? rows[0].username : null);
+        });
+    });
+}
+
+module.exports = {
+    RESET_TOKEN_MINUTES: RESET_TOKEN_MINUTES,
+    resetUrl: resetUrl,
+    createReset: createReset,
+    consumeReset: consumeReset
+};
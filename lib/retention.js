@@ -0,0 +1,114 @@
+/**
+ * CovidWatch - Check-in Data Retention
+ *
+ * Check-ins are only collected for contact tracing, so they are removed
+ * once they are older than the retention period. Expired rows are either
+ * deleted or anonymised (the visitor's username, dependant, or guest
+ * name and phone number are cleared but the visit is kept for venue
+ * attendance counts).
+ *
+ * Rows still needed by an open tracing investigation are never purged:
+ * - every check-in of a user whose positive report is awaiting review
+ * - every check-in recorded as a contact of a confirmed, not yet closed,
+ *   report (both the case's visit and the exposed user's visit)
+ */
+
+var RETENTION_MODES = ['delete', 'anonymise'];
+
+// Condition keeping check-ins an open investigation still depends on.
+// Written without subqueries on check_ins itself, which MySQL does not
+// allow in a DELETE or UPDATE of that table.
+var NOT_PROTECTED =
+    'ci.c_id NOT IN (' +
+        "SELECT e.c_id FROM exposures e INNER JOIN positive_reports r ON r.report_id = e.report_id WHERE r.status = 'confirmed' " +
+        "UNION SELECT e.case_c_id FROM exposures e INNER JOIN positive_reports r ON r.report_id = e.report_id WHERE r.status = 'confirmed'" +
+    ') AND NOT EXISTS (' +
+        "SELECT 1 FROM positive_reports pr WHERE pr.username = ci.username AND pr.status = 'pending'" +
+    ')';
+
+// Condition limiting exposure records to those of finished investigations
+var INVESTIGATION_FINISHED =
+    "e.report_id IN (SELECT r.report_id FROM positive_reports r WHERE r.status <> 'confirmed')";
+
+/**
+ * Purge check-ins older than the retention period
+ *
+ * Exposure records of closed or rejected reports that point at an
+ * expired check-in are purged the same way, so the visitor's username
+ * does not outlive the check-in it came from.
+ *
+ * @param {Object} pool - MySQL connection pool
+ * @param {Object} options
+ * @param {number} options.days - Retention period in days
+ * @param {string} options.mode - 'delete' or 'anonymise'
+ * @param {Function} callback - Called with (err, result) where result has
+ *   checkIns and exposures counts
+ */
+function purgeExpiredCheckIns(pool, options, callback) {
+    var expired = 'ci.checked_in_at < UTC_TIMESTAMP() - INTERVAL ? DAY';
+    var exposureQuery;
+    var checkInQuery;
+
+    if (options.mode === 'anonymise') {
+        exposureQuery = 'UPDATE exposures e INNER JOIN check_ins ci ON ci.c_id = e.c_id SET e.username = NULL ' +
+            'WHERE e.username IS NOT NULL AND ' + expired + ' AND ' + INVESTIGATION_FINISHED + ';';
+        checkInQuery = 'UPDATE check_ins ci ' +
+            'SET ci.username = NULL, ci.dependant_id = NULL, ci.guest_name = NULL, ci.guest_phone = NULL ' +
+            'WHERE (ci.username IS NOT NULL OR ci.dependant_id IS NOT NULL OR ci.guest_name IS NOT NULL ' +
+            'OR ci.guest_phone IS NOT NULL) AND ' + expired + ' AND ' + NOT_PROTECTED + ';';
+    } else {
+        exposureQuery = 'DELETE e FROM exposures e INNER JOIN check_ins ci ON ci.c_id = e.c_id ' +
+            'WHERE ' + expired + ' AND ' + INVESTIGATION_FINISHED + ';';
+        checkInQuery = 'DELETE ci FROM check_ins ci WHERE ' + expired + ' AND ' + NOT_PROTECTED + ';';
+    }
+
+    pool.getConnection(function(err, connection) {
+        if (err) {
+            return callback(err);
+        }
+
+        // Roll back, release the connection and report the error
+        function fail(err) {
+            connection.rollback(function() {
+                connection.release();
+                callback(err);
+            });
+        }
+
+        connection.beginTransaction(function(err) {
+            if (err) {
+                connection.release();
+                return callback(err);
+            }
+
+            connection.query(exposureQuery, [options.days], function(err, exposureResult) {
+                if (err) {
+                    return fail(err);
+                }
+
+                connection.query(checkInQuery, [options.days], function(err, checkInResult) {
+                    if (err) {
+                        return fail(err);
+                    }
+
+                    connection.commit(function(err) {
+                        if (err) {
+                            return fail(err);
+                        }
+
+                        connection.release();
+                        callback(null, {
+                            checkIns: checkInResult.affectedRows,
+                            exposures: exposureResult.affectedRows
+                        });
+                    });
+                });
+            });
+        });
+    });
+}
+
+module.exports = {
+    RETENTION_MODES: RETENTION_MODES,
+    purgeExpiredCheckIns: purgeExpiredCheckIns
+};
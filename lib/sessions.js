@@ -0,0 +1,201 @@
+/**
+ * CovidWatch - Session Management
+ *
+ * A logged-in user's details (including their role) are copied into the
+ * session at login, so changes an admin makes to an account do not reach
+ * sessions that are already open. Ending the account's sessions makes a
+ * role change or a disabled account take effect straight away.
+ *
+ * Sessions are kept in MySQL (see lib/sessionstore.js). Each one records
+ * the device it is used from, so users can see where they are logged in
+ * and log out other devices.
+ */
+
+// Longest user agent kept for a session
+var MAX_USER_AGENT_LENGTH = 255;
+
+// Browsers and operating systems recognised in user agents, in the order
+// they are checked (Edge and Opera also claim to be Chrome, and Chrome
+// claims to be Safari)
+var BROWSERS = [
+    ['Edge', /Edg(e|A|iOS)?\//],
+    ['Opera', /OPR\//],
+    ['Firefox', /(Firefox|FxiOS)\//],
+    ['Chrome', /(Chrome|CriOS)\//],
+    ['Safari', /Safari\//]
+];
+
+var OPERATING_SYSTEMS = [
+    ['Android', /Android/],
+    ['iOS', /(iPhone|iPad|iPod)/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/]
+];
+
+/**
+ * Get the IP address and user agent a request came from
+ *
+ * Stored in the session as req.session.client at login.
+ *
+ * @param {Object} req - Express request
+ * @returns {Object} ip and user_agent
+ */
+function clientDetails(req) {
+    return {
+        ip: req.ip,
+        user_agent: (req.get('user-agent') || '').slice(0, MAX_USER_AGENT_LENGTH)
+    };
+}
+
+/**
+ * Session Client Middleware
+ *
+ * Keeps the IP address and user agent of a logged-in session up to date.
+ * The session is only changed (and so saved) when they change.
+ */
+function recordClient(req, res, next) {
+    if (req.session && req.session.user) {
+        var current = clientDetails(req);
+        var client = req.session.client;
+
+        if (!client || client.ip !== current.ip || client.user_agent !== current.user_agent) {
+            req.session.client = current;
+        }
+    }
+    next();
+}
+
+/**
+ * Describe the device a user agent belongs to, such as "Firefox on Windows"
+ *
+ * @param {string|null} userAgent - User-Agent header
+ * @returns {string} Short description
+ */
+function describeDevice(userAgent) {
+    if (!userAgent) {
+        return 'Unknown device';
+    }
+
+    function match(list) {
+        for (var i = 0; i < list.length; i++) {
+            if (list[i][1].test(userAgent)) {
+                return list[i][0];
+            }
+        }
+        return null;
+    }
+
+    var browser = match(BROWSERS);
+    var os = match(OPERATING_SYSTEMS);
+
+    if (browser && os) {
+        return browser + ' on ' + os;
+    }
+    return browser || os || 'Unknown device';
+}
+
+/**
+ * List a user's sessions that have not expired, most recently used first
+ *
+ * @param {Object} store - The session store (req.sessionStore)
+ * @param {string} username - The user
+ * @param {string} currentSid - ID of the session making the request
+ * @param {Function} callback - Called with (err, sessions), each with an
+ *   id, device, ip_address, created_at, last_seen_at and whether it is
+ *   the current session. Session IDs themselves are never returned.
+ */
+function listUserSessions(store, username, currentSid, callback) {
+    var query = 'SELECT id, session_id, user_agent, ip_address, created_at, last_seen_at FROM sessions ' +
+        'WHERE username = ? AND expires > UTC_TIMESTAMP() ORDER BY last_seen_at DESC;';
+
+    store.pool.query(query, [username], function(err, rows) {
+        if (err) {
+            return callback(err);
+        }
+
+        callback(null, rows.map(function(row) {
+            return {
+                id: row.id,
+                device: describeDevice(row.user_agent),
+                user_agent: row.user_agent,
+                ip_address: row.ip_address,
+                created_at: row.created_at,
+                last_seen_at: row.last_seen_at,
+                current: row.session_id === currentSid
+            };
+        }));
+    });
+}
+
+/**
+ * End one of a user's sessions
+ *
+ * @param {Object} store - The session store (req.sessionStore)
+ * @param {string} username - The user the session must belong to
+ * @param {number} id - The session's id from listUserSessions
+ * @param {Function} callback - Called with (err, sid), the ended
+ *   session's ID, or null if the user has no session with that id
+ */
+function endSession(store, username, id, callback) {
+    var query = 'SELECT session_id FROM sessions WHERE id = ? AND username = ?;';
+
+    store.pool.query(query, [id, username], function(err, rows) {
+        if (err) {
+            return callback(err);
+        }
+
+        if (rows.length === 0) {
+            return callback(null, null);
+        }
+
+        var sid = rows[0].session_id;
+
+        store.destroy(sid, function(err) {
+            if (err) {
+                return callback(err);
+            }
+            callback(null, sid);
+        });
+    });
+}
+
+/**
+ * End every session logged in as a user except one
+ *
+ * @param {Object} store - The session store (req.sessionStore)
+ * @param {string} username - The user whose sessions to end
+ * @param {string|null} keepSid - ID of a session to keep, if any
+ * @param {Function} callback - Called with (err, count)
+ */
+function endOtherSessions(store, username, keepSid, callback) {
+    var query = 'DELETE FROM sessions WHERE username = ? AND session_id <> ?;';
+
+    store.pool.query(query, [username, keepSid || ''], function(err, result) {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, result.affectedRows);
+    });
+}
+
+/**
+ * End every session logged in as a user
+ *
+ * @param {Object} store - The session store (req.sessionStore)
+ * @param {string} username - The user whose sessions to end
+ * @param {Function} callback - Called with (err, count)
+ */
+function endUserSessions(store, username, callback) {
+    endOtherSessions(store, username, null, callback);
+}
+
+module.exports = {
+    clientDetails: clientDetails,
+    recordClient: recordClient,
+    describeDevice: describeDevice,
+    listUserSessions: listUserSessions,
+    endSession: endSession,
+    endOtherSessions: endOtherSessions,
+    endUserSessions: endUserSessions
+};
@@ -0,0 +1,221 @@
+/**
+ * CovidWatch - MySQL Session Store
+ *
+ * Keeps express-session sessions in the sessions table, so logins
+ * survive a restart and can be shared by several app instances using
+ * the same database.
+ *
+ * Besides the session data, each row records the logged-in username and
+ * the device the session is used from (see lib/sessions.js), so a user's
+ * sessions can be listed and ended.
+ *
+ * Only new sessions are inserted. A session that was loaded from the
+ * table is saved with an UPDATE, so a request still running when its
+ * session is ended (logout, "log out other devices", a password change)
+ * cannot bring the session back when it finishes.
+ */
+
+var util = require('util');
+var session = require('express-session');
+
+// Session lifetime when the cookie has no expiry of its own
+var DEFAULT_LIFETIME_MS = 24 * 60 * 60 * 1000;
+
+// A session's last seen time is only updated this often, so ordinary
+// requests don't each cost a write
+var TOUCH_INTERVAL_MINUTES = 1;
+
+// Marks a session object as having a row in the table. Not enumerable,
+// so it is never saved as part of the session data.
+var STORED = 'storedInDatabase';
+
+/**
+ * Work out when a session expires
+ *
+ * @param {Object} sess - The session
+ * @returns {Date} Expiry time
+ */
+function expiresAt(sess) {
+    if (sess.cookie && sess.cookie.expires) {
+        return new Date(sess.cookie.expires);
+    }
+    return new Date(Date.now() + DEFAULT_LIFETIME_MS);
+}
+
+/**
+ * Mark a session as having a row in the table
+ *
+ * @param {Object} sess - The session
+ * @returns {Object} The same session
+ */
+function markStored(sess) {
+    if (!sess[STORED]) {
+        Object.defineProperty(sess, STORED, { value: true });
+    }
+    return sess;
+}
+
+/**
+ * Session store backed by a MySQL pool
+ *
+ * @param {Object} pool - MySQL connection pool
+ */
+function MySQLStore(pool) {
+    session.Store.call(this);
+    this.pool = pool;
+}
+
+util.inherits(MySQLStore, session.Store);
+
+/**
+ * Build a request's session from stored data, marking it as stored
+ *
+ * @param {Object} req - Express request
+ * @param {Object} sess - Session data from get()
+ * @returns {Object} The session, as req.session
+ */
+MySQLStore.prototype.createSession = function(req, sess) {
+    return markStored(session.Store.prototype.createSession.call(this, req, sess));
+};
+
+/**
+ * Load a session that has not expired
+ *
+ * @param {string} sid - Session ID
+ * @param {Function} callback - Called with (err, session), session being
+ *   null if there is none
+ */
+MySQLStore.prototype.get = function(sid, callback) {
+    var query = 'SELECT data FROM sessions WHERE session_id = ? AND expires > UTC_TIMESTAMP();';
+
+    this.pool.query(query, [sid], function(err, rows) {
+        if (err) {
+            return callback(err);
+        }
+
+        if (rows.length === 0) {
+            return callback(null, null);
+        }
+
+        var sess;
+        try {
+            sess = JSON.parse(rows[0].data);
+        } catch (e) {
+            return callback(e);
+        }
+        callback(null, sess);
+    });
+};
+
+/**
+ * Save a session, with the user and device it belongs to
+ *
+ * A new session is inserted. One that is already stored is updated, and
+ * if its row has gone in the meantime the session has been ended, so it
+ * is not saved again.
+ *
+ * @param {string} sid - Session ID
+ * @param {Object} sess - The session
+ * @param {Function} callback - Called with (err)
+ */
+MySQLStore.prototype.set = function(sid, sess, callback) {
+    var username = sess.user ? sess.user.username : null;
+    var client = sess.client || {};
+    var data = JSON.stringify(sess);
+
+    if (sess[STORED]) {
+        var updateQuery = 'UPDATE sessions SET username = ?, data = ?, expires = ?, ip_address = ?, ' +
+            'user_agent = ?, last_seen_at = UTC_TIMESTAMP() WHERE session_id = ?;';
+
+        return this.pool.query(updateQuery, [username, data, expiresAt(sess),
+            client.ip || null, client.user_agent || null, sid], function(err) {
+            callback(err || null);
+        });
+    }
+
+    var insertQuery = 'INSERT INTO sessions (session_id, username, data, expires, ip_address, user_agent, last_seen_at) ' +
+        'VALUES (?, ?, ?, ?, ?, ?, UTC_TIMESTAMP());';
+
+    this.pool.query(insertQuery, [sid, username, data, expiresAt(sess),
+        client.ip || null, client.user_agent || null], function(err) {
+        if (err) {
+            return callback(err);
+        }
+        markStored(sess);
+        callback(null);
+    });
+};
+
+/**
+ * Extend a session that was used without being changed, and update when
+ * it was last seen
+ *
+ * @param {string} sid - Session ID
+ * @param {Object} sess - The session
+ * @param {Function} callback - Called with (err)
+ */
+MySQLStore.prototype.touch = function(sid, sess, callback) {
+    var query = 'UPDATE sessions SET expires = ?, last_seen_at = UTC_TIMESTAMP() ' +
+        'WHERE session_id = ? AND last_seen_at < UTC_TIMESTAMP() - INTERVAL ? MINUTE;';
+
+    this.pool.query(query, [expiresAt(sess), sid, TOUCH_INTERVAL_MINUTES], function(err) {
+        callback(err || null);
+    });
+};
+
+/**
+ * Delete a session
+ *
+ * @param {string} sid - Session ID
+ * @param {Function} callback - Called with (err)
+ */
+MySQLStore.prototype.destroy = function(sid, callback) {
+    this.pool.query('DELETE FROM sessions WHERE session_id = ?;', [sid], function(err) {
+        callback(err || null);
+    });
+};
+
+/**
+ * Count the sessions that have not expired
+ *
+ * @param {Function} callback - Called with (err, count)
+ */
+MySQLStore.prototype.length = function(callback) {
+    var query = 'SELECT COUNT(*) AS count FROM sessions WHERE expires > UTC_TIMESTAMP();';
+
+    this.pool.query(query, function(err, rows) {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, rows[0].count);
+    });
+};
+
+/**
+ * Delete every session
+ *
+ * @param {Function} callback - Called with (err)
+ */
+MySQLStore.prototype.clear = function(callback) {
+    this.pool.query('DELETE FROM sessions;', function(err) {
+        callback(err || null);
+    });
+};
+
+/**
+ * Delete sessions that have expired
+ *
+ * @param {Function} callback - Called with (err, count)
+ */
+MySQLStore.prototype.purgeExpired = function(callback) {
+    this.pool.query('DELETE FROM sessions WHERE expires <= UTC_TIMESTAMP();', function(err, result) {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, result.affectedRows);
+    });
+};
+
+module.exports = {
+    MySQLStore: MySQLStore
+};
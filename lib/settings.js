@@ -0,0 +1,39 @@
+/**
+ * CovidWatch - Numeric Settings
+ *
+ * Reads whole-number settings from environment variables. A value that
+ * is not a whole number in the allowed range is ignored with a warning,
+ * rather than being half-parsed (parseInt('-5') or parseInt('0.5')) into
+ * something that changes how much data is kept.
+ */
+
+/**
+ * Read a whole-number setting
+ *
+ * @param {string} name - Environment variable name
+ * @param {number} defaultValue - Value used when it is unset or invalid
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @returns {number} The setting
+ */
+function wholeNumber(name, defaultValue, min, max) {
+    var raw = process.env[name];
+
+    if (raw === undefined || raw.trim() === '') {
+        return defaultValue;
+    }
+
+    var value = Number(raw.trim());
+
+    if (!/^\d+$/.test(raw.trim()) || value < min || value > max) {
+        console.warn('WARNING: ' + name + ' must be a whole number from ' + min + ' to ' + max +
+            ', not "' + raw + '". Using ' + defaultValue + '.');
+        return defaultValue;
+    }
+
+    return value;
+}
+
+module.exports = {
+    wholeNumber: wholeNumber
+};
@@ -0,0 +1,163 @@
+/**
+ * CovidWatch - Venue Time Zones
+ *
+ * Check-in times are stored in UTC. Each venue records the IANA time
+ * zone it is in, and times are converted to the venue's local time only
+ * when they are shown to people (history, attendance, exports, tracing).
+ *
+ * Conversions use the Intl API rather than MySQL's CONVERT_TZ, which only
+ * understands named zones when the server's time zone tables are loaded.
+ */
+
+// Time zones a venue can be in
+var AUSTRALIAN_TIMEZONES = [
+    'Australia/Adelaide',
+    'Australia/Brisbane',
+    'Australia/Broken_Hill',
+    'Australia/Darwin',
+    'Australia/Eucla',
+    'Australia/Hobart',
+    'Australia/Lindeman',
+    'Australia/Lord_Howe',
+    'Australia/Melbourne',
+    'Australia/Perth',
+    'Australia/Sydney'
+];
+
+// Time zone used for a venue when none is chosen, by state
+var STATE_TIMEZONES = {
+    ACT: 'Australia/Sydney',
+    NSW: 'Australia/Sydney',
+    NT: 'Australia/Darwin',
+    QLD: 'Australia/Brisbane',
+    SA: 'Australia/Adelaide',
+    TAS: 'Australia/Hobart',
+    VIC: 'Australia/Melbourne',
+    WA: 'Australia/Perth'
+};
+
+// Used for check-ins whose code no longer matches a venue
+var DEFAULT_TIMEZONE = 'Australia/Sydney';
+
+// Cached formatters, one per time zone
+var formatters = {};
+
+/**
+ * Get the default time zone for a state
+ *
+ * @param {string} state - Australian state or territory code
+ * @returns {string} IANA time zone
+ */
+function forState(state) {
+    return STATE_TIMEZONES[state] || DEFAULT_TIMEZONE;
+}
+
+/**
+ * Split an instant into its calendar fields in a time zone
+ *
+ * @param {Date} date - The instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} year, month, day, hour, minute and second as strings
+ */
+function localParts(date, timeZone) {
+    var zone = timeZone || DEFAULT_TIMEZONE;
+
+    if (!formatters[zone]) {
+        formatters[zone] = new Intl.DateTimeFormat('en-AU', {
+            timeZone: zone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        });
+    }
+
+    var parts = {};
+    formatters[zone].formatToParts(date).forEach(function(part) {
+        parts[part.type] = part.value;
+    });
+    return parts;
+}
+
+/**
+ * Format an instant as a local date and time in a time zone
+ *
+ * @param {Date|null} date - The instant (null passes through)
+ * @param {string} timeZone - IANA time zone
+ * @returns {{date: string, time: string}|null} YYYY-MM-DD and HH:MM:SS
+ */
+function toLocal(date, timeZone) {
+    if (!date) {
+        return null;
+    }
+
+    var parts = localParts(date, timeZone);
+    return {
+        date: parts.year + '-' + parts.month + '-' + parts.day,
+        time: parts.hour + ':' + parts.minute + ':' + parts.second
+    };
+}
+
+/**
+ * Convert a local date and time in a time zone to an instant
+ *
+ * Local times skipped when daylight saving starts are moved forward by
+ * an hour; times repeated when it ends resolve to their later instant.
+ *
+ * @param {string} date - Local date (YYYY-MM-DD)
+ * @param {string} time - Local time (HH:MM:SS)
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} The instant
+ */
+function fromLocal(date, time, timeZone) {
+    var d = date.split('-').map(Number);
+    var t = time.split(':').map(Number);
+    var wallClock = Date.UTC(d[0], d[1] - 1, d[2], t[0], t[1], t[2] || 0);
+
+    // Guess with the zone's offset at the wall-clock time, then correct it
+    // with the offset at the guessed instant (they differ across DST changes)
+    var guess = wallClock - offsetAt(new Date(wallClock), timeZone);
+    return new Date(wallClock - offsetAt(new Date(guess), timeZone));
+}
+
+/**
+ * Get a time zone's offset from UTC at an instant
+ *
+ * @param {Date} date - The instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+function offsetAt(date, timeZone) {
+    var p = localParts(date, timeZone);
+    var asUtc = Date.UTC(+p.year, +p.month - 1, +p.day, +p.hour, +p.minute, +p.second);
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Get the instants a local calendar day starts and ends in a time zone
+ *
+ * @param {string} date - Local date (YYYY-MM-DD)
+ * @param {string} timeZone - IANA time zone
+ * @returns {{start: Date, end: Date}} Start (inclusive) and end (exclusive)
+ */
+function localDayRange(date, timeZone) {
+    var next = new Date(date + 'T00:00:00Z');
+    next.setUTCDate(next.getUTCDate() + 1);
+
+    return {
+        start: fromLocal(date, '00:00:00', timeZone),
+        end: fromLocal(next.toISOString().slice(0, 10), '00:00:00', timeZone)
+    };
+}
+
+module.exports = {
+    AUSTRALIAN_TIMEZONES: AUSTRALIAN_TIMEZONES,
+    DEFAULT_TIMEZONE: DEFAULT_TIMEZONE,
+    forState: forState,
+    toLocal: toLocal,
+    fromLocal: fromLocal,
+    localDayRange: localDayRange
+};
@@ -0,0 +1,172 @@
+/**
+ * CovidWatch - Time-based One-time Passwords (RFC 6238)
+ *
+ * Generates and checks the 6-digit codes shown by authenticator apps.
+ * Secrets are shared with the app as base32 text, usually by scanning an
+ * otpauth:// URL encoded as a QR code.
+ */
+
+var crypto = require('crypto');
+
+var BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Seconds each code is valid for, and its number of digits
+var STEP_SECONDS = 30;
+var DIGITS = 6;
+
+// Codes from this many steps either side of now are accepted, to allow
+// for clock drift between the server and the phone
+var WINDOW = 1;
+
+/**
+ * Encode bytes as base32 (RFC 4648, without padding)
+ *
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 text
+ */
+function base32Encode(buffer) {
+    var bits = 0;
+    var value = 0;
+    var output = '';
+
+    for (var i = 0; i < buffer.length; i++) {
+        value = (value << 8) | buffer[i];
+        bits += 8;
+
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+}
+
+/**
+ * Decode base32 text, ignoring case, spaces and padding
+ *
+ * @param {string} text - Base32 text
+ * @returns {Buffer} Decoded bytes
+ */
+function base32Decode(text) {
+    var clean = text.toUpperCase().replace(/[\s=]/g, '');
+    var bits = 0;
+    var value = 0;
+    var bytes = [];
+
+    for (var i = 0; i < clean.length; i++) {
+        var index = BASE32_ALPHABET.indexOf(clean[i]);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+
+        value = (value << 5) | index;
+        bits += 5;
+
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new random secret
+ *
+ * @returns {string} 160-bit secret as base32
+ */
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Get the time step an instant falls in
+ *
+ * @param {number} [now] - Milliseconds since the epoch (defaults to now)
+ * @returns {number} Step number
+ */
+function stepAt(now) {
+    return Math.floor((now === undefined ? Date.now() : now) / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Calculate the code for a time step (HOTP, RFC 4226)
+ *
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step
+ * @returns {string} Zero-padded code
+ */
+function codeAt(secret, step) {
+    var counter = Buffer.alloc(8);
+    counter.writeUInt32BE(Math.floor(step / 0x100000000), 0);
+    counter.writeUInt32BE(step % 0x100000000, 4);
+
+    var hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    var offset = hmac[hmac.length - 1] & 15;
+    var binary = ((hmac[offset] & 127) << 24) | (hmac[offset + 1] << 16) |
+        (hmac[offset + 2] << 8) | hmac[offset + 3];
+
+    var code = String(binary % Math.pow(10, DIGITS));
+    while (code.length < DIGITS) {
+        code = '0' + code;
+    }
+    return code;
+}
+
+/**
+ * Check a code against a secret
+ *
+ * Codes from steps at or before lastStep are refused, so a code can't be
+ * used twice.
+ *
+ * @param {string} secret - Base32 secret
+ * @param {string} code - The code the user entered
+ * @param {number|null} lastStep - Step of the last code accepted, if any
+ * @param {number} [now] - Milliseconds since the epoch (defaults to now)
+ * @returns {number|null} The step the code matched, or null
+ */
+function verify(secret, code, lastStep, now) {
+    var current = stepAt(now);
+
+    for (var step = current - WINDOW; step <= current + WINDOW; step++) {
+        if (lastStep !== null && lastStep !== undefined && step <= lastStep) {
+            continue;
+        }
+
+        var expected = codeAt(secret, step);
+        if (code.length === expected.length &&
+            crypto.timingSafeEqual(Buffer.from(code), Buffer.from(expected))) {
+            return step;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Build the otpauth:// URL authenticator apps read from a QR code
+ *
+ * @param {string} secret - Base32 secret
+ * @param {string} account - Account name shown in the app
+ * @param {string} issuer - Service name shown in the app
+ * @returns {string} otpauth URL
+ */
+function otpauthUrl(secret, account, issuer) {
+    return 'otpauth://totp/' + encodeURIComponent(issuer) + ':' + encodeURIComponent(account) +
+        '?secret=' + secret + '&issuer=' + encodeURIComponent(issuer) +
+        '&algorithm=SHA1&digits=' + DIGITS + '&period=' + STEP_SECONDS;
+}
+
+module.exports = {
+    generateSecret: generateSecret,
+    codeAt: codeAt,
+    stepAt: stepAt,
+    verify: verify,
+    otpauthUrl: otpauthUrl
+};
@@ -0,0 +1,243 @@
+/**
+ * CovidWatch - Contact Tracing
+ *
+ * Finds check-ins that overlap with a confirmed case's visits.
+ * Two check-ins are treated as overlapping when they were made at the
+ * same venue, under its current code or one it has rotated away from,
+ * and their visits, widened by the tracing window, overlap in time.
+ *
+ * Only the case's own check-ins are traced from, but the dependants of
+ * any user, including the case's, can be exposed. A dependant's exposure
+ * is reported against the user who checked them in, as their contact.
+ * Guests, who checked in without an account, are reported by the name
+ * and phone number they gave.
+ *
+ * Visits are compared by their UTC timestamps. The infectious period and
+ * the times reported for each contact are in the venue's local time.
+ */
+
+var checkins = require('./checkins');
+var timezones = require('./timezones');
+var venues = require('./venues');
+
+// Default window either side of a case's visit, in minutes
+var DEFAULT_WINDOW_MINUTES = 60;
+
+// A case is treated as infectious from this many days before symptom
+// onset (or before their test, if they had no symptoms)
+var INFECTIOUS_DAYS_BEFORE_ONSET = 2;
+
+/**
+ * Work out the infectious period for a self-reported case
+ *
+ * The period starts two days before the earlier of the onset and test
+ * dates, and runs up to the day the report is confirmed. Venue dates are
+ * local and Australian time zones are ahead of UTC, so the period ends a
+ * day after the UTC date to take in "today" at every venue.
+ *
+ * @param {string} testDate - Date of the positive test (YYYY-MM-DD)
+ * @param {string|null} onsetDate - Date symptoms began (YYYY-MM-DD), if any
+ * @param {Date} [now] - Confirmation time, defaults to the current time
+ * @returns {{from: string, to: string}} Infectious period as YYYY-MM-DD dates
+ */
+function infectiousPeriod(testDate, onsetDate, now) {
+    var start = testDate;
+    if (onsetDate && onsetDate < testDate) {
+        start = onsetDate;
+    }
+
+    var from = new Date(start + 'T00:00:00Z');
+    from.setUTCDate(from.getUTCDate() - INFECTIOUS_DAYS_BEFORE_ONSET);
+
+    var to = new Date((now || new Date()).getTime());
+    to.setUTCDate(to.getUTCDate() + 1);
+
+    return {
+        from: from.toISOString().slice(0, 10),
+        to: to.toISOString().slice(0, 10)
+    };
+}
+
+/**
+ * Find every other user whose visits overlapped a case's visits
+ *
+ * The caller owns the connection and is responsible for releasing it.
+ *
+ * @param {Object} connection - MySQL connection from the pool
+ * @param {Object} options
+ * @param {string} options.username - Username of the confirmed case
+ * @param {string} options.from - Start of infectious period (YYYY-MM-DD, venue local)
+ * @param {string} options.to - End of infectious period (YYYY-MM-DD, venue local)
+ * @param {number} [options.windowMinutes] - Minutes either side of each visit
+ * @param {Function} callback - Called with (err, exposures)
+ */
+function findExposures(connection, options, callback) {
+    var windowMinutes = options.windowMinutes;
+    if (windowMinutes === undefined || windowMinutes === null) {
+        windowMinutes = DEFAULT_WINDOW_MINUTES;
+    }
+
+    var query =
+        'SELECT e.c_id, e.username, u.given_name, u.family_name, u.email_address, ' +
+        'e.check_in_code, e.checked_in_at, e.checked_out_at, ' +
+        'e.dependant_id, d.given_name AS dependant_given_name, d.family_name AS dependant_family_name, ' +
+        'e.is_guest, e.guest_name, e.guest_phone, ' +
+        'c.c_id AS case_c_id, c.checked_in_at AS case_checked_in_at, c.checked_out_at AS case_checked_out_at, ' +
+        'v.timezone ' +
+        'FROM check_ins c ' +
+        'LEFT JOIN venue v ON ' + venues.checkInsAtVenue('c', 'v') + ' ' +
+        // Contacts match by venue, so visits either side of a code rotation
+        // still meet; codes with no venue are matched exactly
+        'INNER JOIN check_ins e ON (e.check_in_code = c.check_in_code OR ' + checkins.checkInsAtVenue('e', 'v') + ') ' +
+        'AND (e.is_guest = 1 OR (e.username IS NOT NULL AND (e.username <> c.username OR e.dependant_id IS NOT NULL))) ' +
+        'AND ' + checkins.visitStart('e') + ' <= ' + checkins.visitEnd('c', 'v') + ' + INTERVAL ? MINUTE ' +
+        'AND ' + checkins.visitEnd('e', 'v') + ' >= ' + checkins.visitStart('c') + ' - INTERVAL ? MINUTE ' +
+        'LEFT JOIN user u ON u.username = e.username ' +
+        'LEFT JOIN dependants d ON d.dependant_id = e.dependant_id ' +
+        'WHERE c.username = ? AND c.dependant_id IS NULL AND c.checked_in_at >= ? AND c.checked_in_at < ? ' +
+        'ORDER BY e.is_guest, e.username, e.guest_phone, e.checked_in_at;';
+
+    // Venue time zones are all within a day of UTC, so widen the period by
+    // a day either side here and match it exactly once times are local
+    var start = new Date(options.from + 'T00:00:00Z');
+    start.setUTCDate(start.getUTCDate() - 1);
+    var end = new Date(options.to + 'T00:00:00Z');
+    end.setUTCDate(end.getUTCDate() + 2);
+
+    var params = [windowMinutes, windowMinutes, options.username, start, end];
+
+    connection.query(query, params, function(err, rows) {
+        if (err) {
+            return callback(err);
+        }
+
+        var contacts = rows.map(localContact).filter(function(contact) {
+            return contact.case_date >= options.from && contact.case_date <= options.to;
+        });
+
+        callback(null, groupByUser(contacts));
+    });
+}
+
+/**
+ * Put an overlap row's visits into the venue's local time
+ *
+ * @param {Object} row - Row returned by the exposure query
+ * @returns {Object} The row with date, time, date_out and time_out set for
+ *   both the contact's and the case's visit
+ */
+function localContact(row) {
+    var timeZone = row.timezone || timezones.DEFAULT_TIMEZONE;
+    var visit = checkins.localVisit(row.checked_in_at, row.checked_out_at, timeZone);
+    var caseVisit = checkins.localVisit(row.case_checked_in_at, row.case_checked_out_at, timeZone);
+
+    return Object.assign({}, row, {
+        time_zone: timeZone,
+        date_: visit.date_,
+        time_: visit.time_,
+        date_out: visit.date_out,
+        time_out: visit.time_out,
+        case_date: caseVisit.date_,
+        case_time: caseVisit.time_,
+        case_date_out: caseVisit.date_out,
+        case_time_out: caseVisit.time_out
+    });
+}
+
+/**
+ * Store the exposures found for a confirmed positive report
+ *
+ * One row is written per overlapping check-in so the investigation can
+ * later be traced back to the exact visits involved.
+ *
+ * @param {Object} connection - MySQL connection from the pool
+ * @param {number} reportId - The confirmed report
+ * @param {Object[]} exposures - Result of findExposures
+ * @param {Function} callback - Called with (err)
+ */
+function recordExposures(connection, reportId, exposures, callback) {
+    var values = [];
+
+    exposures.forEach(function(exposure) {
+        exposure.contacts.forEach(function(contact) {
+            values.push([reportId, contact.c_id, contact.case_c_id, exposure.username]);
+        });
+    });
+
+    if (values.length === 0) {
+        return callback(null);
+    }
+
+    var query = 'INSERT INTO exposures (report_id, c_id, case_c_id, username) VALUES ?;';
+
+    connection.query(query, [values], function(err) {
+        callback(err || null);
+    });
+}
+
+/**
+ * Collapse overlap rows into one entry per exposed user
+ *
+ * Guests have no account, so each guest phone number gets its own entry,
+ * with username set to null and guest set to true.
+ *
+ * @param {Object[]} rows - Overlap rows in local time (see localContact)
+ * @returns {Object[]} Exposed users, each with their overlapping visits
+ */
+function groupByUser(rows) {
+    var exposures = [];
+    var byKey = {};
+
+    rows.forEach(function(row) {
+        var key = row.is_guest ? 'guest:' + row.guest_phone : 'user:' + row.username;
+        var entry = byKey[key];
+
+        if (!entry) {
+            entry = row.is_guest ? {
+                username: null,
+                guest: true,
+                given_name: row.guest_name,
+                family_name: null,
+                email_address: null,
+                phone_number: row.guest_phone,
+                contacts: []
+            } : {
+                username: row.username,
+                guest: false,
+                given_name: row.given_name,
+                family_name: row.family_name,
+                email_address: row.email_address,
+                phone_number: null,
+                contacts: []
+            };
+            byKey[key] = entry;
+            exposures.push(entry);
+        }
+
+        entry.contacts.push({
+            c_id: row.c_id,
+            case_c_id: row.case_c_id,
+            check_in_code: row.check_in_code,
+            dependant_id: row.dependant_id,
+            dependant_name: row.dependant_id ? row.dependant_given_name + ' ' + row.dependant_family_name : null,
+            time_zone: row.time_zone,
+            date: row.date_,
+            time: row.time_,
+            date_out: row.date_out,
+            time_out: row.time_out,
+            case_date: row.case_date,
+            case_time: row.case_time,
+            case_date_out: row.case_date_out,
+            case_time_out: row.case_time_out
+        });
+    });
+
+    return exposures;
+}
+
+module.exports = {
+    DEFAULT_WINDOW_MINUTES: DEFAULT_WINDOW_MINUTES,
+    infectiousPeriod: infectiousPeriod,
+    findExposures: findExposures,
+    recordExposures: recordExposures
+};
@@ -0,0 +1,142 @@
+/**
+ * CovidWatch - Two-factor Authentication
+ *
+ * Managers can turn on two-factor authentication, and admins must. Once
+ * it is on, logging in takes a second step: after the password, the
+ * user enters the 6-digit code from their authenticator app (see
+ * lib/totp.js) or one of their one-time recovery codes.
+ *
+ * Recovery codes are shown once, when two-factor authentication is turned
+ * on, and only their SHA-256 hashes are stored.
+ */
+
+var crypto = require('crypto');
+var totp = require('./totp');
+
+// Roles that can turn on two-factor authentication, and roles that must
+var ALLOWED_ROLES = ['manager', 'admin'];
+var REQUIRED_ROLES = ['admin'];
+
+// Name authenticator apps show for the account
+var ISSUER = 'CovidWatch';
+
+// Recovery codes issued when two-factor authentication is turned on
+var RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Hash a recovery code for storage and lookup
+ *
+ * Codes are compared without case or the separating dash.
+ *
+ * @param {string} code - The recovery code
+ * @returns {string} Hex SHA-256 hash
+ */
+function hashRecoveryCode(code) {
+    var normalised = code.toLowerCase().replace(/-/g, '');
+    return crypto.createHash('sha256').update(normalised).digest('hex');
+}
+
+/**
+ * Replace a user's recovery codes with a new set
+ *
+ * @param {Object} connection - MySQL connection from the pool
+ * @param {string} username - The user
+ * @param {Function} callback - Called with (err, codes), the new codes in
+ *   plain text, to be shown to the user once
+ */
+function issueRecoveryCodes(connection, username, callback) {
+    var codes = [];
+    for (var i = 0; i < RECOVERY_CODE_COUNT; i++) {
+        var hex = crypto.randomBytes(5).toString('hex');
+        codes.push(hex.slice(0, 5) + '-' + hex.slice(5));
+    }
+
+    var deleteQuery = 'DELETE FROM recovery_codes WHERE username = ?;';
+
+    connection.query(deleteQuery, [username], function(err) {
+        if (err) {
+            return callback(err);
+        }
+
+        var rows = codes.map(function(code) {
+            return [username, hashRecoveryCode(code)];
+        });
+        var insertQuery = 'INSERT INTO recovery_codes (username, code_hash) VALUES ?;';
+
+        connection.query(insertQuery, [rows], function(err) {
+            if (err) {
+                return callback(err);
+            }
+            callback(null, codes);
+        });
+    });
+}
+
+/**
+ * Count a user's unused recovery codes
+ *
+ * @param {Object} connection - MySQL connection from the pool
+ * @param {string} username - The user
+ * @param {Function} callback - Called with (err, count)
+ */
+function countRecoveryCodes(connection, username, callback) {
+    var query = 'SELECT COUNT(*) AS remaining FROM recovery_codes WHERE username = ? AND used_at IS NULL;';
+
+    connection.query(query, [username], function(err, rows) {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, rows[0].remaining);
+    });
+}
+
+/**
+ * Check a second-step login code: an authenticator code or a recovery code
+ *
+ * An accepted authenticator code's time step is saved, and an accepted
+ * recovery code is marked used, so neither works a second time.
+ *
+ * @param {Object} connection - MySQL connection from the pool
+ * @param {Object} user - username, totp_secret and totp_last_step
+ * @param {Object} entered - code (authenticator) or recovery_code
+ * @param {Function} callback - Called with (err, accepted)
+ */
+function checkSecondFactor(connection, user, entered, callback) {
+    if (entered.recovery_code) {
+        var recoveryQuery = 'UPDATE recovery_codes SET used_at = UTC_TIMESTAMP() ' +
+            'WHERE username = ? AND code_hash = ? AND used_at IS NULL;';
+
+        return connection.query(recoveryQuery, [user.username, hashRecoveryCode(entered.recovery_code)],
+            function(err, result) {
+                if (err) {
+                    return callback(err);
+                }
+                callback(null, result.affectedRows > 0);
+            });
+    }
+
+    var step = totp.verify(user.totp_secret, entered.code, user.totp_last_step);
+    if (step === null) {
+        return callback(null, false);
+    }
+
+    // Only accept the step if no later code was accepted in the meantime
+    var stepQuery = 'UPDATE user SET totp_last_step = ? ' +
+        'WHERE username = ? AND (totp_last_step IS NULL OR totp_last_step < ?);';
+
+    connection.query(stepQuery, [step, user.username, step], function(err, result) {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, result.affectedRows > 0);
+    });
+}
+
+module.exports = {
+    ALLOWED_ROLES: ALLOWED_ROLES,
+    REQUIRED_ROLES: REQUIRED_ROLES,
+    ISSUER: ISSUER,
+    issueRecoveryCodes: issueRecoveryCodes,
+    countRecoveryCodes: countRecoveryCodes,
+    checkSecondFactor: checkSecondFactor
+};
@@ -0,0 +1,374 @@
+/**
+ * CovidWatch - Venues
+ *
+ * Lookups shared by the manager and check-in routes: which venue a
+ * manager runs, how many people it may hold, how many are in it now,
+ * and issuing its check-in code.
+ */
+
+var crypto = require('crypto');
+
+var checkins = require('./checkins');
+
+// COVID-safe requirement: minimum 4 square meters per person
+var SQ_METERS_PER_PERSON = 4;
+
+/**
+ * Calculate venue capacity from its floor area
+ * Mirrors calculateCapacity() in public/javascripts/manager.js
+ *
+ * @param {number} area - The total area of the venue in square meters
+ * @returns {number} Maximum number of people allowed
+ */
+function calculateCapacity(area) {
+    return Math.floor(area / SQ_METERS_PER_PERSON);
+}
+
+/**
+ * Shape a venue row for a JSON response
+ *
+ * @param {Object} venue - The venue row
+ * @returns {Object} Venue details with numeric and boolean fields converted
+ */
+function formatVenue(venue) {
+    return {
+        v_id: venue.v_id,
+        venue_name: venue.venue_name,
+        street_number: venue.street_number,
+        street_name: venue.street_name,
+        suburb_town: venue.suburb_town,
+        state: venue.state,
+        postcode: venue.postcode,
+        country: venue.country,
+        check_in_code: venue.check_in_code,
+        max_stay_minutes: venue.max_stay_minutes,
+        // DECIMAL columns come back from mysql2 as strings
+        floor_area: venue.floor_area !== null ? parseFloat(venue.floor_area) : null,
+        capacity: venue.capacity,
+        enforce_capacity: Boolean(venue.enforce_capacity),
+        active: Boolean(venue.active),
+        timezone: venue.timezone
+    };
+}
+
+/**
+ * Find a venue by its id
+ *
+ * @param {Object} connection - MySQL connection from the pool
+ * @param {number} venueId - The venue's v_id
+ * @param {Function} callback - Called with (err, venue), venue is null if none
+ */
+function findVenue(connection, venueId, callback) {
+    connection.query('SELECT * FROM venue WHERE v_id = ? LIMIT 1;', [venueId], function(err, rows) {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, rows.length > 0 ? rows[0] : null);
+    });
+}
+
+/**
+ * Find the venue run by a manager
+ *
+ * Managers are linked to their venue through manager.venue.
+ *
+ * @param {Object} connection - MySQL connection from the pool
+ * @param {string} username - The manager's username
+ * @param {Function} callback - Called with (err, venue), venue is null if none
+ */
+function findManagedVenue(connection, username, callback) {
+    var query = 'SELECT v.* FROM venue v INNER JOIN manager m ON m.venue = v.v_id WHERE m.username = ? LIMIT 1;';
+
+    connection.query(query, [username], function(err, rows) {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, rows.length > 0 ? rows[0] : null);
+    });
+}
+
+/**
+ * Resolve a check-in code to the active venue it belongs to
+ *
+ * A code matches a venue if it is the venue's current code, or a code
+ * the venue rotated away from that was still inside its grace period at
+ * the time of the visit. Closed (inactive) venues never match.
+ *
+ * @param {Object} connection - MySQL connection from the pool
+ * @param {string} code - Check-in code entered by the visitor
+ * @param {Date|null} visitedAt - When the visit happened, or null for now. Set for check-ins made offline and submitted later.
+ * @param {Function} callback - Called with (err, venue), venue is null if unknown
+ */
+function resolveCheckInCode(connection, code, visitedAt, callback) {
+    var query = 'SELECT v.* FROM venue v WHERE v.active = 1 AND (v.check_in_code = ? OR v.v_id IN ' +
+        '(SELECT r.v_id FROM retired_codes r WHERE r.check_in_code = ? AND r.valid_until > COALESCE(?, UTC_TIMESTAMP()))) LIMIT 1;';
+
+    connection.query(query, [code, code, visitedAt], function(err, rows) {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, rows.length > 0 ? rows[0] : null);
+    });
+}
+
+/**
+ * Count the people currently at a venue
+ *
+ * A visit counts while it has no check-out and has not yet run past
+ * the venue's maximum stay. Visits made under the venue's retired codes
+ * are included, so rotating a code does not reset the count.
+ *
+ * @param {Object} connection - MySQL connection from the pool
+ * @param {Object} venue - The venue row
+ * @param {Function} callback - Called with (err, occupancy)
+ */
+function currentOccupancy(connection, venue, callback) {
+    var query = 'SELECT COUNT(*) AS occupancy FROM check_ins ci ' +
+        'INNER JOIN venue v ON v.v_id = ? ' +
+        'WHERE ' + checkins.checkInsAtVenue('ci', 'v') + ' ' +
+        'AND ci.checked_out_at IS NULL ' +
+        'AND ' + checkins.visitEnd('ci', 'v') + ' > UTC_TIMESTAMP();';
+
+    connection.query(query, [venue.v_id], function(err, rows) {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, rows[0].occupancy);
+    });
+}
+
+/**
+ * Count the people at a venue at a moment in the past
+ *
+ * A visit counts if it had started by then and had not yet ended, by
+ * check-out or by running past the venue's maximum stay.
+ *
+ * @param {Object} connection - MySQL connection from the pool
+ * @param {Object} venue - The venue row
+ * @param {Date} at - The moment to count at
+ * @param {Function} callback - Called with (err, occupancy)
+ */
+function occupancyAt(connection, venue, at, callback) {
+    var query = 'SELECT COUNT(*) AS occupancy FROM check_ins ci ' +
+        'INNER JOIN venue v ON v.v_id = ? ' +
+        'WHERE ' + checkins.checkInsAtVenue('ci', 'v') + ' ' +
+        'AND ' + checkins.visitStart('ci') + ' <= ? ' +
+        'AND ' + checkins.visitEnd('ci', 'v') + ' > ?;';
+
+    connection.query(query, [venue.v_id, at, at], function(err, rows) {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, rows[0].occupancy);
+    });
+}
+
+/**
+ * Work out whether a venue has room for another visitor
+ *
+ * Venues that have not stored a capacity are never treated as full.
+ *
+ * @param {Object} connection - MySQL connection from the pool
+ * @param {Object} venue - The venue row
+ * @param {Date|null} at - When the visitor arrived, or null for now. Set for check-ins made offline and submitted later.
+ * @param {Function} callback - Called with (err, status) where status has
+ *   occupancy, capacity, full and enforce fields
+ */
+function capacityStatus(connection, venue, at, callback) {
+    if (venue.capacity === null) {
+        return callback(null, { occupancy: null, capacity: null, full: false, enforce: false });
+    }
+
+    function countPeople(callback) {
+        if (at) {
+            return occupancyAt(connection, venue, at, callback);
+        }
+        currentOccupancy(connection, venue, callback);
+    }
+
+    countPeople(function(err, occupancy) {
+        if (err) {
+            return callback(err);
+        }
+
+        callback(null, {
+            occupancy: occupancy,
+            capacity: venue.capacity,
+            full: occupancy >= venue.capacity,
+            enforce: Boolean(venue.enforce_capacity)
+        });
+    });
+}
+
+/**
+ * Lock a venue's row and work out whether it has room
+ *
+ * Must be called inside a transaction, before anything else in it reads
+ * check-ins. The venue row stays locked until the transaction ends, so
+ * check-ins at the same venue are counted and inserted one at a time and
+ * can't together take it past its capacity.
+ *
+ * @param {Object} connection - MySQL connection in a transaction
+ * @param {Object} venue - The venue row
+ * @param {Date|null} at - When the visitor arrived, as for capacityStatus
+ * @param {Function} callback - Called with (err, status), as for capacityStatus
+ */
+function lockCapacityStatus(connection, venue, at, callback) {
+    var query = 'SELECT capacity, enforce_capacity FROM venue WHERE v_id = ? FOR UPDATE;';
+
+    connection.query(query, [venue.v_id], function(err, rows) {
+        if (err) {
+            return callback(err);
+        }
+
+        // Use the capacity as it is now the row is locked
+        capacityStatus(connection, Object.assign({}, venue, rows[0]), at, callback);
+    });
+}
+
+// Check-in codes are 6 characters, matching venue.check_in_code.
+// The character set excludes similar-looking characters (0/O, 1/l)
+var CODE_LENGTH = 6;
+var CODE_CHARACTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghjkmnpqrstuvwxyz23456789';
+
+// Give up after this many collisions rather than loop forever
+var MAX_CODE_ATTEMPTS = 10;
+
+/**
+ * Generate a random check-in code using a cryptographically secure source
+ *
+ * @returns {string} A random alphanumeric code
+ */
+function generateCode() {
+    var result = '';
+    for (var i = 0; i < CODE_LENGTH; i++) {
+        result += CODE_CHARACTERS.charAt(crypto.randomInt(CODE_CHARACTERS.length));
+    }
+    return result;
+}
+
+/**
+ * Check whether a code has ever been used
+ *
+ * A code is taken if a venue holds it now, a venue held it recently, or
+ * it appears in historical check-ins (reusing it would mix two venues'
+ * visitors together when tracing).
+ *
+ * @param {Object} connection - MySQL connection from the pool
+ * @param {string} code - Candidate code
+ * @param {Function} callback - Called with (err, taken)
+ */
+function isCodeTaken(connection, code, callback) {
+    var query = 'SELECT 1 FROM venue WHERE check_in_code = ? ' +
+        'UNION ALL SELECT 1 FROM retired_codes WHERE check_in_code = ? ' +
+        'UNION ALL SELECT 1 FROM check_ins WHERE check_in_code = ? LIMIT 1;';
+
+    connection.query(query, [code, code, code], function(err, rows) {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, rows.length > 0);
+    });
+}
+
+/**
+ * Issue a new, unique check-in code to a venue
+ *
+ * If the venue already has a code it is rotated: the old code is kept in
+ * retired_codes and stays valid for the grace period, so posters already
+ * on display keep working while they are replaced.
+ *
+ * @param {Object} connection - MySQL connection from the pool
+ * @param {Object} venue - The venue row
+ * @param {number} graceHours - How long the old code stays valid
+ * @param {Function} callback - Called with (err, code)
+ */
+function issueCode(connection, venue, graceHours, callback) {
+    var attempts = 0;
+
+    function attempt() {
+        attempts++;
+        if (attempts > MAX_CODE_ATTEMPTS) {
+            return callback(new Error('Could not generate a unique check-in code'));
+        }
+
+        var code = generateCode();
+
+        isCodeTaken(connection, code, function(err, taken) {
+            if (err) {
+                return callback(err);
+            }
+            if (taken) {
+                return attempt();
+            }
+            save(code);
+        });
+    }
+
+    function save(code) {
+        connection.beginTransaction(function(err) {
+            if (err) {
+                return callback(err);
+            }
+
+            function rollback(err) {
+                connection.rollback(function() {
+                    // Another venue claimed the code between the check and the update
+                    if (err.code === 'ER_DUP_ENTRY') {
+                        return attempt();
+                    }
+                    callback(err);
+                });
+            }
+
+            function updateVenue() {
+                var query = 'UPDATE venue SET check_in_code = ? WHERE v_id = ?;';
+
+                connection.query(query, [code, venue.v_id], function(err) {
+                    if (err) {
+                        return rollback(err);
+                    }
+
+                    connection.commit(function(err) {
+                        if (err) {
+                            return rollback(err);
+                        }
+                        callback(null, code);
+                    });
+                });
+            }
+
+            if (!venue.check_in_code) {
+                return updateVenue();
+            }
+
+            var retireQuery = 'INSERT INTO retired_codes (check_in_code, v_id, valid_until) ' +
+                'VALUES (?, ?, UTC_TIMESTAMP() + INTERVAL ? HOUR) ' +
+                'ON DUPLICATE KEY UPDATE valid_until = VALUES(valid_until);';
+
+            connection.query(retireQuery, [venue.check_in_code, venue.v_id, graceHours], function(err) {
+                if (err) {
+                    return rollback(err);
+                }
+                updateVenue();
+            });
+        });
+    }
+
+    attempt();
+}
+
+module.exports = {
+    SQ_METERS_PER_PERSON: SQ_METERS_PER_PERSON,
+    calculateCapacity: calculateCapacity,
+    formatVenue: formatVenue,
+    findVenue: findVenue,
+    findManagedVenue: findManagedVenue,
+    checkInsAtVenue: checkins.checkInsAtVenue,
+    resolveCheckInCode: resolveCheckInCode,
+    currentOccupancy: currentOccupancy,
+    occupancyAt: occupancyAt,
+    capacityStatus: capacityStatus,
+    lockCapacityStatus: lockCapacityStatus,
+    issueCode: issueCode
+};
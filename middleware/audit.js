@@ -0,0 +1,56 @@
+/**
+ * CovidWatch - Audit Middleware
+ *
+ * Records a route's action in the audit log (see lib/audit.js) when it
+ * succeeds. The entries are written before the JSON response is sent:
+ * if they cannot be saved the request fails, so data is never shown
+ * without the view being on record.
+ */
+
+var auditLog = require('../lib/audit');
+
+/**
+ * Audit Middleware Factory
+ *
+ * Wraps res.json so that a successful (2xx) response is recorded first.
+ * Error responses are sent as they are.
+ *
+ * @param {string} action - One of auditLog.ACTIONS
+ * @param {Function} describe - Called with (req, body), body being the
+ *   response about to be sent. Returns the target or targets to record,
+ *   as for auditLog.entriesFor, or null to record nothing.
+ */
+function audit(action, describe) {
+    return function(req, res, next) {
+        var json = res.json;
+
+        res.json = function(body) {
+            res.json = json;
+
+            if (res.statusCode < 200 || res.statusCode >= 300) {
+                return res.json(body);
+            }
+
+            var targets = describe(req, body);
+            if (!targets) {
+                return res.json(body);
+            }
+
+            auditLog.record(req.pool, auditLog.entriesFor(req, action, targets), function(err) {
+                if (err) {
+                    console.error('Audit log error:', err);
+                    return res.status(500).json({ error: 'Server error' });
+                }
+                res.json(body);
+            });
+
+            return res;
+        };
+
+        next();
+    };
+}
+
+module.exports = {
+    audit: audit
+};
@@ -0,0 +1,62 @@
+/**
+ * CovidWatch - Authentication Middleware
+ *
+ * Session and role checks shared by all route modules.
+ * Each router previously carried its own copy of these functions.
+ */
+
+var twofactor = require('../lib/twofactor');
+
+/**
+ * Authentication Middleware
+ *
+ * Checks if a user is logged in before allowing access to protected routes.
+ * Returns 401 Unauthorized if no valid session exists.
+ */
+function requireAuth(req, res, next) {
+    if (req.session && req.session.user) {
+        next();
+    } else {
+        res.status(401).json({ error: 'Authentication required' });
+    }
+}
+
+/**
+ * Role-based Authorization Middleware Factory
+ *
+ * Creates middleware that checks if the user has one of the allowed roles.
+ * This enforces principle of least privilege.
+ *
+ * Roles that must use two-factor authentication (admins) are refused until
+ * they have turned it on, with two_factor_setup_required in the response
+ * so the page can send them to set it up.
+ *
+ * @param {string[]} allowedRoles - Array of roles allowed to access the route
+ */
+function requireRole(allowedRoles) {
+    return function(req, res, next) {
+        if (!req.session || !req.session.user) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+
+        var userType = req.session.user.user_type;
+
+        if (!allowedRoles.includes(userType)) {
+            return res.status(403).json({ error: 'Access denied. Insufficient permissions.' });
+        }
+
+        if (twofactor.REQUIRED_ROLES.includes(userType) && !req.session.user.totp_enabled) {
+            return res.status(403).json({
+                error: 'Two-factor authentication must be set up for this account',
+                two_factor_setup_required: true
+            });
+        }
+
+        next();
+    };
+}
+
+module.exports = {
+    requireAuth: requireAuth,
+    requireRole: requireRole
+};
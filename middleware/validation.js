@@ -6,7 +6,13 @@
  * Following OWASP guidelines for input validation.
  */
 
-var { body, validationResult } = require('express-validator');
+var { body, param, query, validationResult } = require('express-validator');
+
+var auditLog = require('../lib/audit');
+var timezones = require('../lib/timezones');
+
+// Account roles an admin can assign
+var USER_TYPES = ['user', 'manager', 'admin'];
 
 /**
  * Handle validation errors
@@ -56,22 +62,14 @@ var loginValidation = [
 ];
 
 /**
- * Signup validation schema
- * Comprehensive validation for all registration fields
+ * New password rules
+ * Shared by signup and password changes
+ *
+ * @param {Object} chain - Validation chain for the password field
+ * @returns {Object} The chain with the password rules added
  */
-var signupValidation = [
-    body('user')
-        .exists({ checkFalsy: true })
-        .withMessage('Username is required')
-        .isString()
-        .withMessage('Username must be a string')
-        .trim()
-        .isLength({ min: 3, max: 30 })
-        .withMessage('Username must be 3-30 characters')
-        .matches(/^[a-zA-Z0-9_]+$/)
-        .withMessage('Username can only contain letters, numbers, and underscores'),
-
-    body('pass')
+function passwordRules(chain) {
+    return chain
         .exists({ checkFalsy: true })
         .withMessage('Password is required')
         .isString()
@@ -83,9 +81,18 @@ var signupValidation = [
         .matches(/[A-Z]/)
         .withMessage('Password must contain at least one uppercase letter')
         .matches(/[0-9]/)
-        .withMessage('Password must contain at least one number'),
+        .withMessage('Password must contain at least one number');
+}
 
-    body('email')
+/**
+ * Email address rules
+ * Shared by signup and email changes
+ *
+ * @param {Object} chain - Validation chain for the email field
+ * @returns {Object} The chain with the email rules added
+ */
+function emailRules(chain) {
+    return chain
         .exists({ checkFalsy: true })
         .withMessage('Email is required')
         .isString()
@@ -95,7 +102,28 @@ var signupValidation = [
         .withMessage('Invalid email address')
         .normalizeEmail()
         .isLength({ max: 254 })
-        .withMessage('Email must be less than 254 characters'),
+        .withMessage('Email must be less than 254 characters');
+}
+
+/**
+ * Signup validation schema
+ * Comprehensive validation for all registration fields
+ */
+var signupValidation = [
+    body('user')
+        .exists({ checkFalsy: true })
+        .withMessage('Username is required')
+        .isString()
+        .withMessage('Username must be a string')
+        .trim()
+        .isLength({ min: 3, max: 30 })
+        .withMessage('Username must be 3-30 characters')
+        .matches(/^[a-zA-Z0-9_]+$/)
+        .withMessage('Username can only contain letters, numbers, and underscores'),
+
+    passwordRules(body('pass')),
+
+    emailRules(body('email')),
 
     body('given_name')
         .exists({ checkFalsy: true })
@@ -130,9 +158,183 @@ var signupValidation = [
     handleValidationErrors
 ];
 
+/**
+ * Current password rule
+ * Sensitive account changes must be confirmed with the current password
+ */
+var currentPassword = body('current_password')
+    .exists({ checkFalsy: true })
+    .withMessage('Current password is required')
+    .isString()
+    .withMessage('Current password must be a string')
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Current password is required');
+
+/**
+ * Password change validation schema
+ * Validates the current password and applies the signup rules to the new one
+ */
+var changePasswordValidation = [
+    currentPassword,
+
+    passwordRules(body('new_password'))
+        .custom(function(value, meta) {
+            if (value === meta.req.body.current_password) {
+                throw new Error('New password must be different from the current password');
+            }
+            return true;
+        }),
+
+    handleValidationErrors
+];
+
+/**
+ * Email change validation schema
+ * Validates the current password and applies the signup rules to the new email
+ */
+var changeEmailValidation = [
+    currentPassword,
+    emailRules(body('email')),
+    handleValidationErrors
+];
+
+/**
+ * Password reset request validation schema
+ * Validates the email address to send a reset link to
+ */
+var passwordResetRequestValidation = [
+    emailRules(body('email')),
+    handleValidationErrors
+];
+
+/**
+ * Password reset validation schema
+ * Validates the reset token and applies the signup rules to the new password
+ */
+var passwordResetValidation = [
+    body('token')
+        .exists({ checkFalsy: true })
+        .withMessage('Reset token is required')
+        .isString()
+        .withMessage('Reset token must be a string')
+        .matches(/^[a-f0-9]{64}$/)
+        .withMessage('Invalid reset token'),
+
+    passwordRules(body('new_password')),
+
+    handleValidationErrors
+];
+
+/**
+ * Authenticator code rules
+ * Shared by two-factor login and enrolment
+ */
+function authenticatorCodeRules(chain) {
+    return chain
+        .isString()
+        .withMessage('Authentication code must be a string')
+        .trim()
+        .matches(/^[0-9]{6}$/)
+        .withMessage('Authentication code must be 6 digits');
+}
+
+/**
+ * Two-factor login validation schema
+ * Validates an authenticator code or a recovery code, but not both
+ */
+var twoFactorLoginValidation = [
+    authenticatorCodeRules(body('code').optional({ values: 'falsy' })),
+
+    body('recovery_code')
+        .optional({ values: 'falsy' })
+        .isString()
+        .withMessage('Recovery code must be a string')
+        .trim()
+        .matches(/^[a-fA-F0-9]{5}-?[a-fA-F0-9]{5}$/)
+        .withMessage('Invalid recovery code'),
+
+    body().custom(function(value) {
+        if (!value.code === !value.recovery_code) {
+            throw new Error('Enter an authentication code or a recovery code');
+        }
+        return true;
+    }),
+
+    handleValidationErrors
+];
+
+/**
+ * Two-factor enrolment validation schema
+ * Validates the first code from the authenticator app
+ */
+var twoFactorEnableValidation = [
+    authenticatorCodeRules(body('code').exists({ checkFalsy: true }).withMessage('Authentication code is required')),
+    handleValidationErrors
+];
+
+/**
+ * Current password validation schema
+ * For actions confirmed only with the current password, such as turning
+ * two-factor authentication off
+ */
+var currentPasswordValidation = [
+    currentPassword,
+    handleValidationErrors
+];
+
+/**
+ * Visit date and time rules
+ * Shared by the check-in and check-out schemas
+ */
+var checkInDate = body('date')
+    .exists({ checkFalsy: true })
+    .withMessage('Date is required')
+    .isString()
+    .withMessage('Date must be a string')
+    .matches(/^\d{4}-\d{1,2}-\d{1,2}$/)
+    .withMessage('Date must be in YYYY-MM-DD format')
+    .custom(function(value) {
+        var date = new Date(value);
+        if (isNaN(date.getTime())) {
+            throw new Error('Invalid date');
+        }
+        // Prevent future dates more than 1 day ahead
+        var tomorrow = new Date();
+        tomorrow.setDate(tomorrow.getDate() + 1);
+        if (date > tomorrow) {
+            throw new Error('Date cannot be in the future');
+        }
+        // Prevent dates more than 30 days in the past
+        var thirtyDaysAgo = new Date();
+        thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+        if (date < thirtyDaysAgo) {
+            throw new Error('Date cannot be more than 30 days in the past');
+        }
+        return true;
+    });
+
+var checkInTime = body('time')
+    .exists({ checkFalsy: true })
+    .withMessage('Time is required')
+    .isString()
+    .withMessage('Time must be a string')
+    .matches(/^\d{1,2}:\d{2}:\d{2}$/)
+    .withMessage('Time must be in HH:MM:SS format')
+    .custom(function(value) {
+        var parts = value.split(':');
+        var hours = parseInt(parts[0], 10);
+        var minutes = parseInt(parts[1], 10);
+        var seconds = parseInt(parts[2], 10);
+        if (hours < 0 || hours > 23 || minutes < 0 || minutes > 59 || seconds < 0 || seconds > 59) {
+            throw new Error('Invalid time values');
+        }
+        return true;
+    });
+
 /**
  * Check-in validation schema
- * Validates venue code, date, and time
+ * Validates venue code, date, and time, and the id and timestamp of a
+ * check-in that was queued while offline
  */
 var checkInValidation = [
     body('check_in')
@@ -146,50 +348,128 @@ var checkInValidation = [
         .matches(/^[a-zA-Z0-9]+$/)
         .withMessage('Check-in code can only contain letters and numbers'),
 
-    body('date')
-        .exists({ checkFalsy: true })
-        .withMessage('Date is required')
+    checkInDate,
+
+    checkInTime,
+
+    body('offline_id')
+        .optional()
         .isString()
-        .withMessage('Date must be a string')
-        .matches(/^\d{4}-\d{1,2}-\d{1,2}$/)
-        .withMessage('Date must be in YYYY-MM-DD format')
+        .withMessage('Offline id must be a string')
+        .matches(/^[a-zA-Z0-9-]{8,64}$/)
+        .withMessage('Invalid offline id'),
+
+    // When an offline check-in happened, as an ISO 8601 timestamp
+    body('occurred_at')
+        .if(body('offline_id').exists())
+        .exists({ checkFalsy: true })
+        .withMessage('Offline check-ins must say when they happened')
+        .isISO8601({ strict: true })
+        .withMessage('Invalid check-in timestamp')
         .custom(function(value) {
-            var date = new Date(value);
-            if (isNaN(date.getTime())) {
-                throw new Error('Invalid date');
+            var occurredAt = new Date(value);
+            // Allow a few minutes for the phone's clock running fast
+            if (occurredAt.getTime() > Date.now() + 5 * 60 * 1000) {
+                throw new Error('Check-in timestamp cannot be in the future');
             }
-            // Prevent future dates more than 1 day ahead
-            var tomorrow = new Date();
-            tomorrow.setDate(tomorrow.getDate() + 1);
-            if (date > tomorrow) {
-                throw new Error('Date cannot be in the future');
-            }
-            // Prevent dates more than 30 days in the past
             var thirtyDaysAgo = new Date();
             thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-            if (date < thirtyDaysAgo) {
-                throw new Error('Date cannot be more than 30 days in the past');
+            if (occurredAt < thirtyDaysAgo) {
+                throw new Error('Check-in timestamp cannot be more than 30 days in the past');
             }
             return true;
         }),
 
-    body('time')
+    // Dependants checking in with the user, by dependant_id
+    body('dependants')
+        .optional()
+        .isArray({ max: 20 })
+        .withMessage('Dependants must be a list of up to 20 ids'),
+
+    body('dependants.*')
+        .isInt({ min: 1 })
+        .withMessage('Invalid dependant id')
+        .toInt(),
+
+    handleValidationErrors
+];
+
+/**
+ * Guest check-in validation schema
+ * Validates venue code, date, and time, and the name and phone number a
+ * visitor without an account gives instead
+ */
+var guestCheckInValidation = [
+    body('check_in')
         .exists({ checkFalsy: true })
-        .withMessage('Time is required')
+        .withMessage('Check-in code is required')
         .isString()
-        .withMessage('Time must be a string')
-        .matches(/^\d{1,2}:\d{2}:\d{2}$/)
-        .withMessage('Time must be in HH:MM:SS format')
-        .custom(function(value) {
-            var parts = value.split(':');
-            var hours = parseInt(parts[0], 10);
-            var minutes = parseInt(parts[1], 10);
-            var seconds = parseInt(parts[2], 10);
-            if (hours < 0 || hours > 23 || minutes < 0 || minutes > 59 || seconds < 0 || seconds > 59) {
-                throw new Error('Invalid time values');
-            }
-            return true;
-        }),
+        .withMessage('Check-in code must be a string')
+        .trim()
+        .isLength({ min: 4, max: 10 })
+        .withMessage('Check-in code must be 4-10 characters')
+        .matches(/^[a-zA-Z0-9]+$/)
+        .withMessage('Check-in code can only contain letters and numbers'),
+
+    checkInDate,
+
+    checkInTime,
+
+    body('name')
+        .exists({ checkFalsy: true })
+        .withMessage('Name is required')
+        .isString()
+        .withMessage('Name must be a string')
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Name must be 1-100 characters')
+        .matches(/^[a-zA-Z\s\-'.]+$/)
+        .withMessage('Name can only contain letters, spaces, hyphens, apostrophes, and periods'),
+
+    body('phone_number')
+        .exists({ checkFalsy: true })
+        .withMessage('Phone number is required')
+        .isString()
+        .withMessage('Phone number must be a string')
+        .trim()
+        .matches(/^\+?[0-9 ]{8,20}$/)
+        .withMessage('Phone number must be 8-20 digits, optionally starting with +'),
+
+    handleValidationErrors
+];
+
+/**
+ * Check-in code URL parameter validation
+ * Used by the deep-link check-in routes, e.g. GET /checkin/:code
+ */
+var checkInCodeParamValidation = [
+    param('code')
+        .isLength({ min: 4, max: 10 })
+        .withMessage('Check-in code must be 4-10 characters')
+        .matches(/^[a-zA-Z0-9]+$/)
+        .withMessage('Check-in code can only contain letters and numbers'),
+
+    handleValidationErrors
+];
+
+/**
+ * Check-out validation schema
+ * Validates the check-out date and time, and the optional venue code
+ */
+var checkOutValidation = [
+    body('check_in')
+        .optional({ values: 'falsy' })
+        .isString()
+        .withMessage('Check-in code must be a string')
+        .trim()
+        .isLength({ min: 4, max: 10 })
+        .withMessage('Check-in code must be 4-10 characters')
+        .matches(/^[a-zA-Z0-9]+$/)
+        .withMessage('Check-in code can only contain letters and numbers'),
+
+    checkInDate,
+
+    checkInTime,
 
     handleValidationErrors
 ];
@@ -214,10 +494,463 @@ var markerValidation = [
     handleValidationErrors
 ];
 
+/**
+ * Contact tracing validation schema
+ * Validates the case username, infectious period and tracing window
+ */
+var traceValidation = [
+    body('username')
+        .exists({ checkFalsy: true })
+        .withMessage('Username is required')
+        .isString()
+        .withMessage('Username must be a string')
+        .trim()
+        .isLength({ min: 3, max: 30 })
+        .withMessage('Username must be 3-30 characters')
+        .matches(/^[a-zA-Z0-9_]+$/)
+        .withMessage('Username can only contain letters, numbers, and underscores'),
+
+    body('from')
+        .exists({ checkFalsy: true })
+        .withMessage('Start date is required')
+        .matches(/^\d{4}-\d{2}-\d{2}$/)
+        .withMessage('Start date must be in YYYY-MM-DD format')
+        .isISO8601({ strict: true })
+        .withMessage('Invalid start date'),
+
+    body('to')
+        .exists({ checkFalsy: true })
+        .withMessage('End date is required')
+        .matches(/^\d{4}-\d{2}-\d{2}$/)
+        .withMessage('End date must be in YYYY-MM-DD format')
+        .isISO8601({ strict: true })
+        .withMessage('Invalid end date')
+        .custom(function(value, meta) {
+            if (new Date(value) < new Date(meta.req.body.from)) {
+                throw new Error('End date cannot be before start date');
+            }
+            return true;
+        }),
+
+    body('window_minutes')
+        .optional()
+        .isInt({ min: 0, max: 24 * 60 })
+        .withMessage('Window must be between 0 and 1440 minutes')
+        .toInt(),
+
+    handleValidationErrors
+];
+
+/**
+ * Venue attendance validation schema
+ * Validates the optional day to report on (defaults to today)
+ */
+var attendanceValidation = [
+    query('date')
+        .optional({ values: 'falsy' })
+        .matches(/^\d{4}-\d{2}-\d{2}$/)
+        .withMessage('Date must be in YYYY-MM-DD format')
+        .isISO8601({ strict: true })
+        .withMessage('Invalid date'),
+
+    handleValidationErrors
+];
+
+/**
+ * Attendance export validation schema
+ * Validates the date range and file format of an attendance export
+ */
+var exportValidation = [
+    query('from')
+        .exists({ checkFalsy: true })
+        .withMessage('Start date is required')
+        .matches(/^\d{4}-\d{2}-\d{2}$/)
+        .withMessage('Start date must be in YYYY-MM-DD format')
+        .isISO8601({ strict: true })
+        .withMessage('Invalid start date'),
+
+    query('to')
+        .exists({ checkFalsy: true })
+        .withMessage('End date is required')
+        .matches(/^\d{4}-\d{2}-\d{2}$/)
+        .withMessage('End date must be in YYYY-MM-DD format')
+        .isISO8601({ strict: true })
+        .withMessage('Invalid end date')
+        .custom(function(value, meta) {
+            if (new Date(value) < new Date(meta.req.query.from)) {
+                throw new Error('End date cannot be before start date');
+            }
+            return true;
+        }),
+
+    query('format')
+        .optional({ values: 'falsy' })
+        .isIn(['csv', 'xlsx'])
+        .withMessage('Format must be csv or xlsx'),
+
+    handleValidationErrors
+];
+
+/**
+ * Venue capacity validation schema
+ * Validates the floor area and the optional enforcement flag
+ */
+var capacityValidation = [
+    body('floor_area')
+        .exists()
+        .withMessage('Floor area is required')
+        .isFloat({ min: 1, max: 1000000 })
+        .withMessage('Floor area must be between 1 and 1,000,000 square meters')
+        .toFloat(),
+
+    body('enforce_capacity')
+        .optional()
+        .isBoolean()
+        .withMessage('Enforce capacity must be true or false')
+        .toBoolean(),
+
+    handleValidationErrors
+];
+
+/**
+ * Venue details validation schema
+ * Validates the venue's name, Australian street address and maximum stay
+ */
+var venueValidation = [
+    body('venue_name')
+        .exists({ checkFalsy: true })
+        .withMessage('Venue name is required')
+        .isString()
+        .withMessage('Venue name must be a string')
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Venue name must be 1-100 characters')
+        .matches(/^[a-zA-Z0-9\s\-'&.,]+$/)
+        .withMessage('Venue name can only contain letters, numbers, spaces, and basic punctuation'),
+
+    body('street_number')
+        .exists({ checkFalsy: true })
+        .withMessage('Street number is required')
+        .isInt({ min: 1, max: 99999 })
+        .withMessage('Street number must be a number between 1 and 99999')
+        .toInt(),
+
+    body('street_name')
+        .exists({ checkFalsy: true })
+        .withMessage('Street name is required')
+        .isString()
+        .withMessage('Street name must be a string')
+        .trim()
+        .isLength({ min: 1, max: 50 })
+        .withMessage('Street name must be 1-50 characters')
+        .matches(/^[a-zA-Z\s\-'.]+$/)
+        .withMessage('Street name can only contain letters, spaces, hyphens, apostrophes, and periods'),
+
+    body('suburb_town')
+        .exists({ checkFalsy: true })
+        .withMessage('Suburb or town is required')
+        .isString()
+        .withMessage('Suburb or town must be a string')
+        .trim()
+        .isLength({ min: 1, max: 128 })
+        .withMessage('Suburb or town must be 1-128 characters')
+        .matches(/^[a-zA-Z\s\-'.]+$/)
+        .withMessage('Suburb or town can only contain letters, spaces, hyphens, apostrophes, and periods'),
+
+    body('state')
+        .exists({ checkFalsy: true })
+        .withMessage('State is required')
+        .isIn(['ACT', 'NSW', 'NT', 'QLD', 'SA', 'TAS', 'VIC', 'WA'])
+        .withMessage('State must be an Australian state or territory (e.g. SA)'),
+
+    body('postcode')
+        .exists({ checkFalsy: true })
+        .withMessage('Postcode is required')
+        .matches(/^\d{4}$/)
+        .withMessage('Postcode must be 4 digits')
+        .toInt(),
+
+    body('max_stay_minutes')
+        .optional({ values: 'falsy' })
+        .isInt({ min: 15, max: 24 * 60 })
+        .withMessage('Maximum stay must be between 15 and 1440 minutes')
+        .toInt(),
+
+    // Left out to use the state's time zone
+    body('timezone')
+        .optional({ values: 'falsy' })
+        .isIn(timezones.AUSTRALIAN_TIMEZONES)
+        .withMessage('Time zone must be an Australian time zone (e.g. Australia/Adelaide)'),
+
+    handleValidationErrors
+];
+
+/**
+ * Venue code issuance validation schema
+ * Validates the optional grace period for the code being replaced
+ */
+var venueCodeValidation = [
+    body('grace_hours')
+        .optional()
+        .isInt({ min: 0, max: 168 })
+        .withMessage('Grace period must be between 0 and 168 hours')
+        .toInt(),
+
+    handleValidationErrors
+];
+
+/**
+ * Check that a date string is not in the future and not older than 30 days
+ * Shared by schemas that accept recent self-reported dates
+ */
+function recentDate(value) {
+    var date = new Date(value);
+    var tomorrow = new Date();
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    if (date > tomorrow) {
+        throw new Error('Date cannot be in the future');
+    }
+    var thirtyDaysAgo = new Date();
+    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+    if (date < thirtyDaysAgo) {
+        throw new Error('Date cannot be more than 30 days in the past');
+    }
+    return true;
+}
+
+/**
+ * Positive test report validation schema
+ * Validates the test date and optional symptom-onset date
+ */
+var positiveReportValidation = [
+    body('test_date')
+        .exists({ checkFalsy: true })
+        .withMessage('Test date is required')
+        .matches(/^\d{4}-\d{2}-\d{2}$/)
+        .withMessage('Test date must be in YYYY-MM-DD format')
+        .isISO8601({ strict: true })
+        .withMessage('Invalid test date')
+        .custom(recentDate),
+
+    body('onset_date')
+        .optional({ values: 'falsy' })
+        .matches(/^\d{4}-\d{2}-\d{2}$/)
+        .withMessage('Symptom onset date must be in YYYY-MM-DD format')
+        .isISO8601({ strict: true })
+        .withMessage('Invalid symptom onset date')
+        .custom(recentDate),
+
+    handleValidationErrors
+];
+
+/**
+ * Dependant validation schema
+ * Validates a dependant's name and optional contact details
+ */
+var dependantValidation = [
+    body('given_name')
+        .exists({ checkFalsy: true })
+        .withMessage('First name is required')
+        .isString()
+        .withMessage('First name must be a string')
+        .trim()
+        .isLength({ min: 1, max: 50 })
+        .withMessage('First name must be 1-50 characters')
+        .matches(/^[a-zA-Z\s\-']+$/)
+        .withMessage('First name can only contain letters, spaces, hyphens, and apostrophes'),
+
+    body('family_name')
+        .exists({ checkFalsy: true })
+        .withMessage('Last name is required')
+        .isString()
+        .withMessage('Last name must be a string')
+        .trim()
+        .isLength({ min: 1, max: 50 })
+        .withMessage('Last name must be 1-50 characters')
+        .matches(/^[a-zA-Z\s\-']+$/)
+        .withMessage('Last name can only contain letters, spaces, hyphens, and apostrophes'),
+
+    body('phone_number')
+        .optional({ values: 'falsy' })
+        .isString()
+        .withMessage('Phone number must be a string')
+        .trim()
+        .matches(/^\+?[0-9 ]{8,20}$/)
+        .withMessage('Phone number must be 8-20 digits, optionally starting with +'),
+
+    body('email')
+        .optional({ values: 'falsy' })
+        .isString()
+        .withMessage('Email must be a string')
+        .trim()
+        .isEmail()
+        .withMessage('Invalid email address')
+        .normalizeEmail()
+        .isLength({ max: 254 })
+        .withMessage('Email must be less than 254 characters'),
+
+    handleValidationErrors
+];
+
+/**
+ * Numeric route parameter validation
+ * Used by routes that act on a single record by id
+ */
+var idParamValidation = [
+    param('id')
+        .isInt({ min: 1 })
+        .withMessage('Invalid id')
+        .toInt(),
+
+    handleValidationErrors
+];
+
+/**
+ * Admin user search validation schema
+ * Validates the optional search text, role filter and page number
+ */
+var userSearchValidation = [
+    query('q')
+        .optional({ values: 'falsy' })
+        .isString()
+        .withMessage('Search must be a string')
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Search must be less than 100 characters'),
+
+    query('user_type')
+        .optional({ values: 'falsy' })
+        .isIn(USER_TYPES)
+        .withMessage('User type must be "user", "manager" or "admin"'),
+
+    query('page')
+        .optional({ values: 'falsy' })
+        .isInt({ min: 1, max: 10000 })
+        .withMessage('Page must be a positive number')
+        .toInt(),
+
+    handleValidationErrors
+];
+
+/**
+ * Audit log search validation schema
+ * Validates the optional filters and page of an audit log search
+ */
+var auditSearchValidation = [
+    query('actor')
+        .optional({ values: 'falsy' })
+        .isString()
+        .withMessage('Actor must be a string')
+        .trim()
+        .isLength({ max: 50 })
+        .withMessage('Actor must be less than 50 characters'),
+
+    query('action')
+        .optional({ values: 'falsy' })
+        .isIn(auditLog.ACTIONS)
+        .withMessage('Unknown action'),
+
+    query('target_type')
+        .optional({ values: 'falsy' })
+        .isIn(auditLog.TARGET_TYPES)
+        .withMessage('Unknown target type'),
+
+    query('target')
+        .optional({ values: 'falsy' })
+        .isString()
+        .withMessage('Target must be a string')
+        .trim()
+        .isLength({ max: 50 })
+        .withMessage('Target must be less than 50 characters'),
+
+    query('from')
+        .optional({ values: 'falsy' })
+        .matches(/^\d{4}-\d{2}-\d{2}$/)
+        .withMessage('Start date must be in YYYY-MM-DD format')
+        .isISO8601({ strict: true })
+        .withMessage('Invalid start date'),
+
+    query('to')
+        .optional({ values: 'falsy' })
+        .matches(/^\d{4}-\d{2}-\d{2}$/)
+        .withMessage('End date must be in YYYY-MM-DD format')
+        .isISO8601({ strict: true })
+        .withMessage('Invalid end date')
+        .custom(function(value, meta) {
+            if (meta.req.query.from && new Date(value) < new Date(meta.req.query.from)) {
+                throw new Error('End date cannot be before start date');
+            }
+            return true;
+        }),
+
+    query('page')
+        .optional({ values: 'falsy' })
+        .isInt({ min: 1, max: 10000 })
+        .withMessage('Page must be a positive number')
+        .toInt(),
+
+    handleValidationErrors
+];
+
+/**
+ * Admin role change validation schema
+ * Validates the new user type of an account
+ */
+var userTypeValidation = [
+    body('user_type')
+        .exists({ checkFalsy: true })
+        .withMessage('User type is required')
+        .isString()
+        .withMessage('User type must be a string')
+        .isIn(USER_TYPES)
+        .withMessage('User type must be "user", "manager" or "admin"'),
+
+    handleValidationErrors
+];
+
+/**
+ * Manager application review validation schema
+ * Validates the optional note to the applicant
+ */
+var applicationReviewValidation = [
+    body('note')
+        .optional({ values: 'falsy' })
+        .isString()
+        .withMessage('Note must be a string')
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Note must be less than 500 characters'),
+
+    handleValidationErrors
+];
+
 module.exports = {
     loginValidation: loginValidation,
     signupValidation: signupValidation,
+    changePasswordValidation: changePasswordValidation,
+    changeEmailValidation: changeEmailValidation,
+    passwordResetRequestValidation: passwordResetRequestValidation,
+    passwordResetValidation: passwordResetValidation,
+    twoFactorLoginValidation: twoFactorLoginValidation,
+    twoFactorEnableValidation: twoFactorEnableValidation,
+    currentPasswordValidation: currentPasswordValidation,
     checkInValidation: checkInValidation,
+    guestCheckInValidation: guestCheckInValidation,
+    checkInCodeParamValidation: checkInCodeParamValidation,
+    checkOutValidation: checkOutValidation,
     markerValidation: markerValidation,
+    traceValidation: traceValidation,
+    attendanceValidation: attendanceValidation,
+    exportValidation: exportValidation,
+    venueValidation: venueValidation,
+    capacityValidation: capacityValidation,
+    venueCodeValidation: venueCodeValidation,
+    positiveReportValidation: positiveReportValidation,
+    dependantValidation: dependantValidation,
+    idParamValidation: idParamValidation,
+    userSearchValidation: userSearchValidation,
+    userTypeValidation: userTypeValidation,
+    applicationReviewValidation: applicationReviewValidation,
+    auditSearchValidation: auditSearchValidation,
     handleValidationErrors: handleValidationErrors
 };
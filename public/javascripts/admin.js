@@ -0,0 +1,510 @@
+/**
+ * Admin Dashboard JavaScript
+ * Handles reviewing venue manager applications, account lockouts after
+ * failed logins, and user account management: searching accounts,
+ * viewing an account's details and check-in count, changing roles, and
+ * disabling or re-enabling accounts. Also searches the audit log.
+ */
+
+// Roles an admin can give an account, with their display names
+var USER_TYPE_NAMES = {
+    user: 'User',
+    manager: 'Manager',
+    admin: 'Admin'
+};
+
+// Page of search results currently shown
+var usersPage = 1;
+
+// Page of audit log entries currently shown
+var auditPage = 1;
+
+/**
+ * Fetches pending manager applications and lists them with buttons to
+ * approve or reject each one.
+ */
+function loadApplications() {
+    var listElement = document.getElementById('applications_list');
+    if (!listElement) return;
+
+    var xmlhttp = new XMLHttpRequest();
+
+    xmlhttp.onreadystatechange = function() {
+        if (this.readyState === 4) {
+            if (this.status !== 200) {
+                listElement.innerHTML = '<p>Unable to load applications.</p>';
+                return;
+            }
+
+            var list = JSON.parse(this.responseText);
+            if (list.length === 0) {
+                listElement.innerHTML = '<p>No applications are waiting for review.</p>';
+                return;
+            }
+
+            var html = '<table class="history-table"><thead><tr>' +
+                '<th>Username</th><th>Name</th><th>Email</th><th>Applied</th><th></th>' +
+                '</tr></thead><tbody>';
+
+            list.forEach(function(application) {
+                html += '<tr>';
+                html += '<td>' + escapeHtml(application.username) + '</td>';
+                html += '<td>' + escapeHtml([application.given_name, application.family_name].filter(Boolean).join(' ')) + '</td>';
+                html += '<td>' + escapeHtml(application.email_address) + '</td>';
+                html += '<td>' + escapeHtml(new Date(application.applied_at).toLocaleDateString()) + '</td>';
+                html += '<td>' +
+                    '<button type="button" class="btn-link" onclick="reviewApplication(' + application.application_id + ', \'approve\')">' +
+                    '<i class="fa fa-check"></i> Approve</button> ' +
+                    '<button type="button" class="btn-link" onclick="reviewApplication(' + application.application_id + ', \'reject\')">' +
+                    '<i class="fa fa-times"></i> Reject</button></td>';
+                html += '</tr>';
+            });
+
+            html += '</tbody></table>';
+            listElement.innerHTML = html;
+        }
+    };
+
+    xmlhttp.open('GET', '/admin/manager_applications', true);
+    xmlhttp.send();
+}
+
+/**
+ * Approves or rejects a manager application, with an optional note
+ * for the applicant.
+ *
+ * @param {number} id - The application's application_id
+ * @param {string} decision - 'approve' or 'reject'
+ */
+function reviewApplication(id, decision) {
+    var note = prompt((decision === 'approve' ? 'Approve' : 'Reject') +
+        ' this application? Add a note for the applicant (optional):', '');
+
+    // Cancelled
+    if (note === null) {
+        return;
+    }
+
+    var body = {};
+    if (note.trim()) {
+        body.note = note.trim();
+    }
+
+    var xmlhttp = new XMLHttpRequest();
+
+    xmlhttp.onreadystatechange = function() {
+        if (this.readyState === 4) {
+            if (this.status === 200) {
+                loadApplications();
+                searchUsers();
+            } else if (this.status === 404) {
+                alert('This application has already been reviewed.');
+                loadApplications();
+            } else {
+                alert('Unable to review application. Please try again.');
+            }
+        }
+    };
+
+    xmlhttp.open('POST', '/admin/manager_applications/' + encodeURIComponent(id) + '/' + decision, true);
+    xmlhttp.setRequestHeader('Content-Type', 'application/json');
+    xmlhttp.send(JSON.stringify(body));
+}
+
+/**
+ * Fetches accounts with failed login attempts and lists them, locked
+ * accounts first, with a button to unlock each locked one.
+ */
+function loadLockouts() {
+    var listElement = document.getElementById('lockouts_list');
+    if (!listElement) return;
+
+    var xmlhttp = new XMLHttpRequest();
+
+    xmlhttp.onreadystatechange = function() {
+        if (this.readyState === 4) {
+            if (this.status !== 200) {
+                listElement.innerHTML = '<p>Unable to load lockouts.</p>';
+                return;
+            }
+
+            var list = JSON.parse(this.responseText);
+            if (list.length === 0) {
+                listElement.innerHTML = '<p>No accounts have failed login attempts.</p>';
+                return;
+            }
+
+            var html = '<table class="history-table"><thead><tr>' +
+                '<th>Username</th><th>Failed Logins</th><th>Last Attempt</th><th>From</th><th>Locked Until</th><th></th>' +
+                '</tr></thead><tbody>';
+
+            list.forEach(function(lockout) {
+                html += '<tr>';
+                html += '<td>' + escapeHtml(lockout.username) + '</td>';
+                html += '<td>' + escapeHtml(String(lockout.failed_logins)) + '</td>';
+                html += '<td>' + escapeHtml(lockout.last_failed_at ? new Date(lockout.last_failed_at).toLocaleString() : '') + '</td>';
+                html += '<td>' + escapeHtml(lockout.last_failed_ip || '') + '</td>';
+                html += '<td>' + escapeHtml(lockout.locked_until ? new Date(lockout.locked_until).toLocaleString() : 'Not locked') + '</td>';
+                html += '<td>' + (lockout.locked_until ?
+                    '<button type="button" class="btn-link" onclick="unlockUser(' + lockout.u_id + ')">' +
+                    '<i class="fa fa-unlock"></i> Unlock</button>' : '') + '</td>';
+                html += '</tr>';
+            });
+
+            html += '</tbody></table>';
+            listElement.innerHTML = html;
+        }
+    };
+
+    xmlhttp.open('GET', '/admin/lockouts', true);
+    xmlhttp.send();
+}
+
+/**
+ * Searches user accounts and shows a page of results.
+ *
+ * @param {number} [page] - Page to show (defaults to the current page)
+ */
+function searchUsers(page) {
+    var listElement = document.getElementById('users_list');
+    if (!listElement) return;
+
+    usersPage = page || usersPage;
+
+    var params = ['page=' + usersPage];
+    var search = document.getElementById('user_search').value.trim();
+    var userType = document.getElementById('user_type_filter').value;
+    if (search) {
+        params.push('q=' + encodeURIComponent(search));
+    }
+    if (userType) {
+        params.push('user_type=' + encodeURIComponent(userType));
+    }
+
+    var xmlhttp = new XMLHttpRequest();
+
+    xmlhttp.onreadystatechange = function() {
+        if (this.readyState === 4) {
+            if (this.status !== 200) {
+                listElement.innerHTML = '<p>Unable to search users.</p>';
+                return;
+            }
+
+            var data = JSON.parse(this.responseText);
+            showUsers(data);
+        }
+    };
+
+    xmlhttp.open('GET', '/admin/users?' + params.join('&'), true);
+    xmlhttp.send();
+}
+
+/**
+ * Renders a page of user search results with paging controls.
+ *
+ * @param {Object} data - Response from GET /admin/users
+ */
+function showUsers(data) {
+    var listElement = document.getElementById('users_list');
+    var pager = document.getElementById('users_pager');
+
+    if (data.users.length === 0) {
+        listElement.innerHTML = '<p>No users match your search.</p>';
+        pager.innerHTML = '';
+        return;
+    }
+
+    var html = '<table class="history-table"><thead><tr>' +
+        '<th>Username</th><th>Name</th><th>Email</th><th>Role</th><th>Status</th><th></th>' +
+        '</tr></thead><tbody>';
+
+    data.users.forEach(function(user) {
+        html += '<tr' + (user.disabled ? ' class="disabled-user"' : '') + '>';
+        html += '<td>' + escapeHtml(user.username) + '</td>';
+        html += '<td>' + escapeHtml([user.given_name, user.family_name].filter(Boolean).join(' ')) + '</td>';
+        html += '<td>' + escapeHtml(user.email_address) + '</td>';
+        html += '<td>' + escapeHtml(USER_TYPE_NAMES[user.user_type] || 'None') + '</td>';
+        html += '<td>' + (user.disabled ? 'Disabled' : 'Active') + '</td>';
+        html += '<td><button type="button" class="btn-link" onclick="viewUser(' + user.u_id + ')">' +
+            '<i class="fa fa-eye"></i> View</button></td>';
+        html += '</tr>';
+    });
+
+    html += '</tbody></table>';
+    listElement.innerHTML = html;
+
+    var pages = Math.ceil(data.total / data.page_size);
+    pager.innerHTML = '';
+    if (pages > 1) {
+        pager.innerHTML =
+            '<button type="button" class="btn-link" onclick="searchUsers(' + (data.page - 1) + ')"' +
+                (data.page <= 1 ? ' disabled' : '') + '><i class="fa fa-chevron-left"></i> Previous</button>' +
+            '<span>Page ' + data.page + ' of ' + pages + ' (' + data.total + ' users)</span>' +
+            '<button type="button" class="btn-link" onclick="searchUsers(' + (data.page + 1) + ')"' +
+                (data.page >= pages ? ' disabled' : '') + '>Next <i class="fa fa-chevron-right"></i></button>';
+    }
+}
+
+/**
+ * Shows an account's details, check-in count and management controls.
+ *
+ * @param {number} id - The account's u_id
+ */
+function viewUser(id) {
+    var detailsElement = document.getElementById('user_details');
+
+    var xmlhttp = new XMLHttpRequest();
+
+    xmlhttp.onreadystatechange = function() {
+        if (this.readyState === 4) {
+            detailsElement.style.display = 'block';
+
+            if (this.status !== 200) {
+                detailsElement.innerHTML = '<p>Unable to load user.</p>';
+                return;
+            }
+
+            var user = JSON.parse(this.responseText);
+            var lastCheckIn = user.last_checked_in_at ?
+                new Date(user.last_checked_in_at).toLocaleString() : 'Never';
+
+            var options = '';
+            Object.keys(USER_TYPE_NAMES).forEach(function(type) {
+                options += '<option value="' + type + '"' + (user.user_type === type ? ' selected' : '') + '>' +
+                    USER_TYPE_NAMES[type] + '</option>';
+            });
+
+            var html = '<h3>' + escapeHtml(user.username) + '</h3>';
+            html += '<div class="details-card">';
+            html += detailRow('Name', [user.given_name, user.family_name].filter(Boolean).join(' '));
+            html += detailRow('Email', user.email_address);
+            html += detailRow('Status', user.disabled ? 'Disabled' : 'Active');
+            html += detailRow('Check-ins', String(user.check_in_count));
+            html += detailRow('Last check-in', lastCheckIn);
+            html += detailRow('Failed logins since last login', String(user.failed_logins || 0));
+            if (user.locked_until) {
+                html += detailRow('Locked until', new Date(user.locked_until).toLocaleString());
+            }
+            html += '</div>';
+
+            html += '<div class="form-actions">';
+            html += '<select id="user_type_select">' + options + '</select>';
+            html += '<button class="btn btn-primary" onclick="changeUserType(' + user.u_id + ')">' +
+                '<i class="fa fa-save"></i> Change Role</button>';
+            if (user.disabled) {
+                html += '<button class="btn btn-primary" onclick="setUserDisabled(' + user.u_id + ', false)">' +
+                    '<i class="fa fa-check"></i> Re-enable Account</button>';
+            } else {
+                html += '<button class="btn btn-danger" onclick="setUserDisabled(' + user.u_id + ', true)">' +
+                    '<i class="fa fa-ban"></i> Disable Account</button>';
+            }
+            if (user.locked_until) {
+                html += '<button class="btn btn-primary" onclick="unlockUser(' + user.u_id + ')">' +
+                    '<i class="fa fa-unlock"></i> Unlock Account</button>';
+            }
+            html += '<button class="btn-link" data-username="' + escapeHtml(user.username) + '" ' +
+                'onclick="auditForUser(this.dataset.username)"><i class="fa fa-history"></i> Who has seen this account?</button>';
+            html += '</div>';
+
+            detailsElement.innerHTML = html;
+        }
+    };
+
+    xmlhttp.open('GET', '/admin/users/' + encodeURIComponent(id), true);
+    xmlhttp.send();
+}
+
+/**
+ * Builds one row of the account details card.
+ *
+ * @param {string} label - Field name
+ * @param {string} value - Field value (escaped here)
+ * @returns {string} HTML for the row
+ */
+function detailRow(label, value) {
+    return '<div class="detail-row"><span class="detail-label">' + label + ':</span>' +
+        '<span class="detail-value">' + escapeHtml(value) + '</span></div>';
+}
+
+/**
+ * Gives an account the role chosen in its details panel.
+ *
+ * @param {number} id - The account's u_id
+ */
+function changeUserType(id) {
+    var userType = document.getElementById('user_type_select').value;
+
+    if (!confirm('Change this account\'s role to ' + USER_TYPE_NAMES[userType] + '?')) {
+        return;
+    }
+
+    updateUser('PUT', '/admin/users/' + encodeURIComponent(id) + '/user_type', { user_type: userType }, id);
+}
+
+/**
+ * Disables or re-enables an account.
+ *
+ * @param {number} id - The account's u_id
+ * @param {boolean} disabled - Whether to disable the account
+ */
+function setUserDisabled(id, disabled) {
+    if (disabled && !confirm('Disable this account? The user will be logged out and unable to log in.')) {
+        return;
+    }
+
+    updateUser('POST', '/admin/users/' + encodeURIComponent(id) + (disabled ? '/disable' : '/enable'), null, id);
+}
+
+/**
+ * Unlocks an account locked after failed logins.
+ *
+ * @param {number} id - The account's u_id
+ */
+function unlockUser(id) {
+    updateUser('POST', '/admin/users/' + encodeURIComponent(id) + '/unlock', null, id);
+}
+
+/**
+ * Sends an account change, then refreshes the account, the results and
+ * the lockouts.
+ *
+ * @param {string} method - HTTP method
+ * @param {string} url - Admin route for the change
+ * @param {Object|null} body - JSON body, if any
+ * @param {number} id - The account's u_id
+ */
+function updateUser(method, url, body, id) {
+    var xmlhttp = new XMLHttpRequest();
+
+    xmlhttp.onreadystatechange = function() {
+        if (this.readyState === 4) {
+            if (this.status === 200) {
+                viewUser(id);
+                searchUsers();
+                loadLockouts();
+            } else {
+                var data = {};
+                try {
+                    data = JSON.parse(this.responseText);
+                } catch (e) {
+                    // Not a JSON error response
+                }
+                alert(data.error || 'Unable to update user. Please try again.');
+            }
+        }
+    };
+
+    xmlhttp.open(method, url, true);
+    if (body) {
+        xmlhttp.setRequestHeader('Content-Type', 'application/json');
+        xmlhttp.send(JSON.stringify(body));
+    } else {
+        xmlhttp.send();
+    }
+}
+
+/**
+ * Searches the audit log with the filters in the Audit Log section and
+ * shows a page of entries.
+ *
+ * @param {number} [page] - Page to show (defaults to the current page)
+ */
+function searchAudit(page) {
+    var listElement = document.getElementById('audit_list');
+    if (!listElement) return;
+
+    auditPage = page || auditPage;
+
+    var params = ['page=' + auditPage];
+    ['actor', 'action', 'target_type', 'target', 'from', 'to'].forEach(function(field) {
+        var value = document.getElementById('audit_' + field).value.trim();
+        if (value) {
+            params.push(field + '=' + encodeURIComponent(value));
+        }
+    });
+
+    var xmlhttp = new XMLHttpRequest();
+
+    xmlhttp.onreadystatechange = function() {
+        if (this.readyState === 4) {
+            if (this.status !== 200) {
+                var data = {};
+                try {
+                    data = JSON.parse(this.responseText);
+                } catch (e) {
+                    // Not a JSON error response
+                }
+                listElement.innerHTML = '<p>' + escapeHtml(data.error || 'Unable to search the audit log.') + '</p>';
+                document.getElementById('audit_pager').innerHTML = '';
+                return;
+            }
+
+            showAudit(JSON.parse(this.responseText));
+        }
+    };
+
+    xmlhttp.open('GET', '/admin/audit?' + params.join('&'), true);
+    xmlhttp.send();
+}
+
+/**
+ * Renders a page of audit log entries with paging controls.
+ *
+ * @param {Object} data - Response from GET /admin/audit
+ */
+function showAudit(data) {
+    var listElement = document.getElementById('audit_list');
+    var pager = document.getElementById('audit_pager');
+
+    if (data.entries.length === 0) {
+        listElement.innerHTML = '<p>No audit log entries match your search.</p>';
+        pager.innerHTML = '';
+        return;
+    }
+
+    var html = '<table class="history-table"><thead><tr>' +
+        '<th>Time (UTC)</th><th>By</th><th>Action</th><th>Target</th><th>Details</th><th>From</th>' +
+        '</tr></thead><tbody>';
+
+    data.entries.forEach(function(entry) {
+        html += '<tr>';
+        html += '<td>' + escapeHtml(entry.created_at) + '</td>';
+        html += '<td>' + escapeHtml(entry.actor + ' (' + (USER_TYPE_NAMES[entry.actor_type] || entry.actor_type) + ')') + '</td>';
+        html += '<td>' + escapeHtml(entry.action) + '</td>';
+        html += '<td>' + escapeHtml(entry.target_type ? entry.target_type + ' ' + entry.target_id : '') + '</td>';
+        html += '<td>' + escapeHtml(entry.details || '') + '</td>';
+        html += '<td>' + escapeHtml(entry.ip_address || '') + '</td>';
+        html += '</tr>';
+    });
+
+    html += '</tbody></table>';
+    listElement.innerHTML = html;
+
+    var pages = Math.ceil(data.total / data.page_size);
+    pager.innerHTML = '';
+    if (pages > 1) {
+        pager.innerHTML =
+            '<button type="button" class="btn-link" onclick="searchAudit(' + (data.page - 1) + ')"' +
+                (data.page <= 1 ? ' disabled' : '') + '><i class="fa fa-chevron-left"></i> Previous</button>' +
+            '<span>Page ' + data.page + ' of ' + pages + ' (' + data.total + ' entries)</span>' +
+            '<button type="button" class="btn-link" onclick="searchAudit(' + (data.page + 1) + ')"' +
+                (data.page >= pages ? ' disabled' : '') + '>Next <i class="fa fa-chevron-right"></i></button>';
+    }
+}
+
+/**
+ * Shows every audit log entry about one account: who has viewed or
+ * changed it, including its check-ins.
+ *
+ * @param {string} username - The account
+ */
+function auditForUser(username) {
+    ['actor', 'action', 'from', 'to'].forEach(function(field) {
+        document.getElementById('audit_' + field).value = '';
+    });
+    document.getElementById('audit_target_type').value = 'user';
+    document.getElementById('audit_target').value = username;
+
+    searchAudit(1);
+    document.getElementById('audit_log').scrollIntoView();
+}
@@ -0,0 +1,246 @@
+/**
+ * QR Check-in Page JavaScript
+ * Drives the /checkin/:code page that venue QR codes open: shows the
+ * venue, sends visitors without a session to log in, and checks in with
+ * a single tap.
+ */
+
+/**
+ * Gets the check-in code from the page URL (/checkin/:code).
+ *
+ * @returns {string} The check-in code
+ */
+function checkInCodeFromUrl() {
+    var parts = window.location.pathname.split('/');
+    return decodeURIComponent(parts[2] || '');
+}
+
+/**
+ * Shows a message under the check-in button.
+ *
+ * @param {string} message - Text to show
+ * @param {boolean} success - Whether the message reports a success
+ */
+function showCheckInResult(message, success) {
+    var result = document.getElementById('checkin_result');
+    result.textContent = message;
+    result.className = 'result ' + (success ? 'result-success' : 'result-error');
+}
+
+/**
+ * Looks up the venue for the code in the URL, then shows either the
+ * check-in button or, if there is no session, a login button that
+ * returns the visitor here.
+ */
+function loadCheckIn() {
+    var code = checkInCodeFromUrl();
+    var xmlhttp = new XMLHttpRequest();
+
+    xmlhttp.onreadystatechange = function() {
+        if (this.readyState === 4) {
+            var name = document.getElementById('venue_name');
+
+            if (this.status === 404 || this.status === 400) {
+                name.textContent = 'Unknown venue';
+                showCheckInResult('This check-in code is not registered to an open venue. ' +
+                    'Please check the poster at the entrance.', false);
+                return;
+            }
+
+            // Offline: the check-in can still be queued and sent later
+            if (this.status === 0) {
+                name.textContent = 'Venue ' + code;
+                showCheckInResult('You are offline. You can still check in and it will be sent when you reconnect.', false);
+                document.getElementById('checkin_button').style.display = 'inline-block';
+                return;
+            }
+
+            if (this.status !== 200) {
+                name.textContent = 'Venue check-in';
+                showCheckInResult('Unable to look up this venue. Please try again.', false);
+                return;
+            }
+
+            var venue = JSON.parse(this.responseText);
+
+            name.textContent = venue.venue_name || 'Venue ' + venue.check_in_code;
+            if (venue.street_name) {
+                document.getElementById('venue_address').textContent =
+                    venue.street_number + ' ' + venue.street_name + ', ' +
+                    venue.suburb_town + ' ' + venue.state + ' ' + venue.postcode;
+            }
+
+            showCheckInAction();
+        }
+    };
+
+    xmlhttp.open('GET', '/checkin/' + encodeURIComponent(code) + '/venue', true);
+    xmlhttp.send();
+}
+
+/**
+ * Shows the check-in button for logged in visitors. Everyone else gets a
+ * login button that comes back to this page, and the guest check-in form.
+ */
+function showCheckInAction() {
+    var xmlhttp = new XMLHttpRequest();
+
+    xmlhttp.onreadystatechange = function() {
+        if (this.readyState === 4) {
+            if (this.status === 200 && this.responseText === 'in') {
+                document.getElementById('checkin_button').style.display = 'inline-block';
+                dependantChoices();
+                return;
+            }
+
+            var loginButton = document.getElementById('login_button');
+            loginButton.href = '/login.html?next=' + encodeURIComponent(window.location.pathname);
+            loginButton.style.display = 'inline-block';
+            document.getElementById('guest_form').style.display = 'block';
+        }
+    };
+
+    xmlhttp.open('GET', '/header', true);
+    xmlhttp.send();
+}
+
+/**
+ * Checks in to the venue in the URL at the current date and time, with
+ * any dependants ticked on the page. The button is disabled while the
+ * request runs so a double tap does not record two visits. Without a
+ * connection the check-in is queued and sent later by
+ * syncQueuedCheckIns() in home.js.
+ */
+function oneTapCheckIn() {
+    var button = document.getElementById('checkin_button');
+    var now = currentDateTime();
+
+    var info = {
+        check_in: checkInCodeFromUrl(),
+        date: now.date,
+        time: now.time
+    };
+
+    var group = selectedDependants();
+    if (group.length > 0) {
+        info.dependants = group;
+    }
+
+    button.disabled = true;
+
+    function savedOffline() {
+        button.style.display = 'none';
+        document.getElementById('dependant_choices').style.display = 'none';
+        showCheckInResult('Saved at ' + now.time + '. Your check-in will be sent when you are back online.', true);
+    }
+
+    if (!navigator.onLine) {
+        return queueCheckIn(info, savedOffline);
+    }
+
+    var xmlhttp = new XMLHttpRequest();
+
+    xmlhttp.onreadystatechange = function() {
+        if (this.readyState === 4) {
+            if (this.status === 201 || this.status === 200) {
+                var data = JSON.parse(this.responseText);
+                var message = (data.people > 1 ? data.people + ' people checked in' : 'Checked in') +
+                    ' at ' + now.time + '.';
+                if (data.warning) {
+                    message += ' Please note: ' + data.warning + '.';
+                }
+                button.style.display = 'none';
+                document.getElementById('dependant_choices').style.display = 'none';
+                showCheckInResult(message, true);
+                return;
+            }
+
+            button.disabled = false;
+
+            if (this.status === 0) {
+                queueCheckIn(info, savedOffline);
+            } else if (this.status === 401) {
+                window.location.href = '/login.html?next=' + encodeURIComponent(window.location.pathname);
+            } else if (this.status === 404) {
+                showCheckInResult('This venue is no longer accepting check-ins.', false);
+            } else if (this.status === 409) {
+                showCheckInResult('This venue is currently at capacity. Please try again later.', false);
+            } else {
+                showCheckInResult('Check-in failed. Please try again.', false);
+            }
+        }
+    };
+
+    xmlhttp.open('POST', '/users/check_in', true);
+    xmlhttp.setRequestHeader('Content-Type', 'application/json');
+    xmlhttp.send(JSON.stringify(info));
+}
+
+/**
+ * Checks in to the venue in the URL as a guest, with the name and phone
+ * number entered on the page. Guest check-ins need a connection, as
+ * there is no account to queue them under.
+ */
+function guestCheckIn() {
+    var button = document.getElementById('guest_button');
+    var name = document.getElementById('guest_name').value.trim();
+    var phone = document.getElementById('guest_phone').value.trim();
+    var now = currentDateTime();
+
+    if (!name || !phone) {
+        showCheckInResult('Please enter your name and phone number.', false);
+        return;
+    }
+
+    if (!navigator.onLine) {
+        showCheckInResult('You are offline. Please connect to check in as a guest.', false);
+        return;
+    }
+
+    var info = {
+        check_in: checkInCodeFromUrl(),
+        date: now.date,
+        time: now.time,
+        name: name,
+        phone_number: phone
+    };
+
+    button.disabled = true;
+
+    var xmlhttp = new XMLHttpRequest();
+
+    xmlhttp.onreadystatechange = function() {
+        if (this.readyState === 4) {
+            if (this.status === 201) {
+                var data = JSON.parse(this.responseText);
+                var message = 'Checked in as a guest at ' + now.time + '.';
+                if (data.warning) {
+                    message += ' Please note: ' + data.warning + '.';
+                }
+                document.getElementById('guest_form').style.display = 'none';
+                document.getElementById('login_button').style.display = 'none';
+                showCheckInResult(message, true);
+                return;
+            }
+
+            button.disabled = false;
+
+            if (this.status === 400) {
+                var errors = JSON.parse(this.responseText).details || [];
+                showCheckInResult(errors.length ? errors[0].message + '.' : 'Please check your details.', false);
+            } else if (this.status === 404) {
+                showCheckInResult('This venue is no longer accepting check-ins.', false);
+            } else if (this.status === 409) {
+                showCheckInResult('This venue is currently at capacity. Please try again later.', false);
+            } else if (this.status === 429) {
+                showCheckInResult('Too many check-ins from this device. Please try again later.', false);
+            } else {
+                showCheckInResult('Check-in failed. Please try again.', false);
+            }
+        }
+    };
+
+    xmlhttp.open('POST', '/users/guest_check_in', true);
+    xmlhttp.setRequestHeader('Content-Type', 'application/json');
+    xmlhttp.send(JSON.stringify(info));
+}
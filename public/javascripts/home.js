@@ -4,9 +4,12 @@
  * This file contains the main functionality for the home page including:
  * - User authentication state management (show/hide UI elements)
  * - Dropdown menu functionality
- * - Venue check-in functionality
+ * - Venue check-in and check-out functionality
+ * - Offline check-in queue, synced when the connection returns
  * - User account information retrieval
  * - Check-in history display
+ * - Positive test reporting
+ * - Notification inbox and unread badge
  */
 
 /**
@@ -88,11 +91,46 @@ document.addEventListener('DOMContentLoaded', function() {
     }
 });
 
+/**
+ * Get the current local date and time in the formats the server expects
+ *
+ * @returns {{date: string, time: string}} Date as YYYY-MM-DD, time as HH:MM:SS
+ */
+function currentDateTime() {
+    var d = new Date();
+    var yyyy = d.getFullYear();
+    var mm = String(d.getMonth() + 1).padStart(2, '0');
+    var dd = String(d.getDate()).padStart(2, '0');
+
+    return {
+        date: yyyy + '-' + mm + '-' + dd,
+        time: d.toLocaleTimeString('en-US', {
+            hour12: false,
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        })
+    };
+}
+
+/**
+ * Get a short name for a venue's time zone, e.g. "Broken Hill time"
+ *
+ * @param {string} timeZone - IANA time zone such as Australia/Broken_Hill
+ * @returns {string} Name shown next to times in the history
+ */
+function timeZoneName(timeZone) {
+    if (!timeZone) return '';
+    return timeZone.split('/').pop().replace(/_/g, ' ') + ' time';
+}
+
 /**
  * Record a venue check-in
  *
  * Gets the check-in code from the input field, generates the current
  * date and time, and sends a check-in request to the server.
+ * Without a connection, the check-in is queued on this device with its
+ * original time and sent later (see syncQueuedCheckIns).
  *
  * Security Note: The username is taken from the server session,
  * not from a client-side input, preventing users from checking in
@@ -114,39 +152,57 @@ function check_ins() {
         return;
     }
 
-    // Generate current date in YYYY-MM-DD format
-    var d = new Date();
-    var yyyy = d.getFullYear();
-    var mm = String(d.getMonth() + 1).padStart(2, '0');
-    var dd = String(d.getDate()).padStart(2, '0');
-    var myDate = yyyy + '-' + mm + '-' + dd;
-
-    // Generate current time in HH:MM:SS format
-    var myTime = d.toLocaleTimeString('en-US', {
-        hour12: false,
-        hour: '2-digit',
-        minute: '2-digit',
-        second: '2-digit'
-    });
+    var now = currentDateTime();
 
     var info = {
         check_in: checkInCode,
-        date: myDate,
-        time: myTime
+        date: now.date,
+        time: now.time
     };
 
+    var group = selectedDependants();
+    if (group.length > 0) {
+        info.dependants = group;
+    }
+
+    function savedOffline() {
+        alert('You are offline. Your check-in has been saved and will be sent when you are back online.');
+        checkInInput.value = '';
+        clearDependantChoices();
+    }
+
+    // No connection: keep the check-in and send it later
+    if (!navigator.onLine) {
+        return queueCheckIn(info, savedOffline);
+    }
+
     var xmlhttp = new XMLHttpRequest();
 
     xmlhttp.onreadystatechange = function() {
         if (this.readyState === 4) {
             if (this.status === 201 || this.status === 200) {
-                alert('Check-in successful!');
+                var data = JSON.parse(this.responseText);
+                var venueName = data.venue_name ? ' to ' + data.venue_name : '';
+                var people = data.people > 1 ? ' for ' + data.people + ' people' : '';
+                if (data.warning) {
+                    alert('Check-in' + people + venueName + ' successful, but please note: ' + data.warning + '.');
+                } else {
+                    alert('Check-in' + people + venueName + ' successful!');
+                }
                 checkInInput.value = ''; // Clear the input
+                clearDependantChoices();
+            } else if (this.status === 404) {
+                alert('Unknown venue. Please check the code displayed at the venue entrance.');
+            } else if (this.status === 409) {
+                alert('This venue is currently at capacity. Please try again later.');
             } else if (this.status === 401) {
                 alert('Please log in to check in to a venue');
                 window.location.href = '/login.html';
             } else if (this.status === 400) {
                 alert('Invalid check-in code format');
+            } else if (this.status === 0) {
+                // The request never reached the server
+                queueCheckIn(info, savedOffline);
             } else {
                 alert('Check-in failed. Please try again.');
             }
@@ -158,6 +214,59 @@ function check_ins() {
     xmlhttp.send(JSON.stringify(info));
 }
 
+/**
+ * Record the end of a venue visit
+ *
+ * Checks out of the most recent open visit. If a code has been typed
+ * into the check-in box, only a visit to that venue is closed.
+ */
+function check_out() {
+    var checkInInput = document.getElementById('check_in');
+    var checkInCode = checkInInput ? checkInInput.value.trim() : '';
+
+    if (checkInCode && !/^[a-zA-Z0-9]{4,10}$/.test(checkInCode)) {
+        alert('Invalid check-in code. Please enter a valid venue code.');
+        return;
+    }
+
+    var now = currentDateTime();
+
+    var info = {
+        date: now.date,
+        time: now.time
+    };
+
+    if (checkInCode) {
+        info.check_in = checkInCode;
+    }
+
+    var xmlhttp = new XMLHttpRequest();
+
+    xmlhttp.onreadystatechange = function() {
+        if (this.readyState === 4) {
+            if (this.status === 200) {
+                var data = JSON.parse(this.responseText);
+                var people = data.people > 1 ? ' (' + data.people + ' people)' : '';
+                alert('Checked out of venue ' + data.check_in_code + people + '. Thank you!');
+                if (checkInInput) {
+                    checkInInput.value = '';
+                }
+            } else if (this.status === 401) {
+                alert('Please log in to check out of a venue');
+                window.location.href = '/login.html';
+            } else if (this.status === 404) {
+                alert('You are not currently checked in to a venue');
+            } else {
+                alert('Check-out failed. Please try again.');
+            }
+        }
+    };
+
+    xmlhttp.open('POST', '/users/check_out', true);
+    xmlhttp.setRequestHeader('Content-Type', 'application/json');
+    xmlhttp.send(JSON.stringify(info));
+}
+
 /**
  * Fetch and display the current user's username
  * Updates the element with id="username" with the user's name
@@ -208,77 +317,1252 @@ function email() {
 }
 
 /**
- * Fetch and display the user's check-in history
+ * Show or hide one of the account pages' change email / change password
+ * forms, hiding the other
  *
- * Makes a POST request to retrieve check-in history and displays
- * it as a formatted table in the element with id="history"
+ * @param {string} id - id of the form to toggle
  */
-function history() {
+function toggleAccountForm(id) {
+    ['email_form', 'password_form'].forEach(function(formId) {
+        var form = document.getElementById(formId);
+        if (form) {
+            form.style.display = formId === id && form.style.display === 'none' ? 'block' : 'none';
+        }
+    });
+}
+
+/**
+ * Show the error from a failed account change
+ *
+ * @param {XMLHttpRequest} request - The finished request
+ * @param {string} fallback - Message to show if the response has none
+ */
+function accountChangeError(request, fallback) {
+    var data = {};
+    try {
+        data = JSON.parse(request.responseText);
+    } catch (e) {
+        // Not a JSON error response
+    }
+
+    var messages = (data.details || []).map(function(detail) {
+        return detail.message;
+    });
+    alert(messages.join('\n') || data.message || data.error || fallback);
+}
+
+/**
+ * Change the current user's email address from the account page form
+ */
+function changeEmail() {
+    var emailInput = document.getElementById('new_email');
+    var passwordInput = document.getElementById('email_current_password');
+
+    if (!emailInput.value.trim() || !passwordInput.value) {
+        alert('Please enter your new email address and current password');
+        return;
+    }
+
     var xmlhttp = new XMLHttpRequest();
 
     xmlhttp.onreadystatechange = function() {
         if (this.readyState === 4) {
-            var historyElement = document.getElementById('history');
-            if (!historyElement) return;
+            if (this.status === 200) {
+                emailInput.value = '';
+                passwordInput.value = '';
+                toggleAccountForm(null);
+                email();
+                alert('Your email address has been changed.');
+            } else {
+                accountChangeError(this, 'Unable to change email. Please try again.');
+            }
+        }
+    };
+
+    xmlhttp.open('POST', '/users/change_email', true);
+    xmlhttp.setRequestHeader('Content-Type', 'application/json');
+    xmlhttp.send(JSON.stringify({
+        current_password: passwordInput.value,
+        email: emailInput.value.trim()
+    }));
+}
+
+/**
+ * Change the current user's password from the account page form
+ */
+function changePassword() {
+    var currentInput = document.getElementById('current_password');
+    var newInput = document.getElementById('new_password');
+    var confirmInput = document.getElementById('confirm_new_password');
+
+    if (!currentInput.value || !newInput.value) {
+        alert('Please enter your current and new passwords');
+        return;
+    }
+
+    if (newInput.value !== confirmInput.value) {
+        alert('New passwords do not match');
+        return;
+    }
+
+    var xmlhttp = new XMLHttpRequest();
 
+    xmlhttp.onreadystatechange = function() {
+        if (this.readyState === 4) {
             if (this.status === 200) {
-                try {
-                    var data = JSON.parse(this.responseText);
+                [currentInput, newInput, confirmInput].forEach(function(input) {
+                    input.value = '';
+                });
+                toggleAccountForm(null);
+                loadSessions();
+                alert('Your password has been changed. Any other devices you were logged in on have been logged out.');
+            } else {
+                accountChangeError(this, 'Unable to change password. Please try again.');
+            }
+        }
+    };
 
-                    if (data.length === 0) {
-                        historyElement.innerHTML = '<p>No check-in history found.</p>';
-                        return;
-                    }
+    xmlhttp.open('POST', '/users/change_password', true);
+    xmlhttp.setRequestHeader('Content-Type', 'application/json');
+    xmlhttp.send(JSON.stringify({
+        current_password: currentInput.value,
+        new_password: newInput.value
+    }));
+}
 
-                    // Build a table to display history
-                    var html = '<table class="history-table">';
-                    html += '<thead><tr><th>Venue Code</th><th>Date</th><th>Time</th></tr></thead>';
-                    html += '<tbody>';
-
-                    for (var i = 0; i < data.length; i++) {
-                        var record = data[i];
-                        // Sanitize output to prevent XSS
-                        var code = escapeHtml(record.check_in_code || '');
-                        var date = escapeHtml(record.date_ || '');
-                        var time = escapeHtml(record.time_ || '');
-
-                        html += '<tr>';
-                        html += '<td>' + code + '</td>';
-                        html += '<td>' + date + '</td>';
-                        html += '<td>' + time + '</td>';
-                        html += '</tr>';
-                    }
+/**
+ * Fetch and list the devices the current user is logged in on, with a
+ * button to log out each one
+ */
+function loadSessions() {
+    var listElement = document.getElementById('sessions_list');
+    if (!listElement) return;
 
-                    html += '</tbody></table>';
-                    historyElement.innerHTML = html;
-                } catch (e) {
-                    historyElement.innerHTML = '<p>Error loading history.</p>';
+    var xmlhttp = new XMLHttpRequest();
+
+    xmlhttp.onreadystatechange = function() {
+        if (this.readyState === 4) {
+            if (this.status !== 200) {
+                listElement.innerHTML = '<p>Unable to load devices.</p>';
+                return;
+            }
+
+            var list = JSON.parse(this.responseText);
+
+            var html = '<table class="history-table"><thead><tr>' +
+                '<th>Device</th><th>IP Address</th><th>Last Seen</th><th></th>' +
+                '</tr></thead><tbody>';
+
+            list.forEach(function(session) {
+                var lastSeen = session.last_seen_at || session.created_at;
+
+                html += '<tr>';
+                html += '<td title="' + escapeHtml(session.user_agent || '') + '">' + escapeHtml(session.device) + '</td>';
+                html += '<td>' + escapeHtml(session.ip_address || 'Unknown') + '</td>';
+                html += '<td>' + (session.current ? 'This device' : escapeHtml(new Date(lastSeen).toLocaleString())) + '</td>';
+                html += '<td><button type="button" class="btn-link" onclick="revokeSession(' + session.id + ', ' +
+                    session.current + ')"><i class="fa fa-sign-out"></i> Log out</button></td>';
+                html += '</tr>';
+            });
+
+            html += '</tbody></table>';
+            listElement.innerHTML = html;
+        }
+    };
+
+    xmlhttp.open('GET', '/users/sessions', true);
+    xmlhttp.send();
+}
+
+/**
+ * Log the current user out on one device
+ *
+ * @param {number} id - The session's id
+ * @param {boolean} current - Whether it is this device's session
+ */
+function revokeSession(id, current) {
+    if (current && !confirm('Log out on this device?')) {
+        return;
+    }
+
+    var xmlhttp = new XMLHttpRequest();
+
+    xmlhttp.onreadystatechange = function() {
+        if (this.readyState === 4) {
+            if (this.status === 200) {
+                if (JSON.parse(this.responseText).logged_out) {
+                    window.location.href = '/';
+                } else {
+                    loadSessions();
                 }
-            } else if (this.status === 401) {
-                historyElement.innerHTML = '<p>Please log in to view your history.</p>';
             } else {
-                historyElement.innerHTML = '<p>Error loading history.</p>';
+                accountChangeError(this, 'Unable to log out that device. Please try again.');
             }
         }
     };
 
-    xmlhttp.open('POST', '/users/history', true);
-    xmlhttp.setRequestHeader('Content-Type', 'application/json');
+    xmlhttp.open('POST', '/users/sessions/' + encodeURIComponent(id) + '/revoke', true);
     xmlhttp.send();
 }
 
 /**
- * Escape HTML special characters to prevent XSS attacks
+ * Log the current user out on every other device
+ */
+function revokeAllSessions() {
+    var xmlhttp = new XMLHttpRequest();
+
+    xmlhttp.onreadystatechange = function() {
+        if (this.readyState === 4) {
+            if (this.status === 200) {
+                var ended = JSON.parse(this.responseText).sessions_ended;
+                loadSessions();
+                alert(ended === 0 ? 'You are not logged in on any other devices.' :
+                    'Logged out ' + ended + ' other device(s).');
+            } else {
+                accountChangeError(this, 'Unable to log out other devices. Please try again.');
+            }
+        }
+    };
+
+    xmlhttp.open('POST', '/users/sessions/revoke_all', true);
+    xmlhttp.send();
+}
+
+// Action the two-factor password form confirms: 'disable' or 'recovery_codes'
+var twoFactorAction = null;
+
+// Whether the account must turn on two-factor authentication before the
+// rest of the page works (admins)
+var twoFactorSetupRequired = false;
+
+/**
+ * Fetch the current user's two-factor authentication status and show the
+ * matching buttons
+ */
+function twoFactorStatus() {
+    var statusElement = document.getElementById('two_factor_status');
+    if (!statusElement) return;
+
+    var xmlhttp = new XMLHttpRequest();
+
+    xmlhttp.onreadystatechange = function() {
+        if (this.readyState === 4) {
+            if (this.status !== 200) {
+                statusElement.textContent = 'Unable to load two-factor authentication status.';
+                return;
+            }
+
+            var status = JSON.parse(this.responseText);
+            twoFactorSetupRequired = status.required && !status.enabled;
+
+            if (status.enabled) {
+                statusElement.textContent = 'Two-factor authentication is on. You have ' +
+                    status.recovery_codes_remaining + ' unused recovery code(s).';
+            } else if (status.required) {
+                statusElement.textContent = 'Your account must use two-factor authentication. ' +
+                    'Set it up to use the rest of this page.';
+            } else {
+                statusElement.textContent = 'Protect your account by asking for a code from your ' +
+                    'phone as well as your password when you log in.';
+            }
+
+            document.getElementById('two_factor_setup_button').style.display = status.enabled ? 'none' : 'inline-block';
+            document.getElementById('recovery_codes_button').style.display = status.enabled ? 'inline-block' : 'none';
+            document.getElementById('two_factor_disable_button').style.display =
+                status.enabled && !status.required ? 'inline-block' : 'none';
+        }
+    };
+
+    xmlhttp.open('GET', '/users/two_factor', true);
+    xmlhttp.send();
+}
+
+/**
+ * Start setting up two-factor authentication, showing the QR code to scan
+ */
+function startTwoFactorSetup() {
+    var xmlhttp = new XMLHttpRequest();
+
+    xmlhttp.onreadystatechange = function() {
+        if (this.readyState === 4) {
+            if (this.status === 200) {
+                var setup = JSON.parse(this.responseText);
+                document.getElementById('two_factor_qr').src = setup.qr_code;
+                document.getElementById('two_factor_secret').textContent = setup.secret;
+                document.getElementById('two_factor_password_form').style.display = 'none';
+                document.getElementById('two_factor_setup').style.display = 'block';
+                document.getElementById('two_factor_code').focus();
+            } else {
+                accountChangeError(this, 'Unable to start two-factor setup. Please try again.');
+            }
+        }
+    };
+
+    xmlhttp.open('POST', '/users/two_factor/setup', true);
+    xmlhttp.send();
+}
+
+/**
+ * Turn on two-factor authentication with the first code from the app, and
+ * show the recovery codes
+ */
+function enableTwoFactor() {
+    var codeInput = document.getElementById('two_factor_code');
+    var code = codeInput.value.replace(/\s/g, '');
+
+    if (!/^[0-9]{6}$/.test(code)) {
+        alert('Please enter the 6-digit code from your authenticator app');
+        return;
+    }
+
+    var xmlhttp = new XMLHttpRequest();
+
+    xmlhttp.onreadystatechange = function() {
+        if (this.readyState === 4) {
+            if (this.status === 200) {
+                codeInput.value = '';
+                document.getElementById('two_factor_setup').style.display = 'none';
+                document.getElementById('two_factor_qr').removeAttribute('src');
+                document.getElementById('two_factor_secret').textContent = '';
+                showRecoveryCodes(JSON.parse(this.responseText).recovery_codes);
+            } else {
+                accountChangeError(this, 'Unable to turn on two-factor authentication. Please try again.');
+            }
+        }
+    };
+
+    xmlhttp.open('POST', '/users/two_factor/enable', true);
+    xmlhttp.setRequestHeader('Content-Type', 'application/json');
+    xmlhttp.send(JSON.stringify({ code: code }));
+}
+
+/**
+ * List newly issued recovery codes
  *
- * Security Note: Always escape user-generated content before
- * inserting it into the DOM to prevent cross-site scripting attacks.
+ * @param {string[]} codes - The recovery codes
+ */
+function showRecoveryCodes(codes) {
+    document.getElementById('recovery_codes_list').innerHTML = codes.map(function(code) {
+        return '<li><code>' + escapeHtml(code) + '</code></li>';
+    }).join('');
+    document.getElementById('recovery_codes').style.display = 'block';
+}
+
+/**
+ * Hide the recovery codes once the user has saved them
  *
- * @param {string} text - The text to escape
- * @returns {string} The escaped text
+ * If two-factor authentication was needed for the rest of the page, the
+ * page is reloaded so it works now.
  */
-function escapeHtml(text) {
-    if (!text) return '';
-    var div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+function hideRecoveryCodes() {
+    document.getElementById('recovery_codes_list').innerHTML = '';
+    document.getElementById('recovery_codes').style.display = 'none';
+
+    if (twoFactorSetupRequired) {
+        window.location.reload();
+    } else {
+        twoFactorStatus();
+    }
+}
+
+/**
+ * Show or hide the password form that confirms turning two-factor
+ * authentication off or issuing new recovery codes
+ *
+ * @param {string|null} action - 'disable' or 'recovery_codes', or null to hide
+ */
+function twoFactorPasswordForm(action) {
+    var form = document.getElementById('two_factor_password_form');
+    var show = action !== null && (form.style.display === 'none' || twoFactorAction !== action);
+
+    twoFactorAction = show ? action : null;
+    form.style.display = show ? 'block' : 'none';
+    document.getElementById('two_factor_password').value = '';
+}
+
+/**
+ * Confirm the chosen two-factor action with the current password
+ */
+function confirmTwoFactorAction() {
+    var passwordInput = document.getElementById('two_factor_password');
+
+    if (!passwordInput.value) {
+        alert('Please enter your current password');
+        return;
+    }
+
+    var action = twoFactorAction;
+    var xmlhttp = new XMLHttpRequest();
+
+    xmlhttp.onreadystatechange = function() {
+        if (this.readyState === 4) {
+            if (this.status === 200) {
+                twoFactorPasswordForm(null);
+                if (action === 'recovery_codes') {
+                    showRecoveryCodes(JSON.parse(this.responseText).recovery_codes);
+                } else {
+                    alert('Two-factor authentication has been turned off.');
+                }
+                twoFactorStatus();
+            } else {
+                accountChangeError(this, 'Unable to update two-factor authentication. Please try again.');
+            }
+        }
+    };
+
+    xmlhttp.open('POST', '/users/two_factor/' + action, true);
+    xmlhttp.setRequestHeader('Content-Type', 'application/json');
+    xmlhttp.send(JSON.stringify({ current_password: passwordInput.value }));
+}
+
+/**
+ * Fetch and display the user's check-in history
+ *
+ * Makes a POST request to retrieve check-in history and displays
+ * it as a formatted table in the element with id="history".
+ * The user's check-ins still queued on this device are listed first as
+ * pending, and are still shown when the server can't be reached.
+ */
+function history() {
+    currentUser(function(user) {
+        queuedCheckIns(user, function(pending) {
+            showHistory(pending);
+        });
+    });
+}
+
+/**
+ * Fetch the check-in history from the server and display it with the
+ * user's queued check-ins, for history()
+ *
+ * @param {Object[]} pending - The user's queued check-ins
+ */
+function showHistory(pending) {
+    var xmlhttp = new XMLHttpRequest();
+
+    xmlhttp.onreadystatechange = function() {
+        if (this.readyState === 4) {
+            var historyElement = document.getElementById('history');
+            if (!historyElement) return;
+
+            var data = [];
+
+            if (this.status === 200) {
+                try {
+                    data = JSON.parse(this.responseText);
+                } catch (e) {
+                    historyElement.innerHTML = '<p>Error loading history.</p>';
+                    return;
+                }
+            } else if (this.status === 401) {
+                historyElement.innerHTML = '<p>Please log in to view your history.</p>';
+                return;
+            } else if (pending.length === 0) {
+                historyElement.innerHTML = '<p>Error loading history.</p>';
+                return;
+            }
+
+            if (data.length === 0 && pending.length === 0) {
+                historyElement.innerHTML = '<p>No check-in history found.</p>';
+                return;
+            }
+
+            // Build a table to display history
+            var html = '<table class="history-table">';
+            html += '<thead><tr><th>Who</th><th>Venue Code</th><th>Date</th><th>Time</th><th>Checked Out</th></tr></thead>';
+            html += '<tbody>';
+
+            // Offline check-ins waiting to be sent
+            pending.forEach(function(item) {
+                var others = item.dependants ? item.dependants.length : 0;
+                html += '<tr class="pending-row">';
+                html += '<td>You' + (others > 0 ? ' + ' + others : '') + '</td>';
+                html += '<td>' + escapeHtml(item.check_in) + '</td>';
+                html += '<td>' + escapeHtml(item.date) + '</td>';
+                html += '<td>' + escapeHtml(item.time) + '</td>';
+                html += '<td>Pending - will sync when online</td>';
+                html += '</tr>';
+            });
+
+            for (var i = 0; i < data.length; i++) {
+                var record = data[i];
+                // Sanitize output to prevent XSS
+                var code = escapeHtml(record.check_in_code || '');
+                var date = escapeHtml(record.date_ || '');
+                var time = escapeHtml(record.time_ || '');
+                var checkedOut = 'Still checked in';
+                if (record.time_out) {
+                    checkedOut = record.date_out === record.date_ ?
+                        record.time_out : record.date_out + ' ' + record.time_out;
+                    if (record.auto_checked_out) {
+                        checkedOut += ' (automatic)';
+                    }
+                }
+
+                html += '<tr>';
+                html += '<td>' + escapeHtml(record.dependant || 'You') + '</td>';
+                html += '<td>' + code + '</td>';
+                html += '<td>' + date + '</td>';
+                html += '<td>' + time + ' ' + escapeHtml(timeZoneName(record.time_zone)) +
+                    (record.is_delayed ? ' (synced later)' : '') + '</td>';
+                html += '<td>' + escapeHtml(checkedOut) + '</td>';
+                html += '</tr>';
+            }
+
+            html += '</tbody></table>';
+            historyElement.innerHTML = html;
+        }
+    };
+
+    xmlhttp.open('POST', '/users/history', true);
+    xmlhttp.setRequestHeader('Content-Type', 'application/json');
+    xmlhttp.send();
+}
+
+/**
+ * Submit a self-reported positive test
+ *
+ * Reads the test and symptom-onset dates from the form and sends them
+ * to the server, where the report waits for an admin to confirm it.
+ */
+function positiveReport() {
+    var testDateInput = document.getElementById('test_date');
+    var onsetDateInput = document.getElementById('onset_date');
+
+    if (!testDateInput || !testDateInput.value) {
+        alert('Please enter the date of your positive test');
+        return;
+    }
+
+    var info = {
+        test_date: testDateInput.value
+    };
+
+    if (onsetDateInput && onsetDateInput.value) {
+        info.onset_date = onsetDateInput.value;
+    }
+
+    if (!confirm('Submit a positive test report? A health officer will review it.')) {
+        return;
+    }
+
+    var xmlhttp = new XMLHttpRequest();
+
+    xmlhttp.onreadystatechange = function() {
+        if (this.readyState === 4) {
+            if (this.status === 201) {
+                alert('Thank you. Your report has been submitted for review.');
+                testDateInput.value = '';
+                if (onsetDateInput) {
+                    onsetDateInput.value = '';
+                }
+                reportStatus();
+            } else if (this.status === 409) {
+                alert('You already have a report awaiting review.');
+            } else if (this.status === 400) {
+                alert('Please check the dates you entered. They must be within the last 30 days.');
+            } else if (this.status === 401) {
+                window.location.href = '/login.html';
+            } else {
+                alert('Failed to submit report. Please try again.');
+            }
+        }
+    };
+
+    xmlhttp.open('POST', '/users/positive_report', true);
+    xmlhttp.setRequestHeader('Content-Type', 'application/json');
+    xmlhttp.send(JSON.stringify(info));
+}
+
+/**
+ * Show the status of the user's most recent positive test report
+ * Updates the element with id="report_status"
+ */
+function reportStatus() {
+    var xmlhttp = new XMLHttpRequest();
+
+    xmlhttp.onreadystatechange = function() {
+        if (this.readyState === 4 && this.status === 200) {
+            var statusElement = document.getElementById('report_status');
+            if (!statusElement) return;
+
+            var report = JSON.parse(this.responseText);
+            if (!report) {
+                statusElement.textContent = '';
+                return;
+            }
+
+            var labels = {
+                pending: 'awaiting review',
+                confirmed: 'confirmed - your contacts have been notified',
+                rejected: 'not confirmed',
+                closed: 'confirmed and the investigation is now closed'
+            };
+
+            statusElement.textContent = 'Your report for the test on ' + report.test_date +
+                ' is ' + (labels[report.status] || report.status) + '.';
+        }
+    };
+
+    xmlhttp.open('GET', '/users/positive_report', true);
+    xmlhttp.send();
+}
+
+/**
+ * Show the unread notification count next to the account dropdown
+ *
+ * Adds a badge to the dropdown button rendered on every page. The badge
+ * is hidden when there is nothing unread or the user is logged out.
+ */
+function notificationBadge() {
+    var dropdownButton = document.querySelector('.dropdown .dropbtn');
+    if (!dropdownButton) return;
+
+    var badge = document.getElementById('notification_badge');
+    if (!badge) {
+        badge = document.createElement('span');
+        badge.id = 'notification_badge';
+        badge.className = 'notification-badge';
+        badge.style.display = 'none';
+        dropdownButton.parentNode.insertBefore(badge, dropdownButton.nextSibling);
+    }
+
+    var xmlhttp = new XMLHttpRequest();
+
+    xmlhttp.onreadystatechange = function() {
+        if (this.readyState === 4) {
+            if (this.status !== 200) {
+                badge.style.display = 'none';
+                return;
+            }
+
+            var data = JSON.parse(this.responseText);
+            if (data.unread > 0) {
+                badge.textContent = data.unread > 99 ? '99+' : String(data.unread);
+                badge.title = data.unread + ' unread notification' + (data.unread === 1 ? '' : 's');
+                badge.style.display = 'inline-block';
+            } else {
+                badge.style.display = 'none';
+            }
+        }
+    };
+
+    xmlhttp.open('GET', '/users/notifications', true);
+    xmlhttp.send();
+}
+
+document.addEventListener('DOMContentLoaded', notificationBadge);
+
+/**
+ * Fetch and display the user's notification inbox
+ *
+ * Renders each notification into the element with id="notifications_list".
+ * Unread notifications get a button to mark them as read.
+ */
+function notifications() {
+    var xmlhttp = new XMLHttpRequest();
+
+    xmlhttp.onreadystatechange = function() {
+        if (this.readyState === 4) {
+            var listElement = document.getElementById('notifications_list');
+            if (!listElement) return;
+
+            if (this.status !== 200) {
+                listElement.innerHTML = '<p>Error loading notifications.</p>';
+                return;
+            }
+
+            try {
+                var data = JSON.parse(this.responseText);
+
+                if (data.notifications.length === 0) {
+                    listElement.innerHTML = '<p>You have no notifications.</p>';
+                    return;
+                }
+
+                var html = '<ul class="notification-list">';
+
+                for (var i = 0; i < data.notifications.length; i++) {
+                    var item = data.notifications[i];
+                    var unread = !item.read_at;
+                    // Sanitize output to prevent XSS
+                    var message = escapeHtml(item.message || '');
+                    var created = escapeHtml(new Date(item.created_at).toLocaleString());
+
+                    html += '<li class="notification' + (unread ? ' unread' : '') + '">';
+                    html += '<span class="notification-message">' + message + '</span>';
+                    html += '<span class="notification-date">' + created + '</span>';
+                    if (unread) {
+                        html += '<button type="button" class="btn-link" onclick="markNotificationRead(' +
+                            parseInt(item.n_id, 10) + ')">Mark as read</button>';
+                    }
+                    html += '</li>';
+                }
+
+                html += '</ul>';
+                listElement.innerHTML = html;
+            } catch (e) {
+                listElement.innerHTML = '<p>Error loading notifications.</p>';
+            }
+        }
+    };
+
+    xmlhttp.open('GET', '/users/notifications', true);
+    xmlhttp.send();
+}
+
+/**
+ * Mark a single notification as read, then refresh the inbox and badge
+ *
+ * @param {number} id - The notification id
+ */
+function markNotificationRead(id) {
+    var xmlhttp = new XMLHttpRequest();
+
+    xmlhttp.onreadystatechange = function() {
+        if (this.readyState === 4) {
+            notifications();
+            notificationBadge();
+        }
+    };
+
+    xmlhttp.open('POST', '/users/notifications/' + encodeURIComponent(id) + '/read', true);
+    xmlhttp.send();
+}
+
+/**
+ * Mark all notifications as read, then refresh the inbox and badge
+ */
+function markAllNotificationsRead() {
+    var xmlhttp = new XMLHttpRequest();
+
+    xmlhttp.onreadystatechange = function() {
+        if (this.readyState === 4) {
+            notifications();
+            notificationBadge();
+        }
+    };
+
+    xmlhttp.open('POST', '/users/notifications/read_all', true);
+    xmlhttp.send();
+}
+
+/**
+ * Show the user's dependants as checkboxes in #dependant_choices, so
+ * they can be checked in along with the user
+ *
+ * The section stays hidden when the user has no dependants or is not
+ * logged in.
+ */
+function dependantChoices() {
+    var choicesElement = document.getElementById('dependant_choices');
+    if (!choicesElement) return;
+
+    var xmlhttp = new XMLHttpRequest();
+
+    xmlhttp.onreadystatechange = function() {
+        if (this.readyState === 4) {
+            if (this.status !== 200) {
+                choicesElement.style.display = 'none';
+                return;
+            }
+
+            var list = JSON.parse(this.responseText);
+            if (list.length === 0) {
+                choicesElement.style.display = 'none';
+                return;
+            }
+
+            var html = '<p>Also checking in:</p>';
+            list.forEach(function(dependant) {
+                html += '<label class="dependant-choice">';
+                html += '<input type="checkbox" name="dependant" value="' + dependant.dependant_id + '"> ';
+                html += escapeHtml(dependant.given_name + ' ' + dependant.family_name);
+                html += '</label>';
+            });
+
+            choicesElement.innerHTML = html;
+            choicesElement.style.display = 'block';
+        }
+    };
+
+    xmlhttp.open('GET', '/users/dependants', true);
+    xmlhttp.send();
+}
+
+/**
+ * Get the ids of the dependants ticked in #dependant_choices
+ *
+ * @returns {number[]} dependant_id of each ticked dependant
+ */
+function selectedDependants() {
+    var boxes = document.querySelectorAll('#dependant_choices input[name="dependant"]:checked');
+    return Array.prototype.map.call(boxes, function(box) {
+        return parseInt(box.value, 10);
+    });
+}
+
+/**
+ * Untick every dependant in #dependant_choices
+ */
+function clearDependantChoices() {
+    var boxes = document.querySelectorAll('#dependant_choices input[name="dependant"]');
+    Array.prototype.forEach.call(boxes, function(box) {
+        box.checked = false;
+    });
+}
+
+/**
+ * Fetch and display the current user's dependants on the account page,
+ * each with a button to remove them
+ */
+function loadDependants() {
+    var listElement = document.getElementById('dependants_list');
+    if (!listElement) return;
+
+    var xmlhttp = new XMLHttpRequest();
+
+    xmlhttp.onreadystatechange = function() {
+        if (this.readyState === 4) {
+            if (this.status !== 200) {
+                listElement.innerHTML = '<p>Unable to load dependants.</p>';
+                return;
+            }
+
+            var list = JSON.parse(this.responseText);
+            if (list.length === 0) {
+                listElement.innerHTML = '<p>No dependants added yet.</p>';
+                return;
+            }
+
+            var html = '<ul class="dependants-list">';
+            list.forEach(function(dependant) {
+                var contact = [dependant.phone_number, dependant.email_address].filter(Boolean).join(', ');
+                html += '<li>';
+                html += '<span>' + escapeHtml(dependant.given_name + ' ' + dependant.family_name);
+                if (contact) {
+                    html += ' <small>(' + escapeHtml(contact) + ')</small>';
+                }
+                html += '</span>';
+                html += '<button type="button" class="btn-link" onclick="removeDependant(' + dependant.dependant_id + ')">' +
+                    '<i class="fa fa-trash"></i> Remove</button>';
+                html += '</li>';
+            });
+            html += '</ul>';
+
+            listElement.innerHTML = html;
+        }
+    };
+
+    xmlhttp.open('GET', '/users/dependants', true);
+    xmlhttp.send();
+}
+
+/**
+ * Add a dependant from the form on the account page
+ */
+function addDependant() {
+    var fields = ['dependant_given_name', 'dependant_family_name', 'dependant_phone', 'dependant_email'];
+    var values = fields.map(function(id) {
+        return document.getElementById(id).value.trim();
+    });
+
+    if (!values[0] || !values[1]) {
+        alert('Please enter the dependant\'s first and last name');
+        return;
+    }
+
+    var info = {
+        given_name: values[0],
+        family_name: values[1]
+    };
+    if (values[2]) {
+        info.phone_number = values[2];
+    }
+    if (values[3]) {
+        info.email = values[3];
+    }
+
+    var xmlhttp = new XMLHttpRequest();
+
+    xmlhttp.onreadystatechange = function() {
+        if (this.readyState === 4) {
+            if (this.status === 201) {
+                fields.forEach(function(id) {
+                    document.getElementById(id).value = '';
+                });
+                loadDependants();
+            } else if (this.status === 400) {
+                var data = JSON.parse(this.responseText);
+                var messages = (data.details || []).map(function(detail) {
+                    return detail.message;
+                });
+                alert('Please check the dependant\'s details:\n' + (messages.join('\n') || data.error));
+            } else {
+                alert('Unable to add dependant. Please try again.');
+            }
+        }
+    };
+
+    xmlhttp.open('POST', '/users/dependants', true);
+    xmlhttp.setRequestHeader('Content-Type', 'application/json');
+    xmlhttp.send(JSON.stringify(info));
+}
+
+/**
+ * Remove a dependant from the current user's profile
+ *
+ * @param {number} id - The dependant's dependant_id
+ */
+function removeDependant(id) {
+    if (!confirm('Remove this dependant? Their past check-ins are kept for contact tracing.')) {
+        return;
+    }
+
+    var xmlhttp = new XMLHttpRequest();
+
+    xmlhttp.onreadystatechange = function() {
+        if (this.readyState === 4) {
+            if (this.status === 200) {
+                loadDependants();
+            } else {
+                alert('Unable to remove dependant. Please try again.');
+            }
+        }
+    };
+
+    xmlhttp.open('DELETE', '/users/dependants/' + encodeURIComponent(id), true);
+    xmlhttp.send();
+}
+
+/**
+ * Escape HTML special characters to prevent XSS attacks
+ *
+ * Security Note: Always escape user-generated content before
+ * inserting it into the DOM to prevent cross-site scripting attacks.
+ *
+ * @param {string} text - The text to escape
+ * @returns {string} The escaped text
+ */
+function escapeHtml(text) {
+    if (!text) return '';
+    var div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+/**
+ * Offline Check-in Queue
+ *
+ * Check-ins made without a connection are stored in IndexedDB with the
+ * time they were made, then replayed to POST /users/check_in once the
+ * browser is back online. Each carries an offline_id, so the server
+ * never records the same queued check-in twice.
+ *
+ * The queue is shared by everyone who uses the browser, so each check-in
+ * also records who made it. Only the logged-in user's check-ins are shown
+ * or sent; anyone else's wait until they log in again.
+ */
+var OFFLINE_DB_NAME = 'covidwatch';
+var OFFLINE_STORE = 'queued_check_ins';
+
+// Last logged-in username, for queueing check-ins while offline
+var OFFLINE_USER_KEY = 'covidwatch_user';
+
+/**
+ * Get the username remembered from the last time the server was asked
+ *
+ * @returns {string|null} The username, or null if none is remembered
+ */
+function rememberedUser() {
+    try {
+        return localStorage.getItem(OFFLINE_USER_KEY);
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Remember who is logged in, or forget them
+ *
+ * @param {string|null} name - The username, or null on logout
+ */
+function rememberUser(name) {
+    try {
+        if (name) {
+            localStorage.setItem(OFFLINE_USER_KEY, name);
+        } else {
+            localStorage.removeItem(OFFLINE_USER_KEY);
+        }
+    } catch (e) {
+        // Storage disabled: check-ins can't be queued offline
+    }
+}
+
+/**
+ * Find out who is logged in
+ *
+ * Asks the server when it can be reached and remembers the answer, so
+ * check-ins made offline can still be given an owner.
+ *
+ * @param {Function} callback - Called with the username, or null if
+ *   nobody is logged in
+ */
+function currentUser(callback) {
+    if (!navigator.onLine) {
+        return callback(rememberedUser());
+    }
+
+    var xmlhttp = new XMLHttpRequest();
+
+    xmlhttp.onreadystatechange = function() {
+        if (this.readyState === 4) {
+            if (this.status === 200) {
+                rememberUser(this.responseText);
+                callback(this.responseText);
+            } else if (this.status === 401) {
+                rememberUser(null);
+                callback(null);
+            } else {
+                callback(rememberedUser());
+            }
+        }
+    };
+
+    xmlhttp.open('GET', '/username', true);
+    xmlhttp.send();
+}
+
+/**
+ * Open the offline queue database
+ *
+ * @param {Function} callback - Called with the database, or null if
+ *   IndexedDB is unavailable
+ */
+function openOfflineQueue(callback) {
+    if (!window.indexedDB) {
+        return callback(null);
+    }
+
+    var request = indexedDB.open(OFFLINE_DB_NAME, 1);
+
+    request.onupgradeneeded = function() {
+        request.result.createObjectStore(OFFLINE_STORE, { keyPath: 'offline_id' });
+    };
+    request.onsuccess = function() {
+        callback(request.result);
+    };
+    request.onerror = function() {
+        callback(null);
+    };
+}
+
+/**
+ * Generate a unique id for a queued check-in
+ *
+ * @returns {string} A random UUID
+ */
+function offlineId() {
+    if (window.crypto && crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+    // randomUUID is only available on secure origins
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
+        var r = crypto.getRandomValues(new Uint8Array(1))[0] % 16;
+        return (c === 'x' ? r : (r & 0x3) | 0x8).toString(16);
+    });
+}
+
+/**
+ * Save a check-in to send later
+ *
+ * @param {Object} info - Check-in with check_in, date and time
+ * @param {Function} callback - Called once the check-in is saved
+ */
+function queueCheckIn(info, callback) {
+    currentUser(function(user) {
+        if (!user) {
+            alert('Check-in failed. Please log in and try again when you are online.');
+            return;
+        }
+
+        openOfflineQueue(function(db) {
+            if (!db) {
+                alert('Check-in failed. Please try again when you are online.');
+                return;
+            }
+
+            saveQueuedCheckIn(db, user, info, callback);
+        });
+    });
+}
+
+/**
+ * Store a check-in in the offline queue
+ *
+ * @param {IDBDatabase} db - The offline queue database
+ * @param {string} user - Username of the person checking in
+ * @param {Object} info - Check-in with check_in, date and time
+ * @param {Function} callback - Called once the check-in is saved
+ */
+function saveQueuedCheckIn(db, user, info, callback) {
+    var item = {
+        offline_id: offlineId(),
+        username: user,
+        check_in: info.check_in,
+        date: info.date,
+        time: info.time,
+        // The server times offline check-ins by this, not date and time
+        occurred_at: new Date().toISOString()
+    };
+
+    if (info.dependants) {
+        item.dependants = info.dependants;
+    }
+
+    var tx = db.transaction(OFFLINE_STORE, 'readwrite');
+    tx.objectStore(OFFLINE_STORE).put(item);
+    tx.oncomplete = function() {
+        callback();
+    };
+}
+
+/**
+ * Get the check-ins a user has waiting to be sent, oldest first
+ *
+ * @param {string|null} user - Username of the logged-in user
+ * @param {Function} callback - Called with an array of queued check-ins
+ */
+function queuedCheckIns(user, callback) {
+    openOfflineQueue(function(db) {
+        if (!db || !user) {
+            return callback([]);
+        }
+
+        var request = db.transaction(OFFLINE_STORE, 'readonly').objectStore(OFFLINE_STORE).getAll();
+        request.onsuccess = function() {
+            var own = request.result.filter(function(item) {
+                return item.username === user;
+            });
+            callback(own.sort(function(a, b) {
+                return (a.date + a.time).localeCompare(b.date + b.time);
+            }));
+        };
+        request.onerror = function() {
+            callback([]);
+        };
+    });
+}
+
+/**
+ * Remove a check-in from the queue
+ *
+ * @param {string} id - The check-in's offline_id
+ */
+function removeQueuedCheckIn(id) {
+    openOfflineQueue(function(db) {
+        if (db) {
+            db.transaction(OFFLINE_STORE, 'readwrite').objectStore(OFFLINE_STORE).delete(id);
+        }
+    });
+}
+
+/**
+ * Send queued check-ins to the server, one at a time
+ *
+ * Stops at the first network, session or rate-limit failure and leaves
+ * the rest queued for the next attempt. Check-ins the server rejects
+ * outright (for example an unknown venue code, or a venue that was full)
+ * are dropped and the user is told.
+ */
+function syncQueuedCheckIns() {
+    if (!navigator.onLine) return;
+
+    currentUser(function(user) {
+        queuedCheckIns(user, sendQueuedCheckIns);
+    });
+}
+
+/**
+ * Send the logged-in user's queued check-ins, for syncQueuedCheckIns()
+ *
+ * @param {Object[]} pending - Queued check-ins, oldest first
+ */
+function sendQueuedCheckIns(pending) {
+    var synced = 0;
+    var rejected = 0;
+    var full = 0;
+
+    function finish() {
+        if (synced > 0) {
+            alert(synced + ' check-in' + (synced === 1 ? '' : 's') + ' made while offline ' +
+                (synced === 1 ? 'has' : 'have') + ' now been recorded.');
+        }
+        if (rejected > 0) {
+            alert(rejected + ' check-in' + (rejected === 1 ? '' : 's') + ' made while offline could not be ' +
+                'recorded because the venue code was not recognised.');
+        }
+        if (full > 0) {
+            alert(full + ' check-in' + (full === 1 ? '' : 's') + ' made while offline could not be ' +
+                'recorded because the venue was at capacity.');
+        }
+        if ((synced > 0 || rejected > 0 || full > 0) && document.getElementById('history')) {
+            history();
+        }
+    }
+
+    function next(index) {
+        if (index >= pending.length) {
+            return finish();
+        }
+
+        var item = pending[index];
+        var xmlhttp = new XMLHttpRequest();
+
+        xmlhttp.onreadystatechange = function() {
+            if (this.readyState === 4) {
+                if (this.status === 200 || this.status === 201) {
+                    synced++;
+                } else if (this.status === 400 || this.status === 404) {
+                    rejected++;
+                } else if (this.status === 409) {
+                    full++;
+                } else {
+                    // Offline again, logged out, or rate limited: try later
+                    return finish();
+                }
+
+                removeQueuedCheckIn(item.offline_id);
+                next(index + 1);
+            }
+        };
+
+        xmlhttp.open('POST', '/users/check_in', true);
+        xmlhttp.setRequestHeader('Content-Type', 'application/json');
+        // The session says who is checking in; the owner stays on this device
+        var payload = {};
+        Object.keys(item).forEach(function(key) {
+            if (key !== 'username') {
+                payload[key] = item[key];
+            }
+        });
+        xmlhttp.send(JSON.stringify(payload));
+    }
+
+    next(0);
+}
+
+window.addEventListener('online', syncQueuedCheckIns);
+document.addEventListener('DOMContentLoaded', syncQueuedCheckIns);
+
+/**
+ * Register the service worker that lets the site be installed and
+ * opened without a connection
+ */
+if ('serviceWorker' in navigator) {
+    window.addEventListener('load', function() {
+        navigator.serviceWorker.register('/sw.js').catch(function(err) {
+            console.error('Service worker registration failed:', err);
+        });
+    });
 }
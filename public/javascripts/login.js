@@ -4,10 +4,50 @@
  * Handles user authentication actions from the frontend.
  */
 
+/**
+ * Get the page to return to after logging in
+ *
+ * Pages that need a session (such as the QR check-in page) send visitors
+ * to /login.html?next=<path>. Only same-site paths are accepted, so the
+ * parameter can't be used to redirect users to another site.
+ *
+ * @returns {string|null} The path to return to, or null if there is none
+ */
+function nextPath() {
+    var next = new URLSearchParams(window.location.search).get('next');
+
+    if (next && /^\/(?![\/\\])/.test(next)) {
+        return next;
+    }
+    return null;
+}
+
+/**
+ * Finish logging in: show any manager application outcome and warn of
+ * failed login attempts, then return to the page that asked for a login,
+ * or home
+ *
+ * @param {Object} response - The server's login response
+ */
+function loggedIn(response) {
+    if (response.manager_application) {
+        alert(applicationOutcomeMessage(response.manager_application));
+    }
+
+    if (response.failed_logins_since_last_login) {
+        alert('There were ' + response.failed_logins_since_last_login + ' failed attempts to log in to your ' +
+            'account since you last logged in. If these were not you, please change your password.');
+    }
+
+    window.location.href = nextPath() || '/';
+}
+
 /**
  * Attempt to log in the user
  *
- * Sends credentials to the server and redirects on success.
+ * Sends credentials to the server and redirects on success, back to the
+ * page that sent them here if there was one. Accounts using two-factor
+ * authentication are asked for a code first.
  * Shows an alert message if login fails.
  */
 function login() {
@@ -35,10 +75,16 @@ function login() {
     xmlhttp.onreadystatechange = function() {
         if (this.readyState === 4) {
             if (this.status === 200) {
-                // Login successful - redirect to home page
-                window.location.href = '/';
+                var response = JSON.parse(this.responseText);
+                if (response.two_factor_required) {
+                    showTwoFactorStep(true);
+                } else {
+                    loggedIn(response);
+                }
             } else if (this.status === 401) {
                 alert('Invalid username or password');
+            } else if (this.status === 403) {
+                alert('This account has been disabled. Please contact an administrator.');
             } else if (this.status === 400) {
                 alert('Please enter a valid username and password');
             } else {
@@ -52,6 +98,105 @@ function login() {
     xmlhttp.send(JSON.stringify(userInfo));
 }
 
+/**
+ * Switch between the password step and the two-factor step of the login form
+ *
+ * @param {boolean} show - true to ask for a code, false to go back to the
+ *   password step
+ */
+function showTwoFactorStep(show) {
+    document.getElementById('login_form').style.display = show ? 'none' : 'block';
+    document.getElementById('two_factor_form').style.display = show ? 'block' : 'none';
+    document.getElementById('code').value = '';
+    document.getElementById('recovery_code').value = '';
+
+    if (show) {
+        document.getElementById('code').focus();
+    } else {
+        document.getElementById('password').value = '';
+    }
+}
+
+/**
+ * Switch the second login step between an authenticator code and a
+ * recovery code
+ */
+function toggleRecoveryCode() {
+    var codeGroup = document.getElementById('code_group');
+    var recoveryGroup = document.getElementById('recovery_code_group');
+    var useRecovery = recoveryGroup.style.display === 'none';
+
+    codeGroup.style.display = useRecovery ? 'none' : 'block';
+    recoveryGroup.style.display = useRecovery ? 'block' : 'none';
+    document.getElementById('code').value = '';
+    document.getElementById('recovery_code').value = '';
+    document.getElementById('two_factor_prompt').textContent = useRecovery ?
+        'Enter one of your recovery codes. Each code only works once.' :
+        'Enter the 6-digit code from your authenticator app';
+    document.getElementById('recovery_toggle').textContent = useRecovery ?
+        'Use an authentication code instead' :
+        'Use a recovery code instead';
+}
+
+/**
+ * Send the second login step: an authenticator code or a recovery code
+ */
+function verifyTwoFactor() {
+    var code = document.getElementById('code').value.replace(/\s/g, '');
+    var recoveryCode = document.getElementById('recovery_code').value.trim();
+    var useRecovery = document.getElementById('recovery_code_group').style.display !== 'none';
+
+    if (useRecovery ? !/^[a-fA-F0-9]{5}-?[a-fA-F0-9]{5}$/.test(recoveryCode) : !/^[0-9]{6}$/.test(code)) {
+        alert(useRecovery ? 'Please enter a recovery code, like abcde-12345' : 'Please enter the 6-digit code');
+        return;
+    }
+
+    var xmlhttp = new XMLHttpRequest();
+
+    xmlhttp.onreadystatechange = function() {
+        if (this.readyState === 4) {
+            if (this.status === 200) {
+                loggedIn(JSON.parse(this.responseText));
+            } else if (this.status === 401) {
+                var data = JSON.parse(this.responseText);
+                if (data.attempts_remaining > 0) {
+                    alert((useRecovery ? 'Invalid recovery code' : 'Invalid authentication code') +
+                        '. ' + data.attempts_remaining + ' attempt(s) left.');
+                } else {
+                    alert('Please log in again.');
+                    showTwoFactorStep(false);
+                }
+            } else if (this.status === 429) {
+                alert('Too many attempts. Please wait 15 minutes before trying again.');
+            } else {
+                alert('Verification failed. Please try again.');
+            }
+        }
+    };
+
+    xmlhttp.open('POST', '/users/login/verify', true);
+    xmlhttp.setRequestHeader('Content-Type', 'application/json');
+    xmlhttp.send(JSON.stringify(useRecovery ? { recovery_code: recoveryCode } : { code: code }));
+}
+
+/**
+ * Describe the outcome of the user's venue manager application
+ *
+ * @param {Object} outcome - status ('approved' or 'rejected') and the
+ *   reviewing admin's note, if any
+ * @returns {string} Message to show the user
+ */
+function applicationOutcomeMessage(outcome) {
+    var message = outcome.status === 'approved' ?
+        'Your venue manager application has been approved. You now have access to the manager dashboard.' :
+        'Your venue manager application was not approved. You can keep using CovidWatch to check in.';
+
+    if (outcome.note) {
+        message += '\n\nNote from the administrator: ' + outcome.note;
+    }
+    return message;
+}
+
 /**
  * Log out the current user
  *
@@ -62,10 +207,15 @@ function login() {
  * to ensure the session is properly destroyed on the server side.
  * This prevents a race condition where the redirect happens before
  * the session is cleared.
+ *
+ * Check-ins this user queued offline stay on the device and are sent
+ * the next time they log in (see syncQueuedCheckIns in home.js).
  */
 function logout() {
     var xmlhttp = new XMLHttpRequest();
 
+    rememberUser(null);
+
     xmlhttp.onreadystatechange = function() {
         if (this.readyState === 4) {
             // Redirect to home page after logout completes
@@ -77,3 +227,16 @@ function logout() {
     xmlhttp.open('POST', '/users/logout', true);
     xmlhttp.send();
 }
+
+/**
+ * Carry the return page through to the sign-up page, so visitors who
+ * create an account from the login page still end up back where they were.
+ */
+document.addEventListener('DOMContentLoaded', function() {
+    var next = nextPath();
+    var signupLink = document.querySelector('a[href="/signup.html"]');
+
+    if (next && signupLink) {
+        signupLink.href = '/signup.html?next=' + encodeURIComponent(next);
+    }
+});
@@ -1,55 +1,218 @@
 /**
  * Manager Dashboard JavaScript
- * Handles venue management functionality including unique code generation
- * and capacity calculations for COVID-safe venue operations.
+ * Handles venue management functionality including venue registration,
+ * unique code generation, capacity calculations, live occupancy and
+ * attendance for COVID-safe venue operations.
  */
 
+// Form fields for the "My Venue" section, matching the server's field names
+var VENUE_FIELDS = ['venue_name', 'street_number', 'street_name', 'suburb_town', 'state', 'postcode', 'timezone', 'max_stay_minutes'];
+
+// Whether the manager already has a venue registered
+var venueRegistered = false;
+
+// How often the live occupancy display refreshes, in milliseconds
+var OCCUPANCY_REFRESH_MS = 30 * 1000;
+
 /**
- * Generates a random alphanumeric code for venue check-ins.
- * Uses a mix of uppercase, lowercase letters and numbers for uniqueness.
- *
- * Security Note: This is a client-side convenience function. In a production
- * environment, codes should be generated server-side to prevent duplicates
- * and ensure cryptographic randomness.
+ * Fetches the manager's venue and fills the "My Venue" form.
+ * If no venue is registered yet, the form is left empty for registration.
+ */
+function loadVenue() {
+    var xmlhttp = new XMLHttpRequest();
+
+    xmlhttp.onreadystatechange = function() {
+        if (this.readyState === 4) {
+            var status = document.getElementById('venue_status');
+
+            if (this.status === 404) {
+                setVenueRegistered(false);
+                if (status) {
+                    status.textContent = 'You have not registered a venue yet. Enter its details below.';
+                }
+                return;
+            }
+
+            if (this.status !== 200) {
+                if (status) {
+                    status.textContent = 'Unable to load venue details.';
+                }
+                return;
+            }
+
+            var venue = JSON.parse(this.responseText);
+
+            VENUE_FIELDS.forEach(function(field) {
+                var input = document.getElementById(field);
+                if (input) {
+                    input.value = venue[field] !== null && venue[field] !== undefined ? venue[field] : '';
+                }
+            });
+
+            setVenueRegistered(true);
+            if (status) {
+                status.textContent = 'Keep your venue\'s address and details up to date.';
+            }
+        }
+    };
+
+    xmlhttp.open('GET', '/manager/venue', true);
+    xmlhttp.send();
+}
+
+/**
+ * Switches the "My Venue" form between registering and editing.
  *
- * @param {number} length - The desired length of the generated code
- * @returns {string} A random alphanumeric string
+ * @param {boolean} registered - Whether a venue is registered
  */
-function generateCode(length) {
-    var result = '';
-    // Character set excludes similar-looking characters (0/O, 1/l) for readability
-    var characters = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghjkmnpqrstuvwxyz23456789';
-    var charactersLength = characters.length;
-    for (var i = 0; i < length; i++) {
-        result += characters.charAt(Math.floor(Math.random() * charactersLength));
+function setVenueRegistered(registered) {
+    venueRegistered = registered;
+
+    var label = document.getElementById('venue_save_label');
+    var closeButton = document.getElementById('venue_close');
+
+    if (label) {
+        label.textContent = registered ? 'Save Changes' : 'Register Venue';
+    }
+    if (closeButton) {
+        closeButton.style.display = registered ? 'inline-block' : 'none';
     }
-    return result;
 }
 
 /**
- * Generates and displays a unique venue code.
- * Called when the "generate code" button is clicked.
+ * Registers the venue, or saves changes to an already registered one.
+ */
+function saveVenue() {
+    var info = {};
+
+    VENUE_FIELDS.forEach(function(field) {
+        var input = document.getElementById(field);
+        if (input && input.value.trim()) {
+            info[field] = input.value.trim();
+        }
+    });
+
+    if (!info.venue_name || !info.street_number || !info.street_name ||
+        !info.suburb_town || !info.state || !info.postcode) {
+        alert('Please fill in the venue name and full address');
+        return;
+    }
+
+    if (!/^\d{4}$/.test(info.postcode)) {
+        alert('Postcode must be 4 digits');
+        return;
+    }
+
+    var xmlhttp = new XMLHttpRequest();
+
+    xmlhttp.onreadystatechange = function() {
+        if (this.readyState === 4) {
+            if (this.status === 200 || this.status === 201) {
+                alert(venueRegistered ? 'Venue details saved' : 'Venue registered. You can now generate a check-in code.');
+                loadVenue();
+                loadOccupancy();
+            } else if (this.status === 400) {
+                var data = JSON.parse(this.responseText);
+                var messages = (data.details || []).map(function(detail) {
+                    return detail.message;
+                });
+                alert('Please check the venue details:\n' + (messages.join('\n') || data.error));
+            } else if (this.status === 409) {
+                alert('A venue is already registered for this account');
+                loadVenue();
+            } else {
+                alert('Failed to save venue. Please try again.');
+            }
+        }
+    };
+
+    xmlhttp.open(venueRegistered ? 'PUT' : 'POST', '/manager/venue', true);
+    xmlhttp.setRequestHeader('Content-Type', 'application/json');
+    xmlhttp.send(JSON.stringify(info));
+}
+
+/**
+ * Closes the manager's venue. Its check-in code stops working, but past
+ * check-ins are kept for contact tracing.
+ */
+function closeVenue() {
+    if (!confirm('Close this venue? Its check-in code will stop working.')) {
+        return;
+    }
+
+    var xmlhttp = new XMLHttpRequest();
+
+    xmlhttp.onreadystatechange = function() {
+        if (this.readyState === 4) {
+            if (this.status === 200) {
+                alert('Venue closed');
+                window.location.reload();
+            } else {
+                alert('Failed to close venue. Please try again.');
+            }
+        }
+    };
+
+    xmlhttp.open('DELETE', '/manager/venue', true);
+    xmlhttp.send();
+}
+
+/**
+ * Displays a venue check-in code in the code generator panel.
  *
- * @param {number} length - Length of code to generate (default: 6)
+ * @param {string} code - The check-in code to show
  */
-function makeid(length) {
-    var code = generateCode(length || 6);
+function showCode(code) {
     var codeDisplay = document.getElementById('unique_code');
     if (codeDisplay) {
         codeDisplay.textContent = code;
-        codeDisplay.style.fontSize = '24px';
-        codeDisplay.style.fontWeight = 'bold';
-        codeDisplay.style.padding = '10px';
-        codeDisplay.style.backgroundColor = '#e8f5e9';
-        codeDisplay.style.borderRadius = '5px';
-        codeDisplay.style.display = 'inline-block';
-        codeDisplay.style.marginTop = '10px';
     }
 }
 
+/**
+ * Requests a new check-in code for the manager's venue.
+ * Called when the "generate code" button is clicked.
+ *
+ * Codes are generated server-side with a cryptographically secure
+ * generator and checked against every other venue, so they are never
+ * duplicated. If the venue already has a code, the old one keeps working
+ * for a grace period while posters are replaced.
+ */
+function makeid() {
+    var codeDisplay = document.getElementById('unique_code');
+    var hasCode = codeDisplay && codeDisplay.dataset.hasCode === 'true';
+
+    if (hasCode && !confirm('Replace your current venue code? The old code will keep working for a short grace period.')) {
+        return;
+    }
+
+    var xmlhttp = new XMLHttpRequest();
+
+    xmlhttp.onreadystatechange = function() {
+        if (this.readyState === 4) {
+            if (this.status === 201) {
+                var data = JSON.parse(this.responseText);
+                showCode(data.check_in_code);
+                if (codeDisplay) {
+                    codeDisplay.dataset.hasCode = 'true';
+                }
+            } else if (this.status === 404) {
+                alert('Register your venue before generating a code');
+            } else {
+                alert('Failed to generate a code. Please try again.');
+            }
+        }
+    };
+
+    xmlhttp.open('POST', '/manager/venue/code', true);
+    xmlhttp.setRequestHeader('Content-Type', 'application/json');
+    xmlhttp.send(JSON.stringify({}));
+}
+
 /**
  * Calculates venue capacity based on COVID-safe distancing requirements.
  * Uses 4 square meters per person as per health guidelines.
+ * Mirrors calculateCapacity() in lib/venues.js, which is authoritative.
  *
  * @param {number} area - The total area of the venue in square meters
  * @returns {number} Maximum number of people allowed
@@ -84,10 +247,234 @@ function updateCapacity() {
     }
 }
 
+/**
+ * Saves the venue's floor area so the server can enforce its capacity.
+ * The server recalculates capacity itself using the same 4 m² rule.
+ */
+function saveCapacity() {
+    var areaInput = document.getElementById('venue_area');
+    var enforceInput = document.getElementById('enforce_capacity');
+    var area = parseFloat(areaInput ? areaInput.value : '');
+
+    if (isNaN(area) || area <= 0) {
+        alert('Please enter a valid area');
+        return;
+    }
+
+    var info = {
+        floor_area: area,
+        enforce_capacity: enforceInput ? enforceInput.checked : false
+    };
+
+    var xmlhttp = new XMLHttpRequest();
+
+    xmlhttp.onreadystatechange = function() {
+        if (this.readyState === 4) {
+            if (this.status === 200) {
+                var data = JSON.parse(this.responseText);
+                alert('Capacity saved: ' + data.capacity + ' people maximum');
+                loadOccupancy();
+            } else if (this.status === 404) {
+                alert('Register your venue before saving its capacity');
+            } else if (this.status === 400) {
+                alert('Please enter a valid area');
+            } else {
+                alert('Failed to save capacity. Please try again.');
+            }
+        }
+    };
+
+    xmlhttp.open('PUT', '/manager/venue/capacity', true);
+    xmlhttp.setRequestHeader('Content-Type', 'application/json');
+    xmlhttp.send(JSON.stringify(info));
+}
+
+/**
+ * Fetches and displays how many people are currently at the venue.
+ * Also shows the venue's current code and fills the capacity form
+ * with the venue's saved settings.
+ */
+function loadOccupancy() {
+    var xmlhttp = new XMLHttpRequest();
+
+    xmlhttp.onreadystatechange = function() {
+        if (this.readyState === 4) {
+            var occupancyDisplay = document.getElementById('occupancy_result');
+            if (!occupancyDisplay) return;
+
+            if (this.status === 404) {
+                occupancyDisplay.textContent = 'No venue registered';
+                return;
+            }
+
+            if (this.status !== 200) {
+                occupancyDisplay.textContent = 'Unavailable';
+                return;
+            }
+
+            var data = JSON.parse(this.responseText);
+
+            var codeDisplay = document.getElementById('unique_code');
+            if (data.check_in_code && codeDisplay && codeDisplay.dataset.hasCode !== 'true') {
+                showCode(data.check_in_code);
+                codeDisplay.dataset.hasCode = 'true';
+            }
+
+            if (data.capacity !== null) {
+                occupancyDisplay.textContent = data.occupancy + ' of ' + data.capacity + ' people';
+                occupancyDisplay.classList.toggle('over-capacity', data.occupancy >= data.capacity);
+            } else {
+                occupancyDisplay.textContent = data.occupancy + ' people';
+                occupancyDisplay.classList.remove('over-capacity');
+            }
+
+            // Pre-fill the calculator with the saved settings, once
+            var areaInput = document.getElementById('venue_area');
+            var enforceInput = document.getElementById('enforce_capacity');
+            if (areaInput && !areaInput.value && data.floor_area !== null) {
+                areaInput.value = data.floor_area;
+                updateCapacity();
+                if (enforceInput) {
+                    enforceInput.checked = data.enforce_capacity;
+                }
+            }
+        }
+    };
+
+    xmlhttp.open('GET', '/manager/occupancy', true);
+    xmlhttp.send();
+}
+
 // Initialize event listeners when DOM is loaded
 document.addEventListener('DOMContentLoaded', function() {
     var areaInput = document.getElementById('venue_area');
     if (areaInput) {
         areaInput.addEventListener('input', updateCapacity);
     }
+
+    if (document.getElementById('occupancy_result')) {
+        setInterval(loadOccupancy, OCCUPANCY_REFRESH_MS);
+    }
 });
+
+/**
+ * Formats an hour of the day as a range, e.g. 9 becomes "09:00-10:00".
+ *
+ * @param {number} hour - Hour of the day (0-23)
+ * @returns {string} The hour range
+ */
+function formatHour(hour) {
+    var pad = function(h) { return String(h).padStart(2, '0') + ':00'; };
+    return pad(hour) + '-' + pad((hour + 1) % 24);
+}
+
+/**
+ * Fetches and displays the attendance at the manager's venue for the
+ * date chosen in #attendance_date (today if none is chosen): an hourly
+ * chart of visitors inside, the peak hours, and the day's check-ins.
+ */
+function loadAttendance() {
+    var dateInput = document.getElementById('attendance_date');
+    var attendanceElement = document.getElementById('attendance');
+    if (!dateInput || !attendanceElement) return;
+
+    var xmlhttp = new XMLHttpRequest();
+
+    xmlhttp.onreadystatechange = function() {
+        if (this.readyState === 4) {
+            if (this.status === 404) {
+                attendanceElement.innerHTML = '<p>Register your venue to see its attendance.</p>';
+                return;
+            }
+
+            if (this.status !== 200) {
+                attendanceElement.innerHTML = '<p>Unable to load attendance.</p>';
+                return;
+            }
+
+            var data = JSON.parse(this.responseText);
+
+            // Today is worked out by the server in the venue's time zone
+            dateInput.value = data.date;
+
+            if (data.total_check_ins === 0) {
+                attendanceElement.innerHTML = '<p>No check-ins on ' + escapeHtml(data.date) + '.</p>';
+                return;
+            }
+
+            var peak = data.peak.hours.map(formatHour).join(', ');
+            var html = '<p class="attendance-summary"><strong>' + data.total_check_ins + '</strong> check-in' +
+                (data.total_check_ins === 1 ? '' : 's') + '. Busiest: <strong>' + escapeHtml(peak) +
+                '</strong> (' + data.peak.visitors + ' inside). Times are in ' + escapeHtml(data.time_zone) + '.</p>';
+
+            // Hourly chart, one bar per hour scaled to the peak
+            html += '<div class="hourly-chart">';
+            data.hourly.forEach(function(slot) {
+                var height = data.peak.visitors > 0 ? Math.round(slot.visitors / data.peak.visitors * 100) : 0;
+                html += '<div class="hour-bar" title="' + formatHour(slot.hour) + ': ' + slot.visitors + ' inside">';
+                html += '<span class="bar' + (slot.visitors === data.peak.visitors ? ' peak' : '') +
+                    '" style="height: ' + height + '%"></span>';
+                html += '<span class="hour-label">' + slot.hour + '</span>';
+                html += '</div>';
+            });
+            html += '</div>';
+
+            html += '<table class="history-table"><thead><tr>';
+            if (data.usernames_visible) {
+                html += '<th>Visitor</th>';
+            }
+            html += '<th>Checked In</th><th>Checked Out</th></tr></thead><tbody>';
+
+            data.check_ins.forEach(function(record) {
+                var checkedOut = 'Still checked in';
+                if (record.time_out) {
+                    checkedOut = record.date_out === data.date ?
+                        record.time_out : record.date_out + ' ' + record.time_out;
+                    if (record.auto_checked_out) {
+                        checkedOut += ' (automatic)';
+                    }
+                }
+
+                html += '<tr>';
+                if (data.usernames_visible) {
+                    html += '<td>' + escapeHtml(record.username || 'Guest') + '</td>';
+                }
+                html += '<td>' + escapeHtml(record.time) + '</td>';
+                html += '<td>' + escapeHtml(checkedOut) + '</td>';
+                html += '</tr>';
+            });
+
+            html += '</tbody></table>';
+            attendanceElement.innerHTML = html;
+        }
+    };
+
+    var url = '/manager/attendance' + (dateInput.value ? '?date=' + encodeURIComponent(dateInput.value) : '');
+    xmlhttp.open('GET', url, true);
+    xmlhttp.send();
+}
+
+/**
+ * Downloads the venue's attendance log for the range chosen in
+ * #export_from and #export_to.
+ *
+ * @param {string} format - 'csv' or 'xlsx'
+ */
+function exportAttendance(format) {
+    var from = document.getElementById('export_from').value;
+    var to = document.getElementById('export_to').value;
+
+    if (!from || !to) {
+        alert('Please choose a start and end date');
+        return;
+    }
+
+    if (to < from) {
+        alert('The end date cannot be before the start date');
+        return;
+    }
+
+    // A plain navigation lets the browser handle the file download
+    window.location.href = '/manager/export?from=' + encodeURIComponent(from) +
+        '&to=' + encodeURIComponent(to) + '&format=' + encodeURIComponent(format);
+}
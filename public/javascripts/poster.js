@@ -0,0 +1,56 @@
+/**
+ * Check-in Poster JavaScript
+ * Fills the printable poster page with the manager's venue details and
+ * the QR code for its current check-in code.
+ */
+
+/**
+ * Loads the manager's venue and shows its poster.
+ * Shows a message instead if there is no venue or no code to print yet.
+ */
+function loadPoster() {
+    var xmlhttp = new XMLHttpRequest();
+
+    xmlhttp.onreadystatechange = function() {
+        if (this.readyState === 4) {
+            var name = document.getElementById('poster_venue_name');
+
+            if (this.status === 401 || this.status === 403) {
+                window.location.href = '/login.html';
+                return;
+            }
+
+            if (this.status === 404) {
+                name.textContent = 'Register your venue on the dashboard first.';
+                return;
+            }
+
+            if (this.status !== 200) {
+                name.textContent = 'Unable to load venue details.';
+                return;
+            }
+
+            var venue = JSON.parse(this.responseText);
+
+            name.textContent = venue.venue_name || 'Your venue';
+            document.getElementById('poster_address').textContent =
+                venue.street_number + ' ' + venue.street_name + ', ' +
+                venue.suburb_town + ' ' + venue.state + ' ' + venue.postcode;
+
+            if (!venue.check_in_code) {
+                document.getElementById('poster_code').textContent =
+                    'Generate a check-in code on the dashboard first.';
+                return;
+            }
+
+            // Cache-busting query so a rotated code is never shown stale
+            document.getElementById('poster_qr').src = '/manager/venue/qr.svg?v=' +
+                encodeURIComponent(venue.check_in_code);
+            document.getElementById('poster_code').textContent = venue.check_in_code;
+            document.getElementById('poster_link').textContent = venue.check_in_url;
+        }
+    };
+
+    xmlhttp.open('GET', '/manager/venue', true);
+    xmlhttp.send();
+}
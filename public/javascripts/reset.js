@@ -0,0 +1,105 @@
+/**
+ * CovidWatch - Password Reset Page
+ *
+ * Without a token, the page asks for an email address to send a reset
+ * link to. The link in the email opens the page with ?token=..., and the
+ * page then asks for a new password.
+ */
+
+// Token from the reset link, if the page was opened from one
+var resetToken = null;
+
+/**
+ * Request a password reset link for the entered email address
+ *
+ * The server gives the same answer whether or not the address is
+ * registered, so the message shown never says which.
+ */
+function requestReset() {
+    var emailInput = document.getElementById('email');
+
+    if (!emailInput.value.trim()) {
+        alert('Please enter your email address');
+        return;
+    }
+
+    var xmlhttp = new XMLHttpRequest();
+
+    xmlhttp.onreadystatechange = function() {
+        if (this.readyState === 4) {
+            if (this.status === 200) {
+                alert('If that email address is registered, a password reset link has been sent to it. ' +
+                    'Check your inbox.');
+                emailInput.value = '';
+            } else if (this.status === 429) {
+                alert('Too many requests. Please wait an hour before trying again.');
+            } else if (this.status === 400) {
+                alert('Please enter a valid email address');
+            } else {
+                alert('Unable to send a reset link. Please try again later.');
+            }
+        }
+    };
+
+    xmlhttp.open('POST', '/users/request_password_reset', true);
+    xmlhttp.setRequestHeader('Content-Type', 'application/json');
+    xmlhttp.send(JSON.stringify({ email: emailInput.value.trim() }));
+}
+
+/**
+ * Set a new password using the token from the reset link
+ */
+function resetPassword() {
+    var passwordInput = document.getElementById('new_password');
+    var confirmInput = document.getElementById('confirm_password');
+    var password = passwordInput.value;
+
+    // Mirror the server's password rules for a quicker answer
+    if (password.length < 8 || !/[a-z]/.test(password) || !/[A-Z]/.test(password) || !/[0-9]/.test(password)) {
+        alert('Password must be at least 8 characters and contain an uppercase letter, a lowercase letter and a number');
+        return;
+    }
+
+    if (password !== confirmInput.value) {
+        alert('Passwords do not match');
+        return;
+    }
+
+    var xmlhttp = new XMLHttpRequest();
+
+    xmlhttp.onreadystatechange = function() {
+        if (this.readyState === 4) {
+            if (this.status === 200) {
+                alert('Your password has been reset. Please log in with your new password.');
+                window.location.href = '/login.html';
+            } else if (this.status === 400) {
+                var data = JSON.parse(this.responseText);
+                alert(data.error === 'Validation failed' ?
+                    'This reset link is invalid or your new password does not meet the requirements.' :
+                    data.error);
+            } else if (this.status === 429) {
+                alert('Too many requests. Please wait an hour before trying again.');
+            } else {
+                alert('Unable to reset your password. Please try again later.');
+            }
+        }
+    };
+
+    xmlhttp.open('POST', '/users/reset_password', true);
+    xmlhttp.setRequestHeader('Content-Type', 'application/json');
+    xmlhttp.send(JSON.stringify({ token: resetToken, new_password: password }));
+}
+
+/**
+ * Show the form for the step the visitor is on, and take the token out
+ * of the address bar so it isn't left in the browser history
+ */
+document.addEventListener('DOMContentLoaded', function() {
+    resetToken = new URLSearchParams(window.location.search).get('token');
+
+    if (resetToken) {
+        document.getElementById('request_section').style.display = 'none';
+        document.getElementById('reset_section').style.display = 'block';
+        window.history.replaceState(null, '', window.location.pathname);
+    }
+});
@@ -114,8 +114,13 @@ function signup() {
         if (this.readyState === 4) {
             if (this.status === 201 || this.status === 200) {
                 // Registration successful - redirect to login page
-                alert('Account created successfully! Please log in.');
-                window.location.href = '/login.html';
+                var created = JSON.parse(this.responseText);
+                if (created.manager_application === 'pending') {
+                    alert('Account created! You can log in now. You will have venue manager access once an administrator approves your application.');
+                } else {
+                    alert('Account created successfully! Please log in.');
+                }
+                window.location.href = '/login.html' + window.location.search;
             } else if (this.status === 409) {
                 alert('Username or email already exists. Please choose a different one.');
             } else if (this.status === 400) {
@@ -0,0 +1,115 @@
+/**
+ * CovidWatch - Service Worker
+ *
+ * Caches the pages, scripts and styles needed to open the site and
+ * check in without a connection. Pages are fetched from the network
+ * first so users always get the latest version when online; the cache
+ * is only used as a fallback. Only the app shell and static files are
+ * cached: API routes, downloads such as attendance exports, and anything
+ * sent with Cache-Control: no-store never are, so no one's personal
+ * data is left on the device.
+ *
+ * Check-ins made offline are queued in IndexedDB by home.js, not here.
+ */
+
+// Bump the version whenever APP_SHELL changes, so old caches are dropped.
+// v2 drops caches that earlier versions filled with API responses.
+var CACHE_NAME = 'covidwatch-shell-v2';
+
+var APP_SHELL = [
+    '/',
+    '/index.html',
+    '/user.html',
+    '/login.html',
+    '/checkin.html',
+    '/manifest.json',
+    '/project_logo.png',
+    '/images/logo.png',
+    '/stylesheets/style.css',
+    '/stylesheets/user.css',
+    '/stylesheets/login.css',
+    '/stylesheets/checkin.css',
+    '/javascripts/home.js',
+    '/javascripts/login.js',
+    '/javascripts/checkin.js'
+];
+
+// Static files that are safe to serve from the cache when offline
+var STATIC_FILE = /\.(html|css|js|png|jpg|json)$/;
+
+// Routes that return account data or downloads, which are left alone
+var PRIVATE_ROUTE = /^\/(users|manager|admin)\//;
+
+/**
+ * Whether a response may be kept in the cache
+ *
+ * @param {URL} url - The request URL
+ * @param {Response} response - The network response
+ * @returns {boolean} True for app shell pages and static files
+ */
+function isCacheable(url, response) {
+    if (!response.ok || response.redirected) {
+        return false;
+    }
+    if (/no-store/i.test(response.headers.get('Cache-Control') || '')) {
+        return false;
+    }
+    return APP_SHELL.indexOf(url.pathname) !== -1 || STATIC_FILE.test(url.pathname);
+}
+
+self.addEventListener('install', function(event) {
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(function(cache) {
+            return cache.addAll(APP_SHELL);
+        }).then(function() {
+            return self.skipWaiting();
+        })
+    );
+});
+
+self.addEventListener('activate', function(event) {
+    event.waitUntil(
+        caches.keys().then(function(names) {
+            return Promise.all(names.filter(function(name) {
+                return name !== CACHE_NAME;
+            }).map(function(name) {
+                return caches.delete(name);
+            }));
+        }).then(function() {
+            return self.clients.claim();
+        })
+    );
+});
+
+self.addEventListener('fetch', function(event) {
+    var request = event.request;
+    var url = new URL(request.url);
+
+    if (request.method !== 'GET' || url.origin !== self.location.origin || PRIVATE_ROUTE.test(url.pathname)) {
+        return;
+    }
+
+    var isPage = request.mode === 'navigate';
+    if (!isPage && !STATIC_FILE.test(url.pathname)) {
+        return;
+    }
+
+    // QR check-in links (/checkin/:code) all share one cached page
+    var isCheckIn = url.pathname.indexOf('/checkin/') === 0;
+
+    event.respondWith(
+        fetch(request).then(function(response) {
+            if (!isCheckIn && isCacheable(url, response)) {
+                var copy = response.clone();
+                caches.open(CACHE_NAME).then(function(cache) {
+                    cache.put(request, copy);
+                });
+            }
+            return response;
+        }).catch(function() {
+            return caches.match(isCheckIn ? '/checkin.html' : request).then(function(cached) {
+                return cached || caches.match('/index.html');
+            });
+        })
+    );
+});
@@ -0,0 +1,1097 @@
+/**
+ * CovidWatch - Admin Routes
+ *
+ * This file handles health administrator operations including:
+ * - Contact tracing queries for confirmed cases
+ * - Review of self-reported positive tests
+ * - Data quality reports
+ * - Venue attendance exports (CSV and XLSX)
+ * - User account management (search, roles, disabling accounts)
+ * - Account lockouts after failed logins
+ * - Review of venue manager applications
+ * - Searching the audit log
+ *
+ * Security features:
+ * - Every route requires an authenticated admin session
+ * - Schema-based input validation
+ * - Parameterized SQL queries
+ * - Views of people's data and changes to accounts are audit logged
+ */
+
+var express = require('express');
+var router = express.Router();
+
+// Security middleware
+var security = require('../middleware/security');
+var validation = require('../middleware/validation');
+var auth = require('../middleware/auth');
+var audit = require('../middleware/audit').audit;
+
+var auditLog = require('../lib/audit');
+var tracing = require('../lib/tracing');
+var applications = require('../lib/applications');
+var notifications = require('../lib/notifications');
+var venues = require('../lib/venues');
+var attendanceExports = require('../lib/exports');
+var sessions = require('../lib/sessions');
+var lockouts = require('../lib/lockouts');
+
+/**
+ * Allowed fields for each endpoint
+ * Used to reject requests with unexpected fields (parameter pollution prevention)
+ */
+var ALLOWED_FIELDS = {
+    trace: ['username', 'from', 'to', 'window_minutes'],
+    userType: ['user_type'],
+    applicationReview: ['note']
+};
+
+// Users listed per page of an account search
+var USERS_PAGE_SIZE = 25;
+
+// Account fields shown to admins (never the password hash)
+var USER_FIELDS = 'u.u_id, u.username, u.given_name, u.family_name, u.email_address, u.user_type, u.disabled';
+
+// Report statuses an admin can filter the review queue by. A confirmed
+// report stays open for tracing until an admin closes it.
+var REPORT_STATUSES = ['pending', 'confirmed', 'rejected', 'closed'];
+
+// All admin routes are restricted to the admin role
+router.use(auth.requireRole(['admin']));
+
+/**
+ * Audit targets for a traced case and everyone exposed to them
+ *
+ * Guests have no account to record against; their details are only
+ * shown as part of the case's trace.
+ *
+ * @param {string} username - The case
+ * @param {string} from - Start of the traced period (YYYY-MM-DD)
+ * @param {string} to - End of the traced period (YYYY-MM-DD)
+ * @param {Object[]} exposures - From tracing.findExposures
+ * @returns {Object[]} Targets for the audit log
+ */
+function traceTargets(username, from, to, exposures) {
+    var targets = [{ type: 'user', id: username, details: 'Traced as a case, ' + from + ' to ' + to }];
+
+    exposures.forEach(function(exposure) {
+        if (exposure.username) {
+            targets.push({
+                type: 'user',
+                id: exposure.username,
+                details: exposure.contacts.length + ' check-ins matched as exposed to ' + username
+            });
+        }
+    });
+
+    return targets;
+}
+
+/**
+ * POST /admin/trace
+ * Find users exposed to a confirmed case
+ *
+ * Given the case's username and infectious period, returns every other
+ * user who checked in to the same venue within the tracing window of
+ * one of the case's visits.
+ *
+ * Security features:
+ * - Admin only
+ * - Input validation
+ * - Rejects unexpected fields
+ */
+router.post('/trace',
+    security.rejectUnexpectedFields(ALLOWED_FIELDS.trace),
+    validation.traceValidation,
+    audit('trace.run', function(req, body) {
+        return traceTargets(body.username, body.from, body.to, body.exposures);
+    }),
+    function(req, res, next) {
+        var options = {
+            username: req.body.username,
+            from: req.body.from,
+            to: req.body.to,
+            windowMinutes: req.body.window_minutes !== undefined ?
+                req.body.window_minutes : tracing.DEFAULT_WINDOW_MINUTES
+        };
+
+        req.pool.getConnection(function(err, connection) {
+            if (err) {
+                console.error('Database connection error:', err);
+                return res.status(500).json({ error: 'Server error' });
+            }
+
+            tracing.findExposures(connection, options, function(err, exposures) {
+                connection.release();
+
+                if (err) {
+                    console.error('Tracing query error:', err);
+                    return res.status(500).json({ error: 'Failed to run exposure query' });
+                }
+
+                res.json({
+                    username: options.username,
+                    from: options.from,
+                    to: options.to,
+                    window_minutes: options.windowMinutes,
+                    exposures: exposures
+                });
+            });
+        });
+    }
+);
+
+/**
+ * GET /admin/positive_reports
+ * List self-reported positive tests, pending ones by default
+ *
+ * Query parameters:
+ * - status: pending | confirmed | rejected | closed
+ */
+router.get('/positive_reports', audit('positive_report.list', function(req, body) {
+    return body.map(function(report) {
+        return { type: 'user', id: report.username, details: 'Positive report ' + report.report_id + ' listed' };
+    });
+}), function(req, res, next) {
+    var status = req.query.status || 'pending';
+
+    if (!REPORT_STATUSES.includes(status)) {
+        return res.status(400).json({ error: 'Invalid status' });
+    }
+
+    req.pool.getConnection(function(err, connection) {
+        if (err) {
+            console.error('Database connection error:', err);
+            return res.status(500).json({ error: 'Server error' });
+        }
+
+        var query = 'SELECT r.report_id, r.username, u.given_name, u.family_name, u.email_address, ' +
+            "DATE_FORMAT(r.test_date, '%Y-%m-%d') AS test_date, DATE_FORMAT(r.onset_date, '%Y-%m-%d') AS onset_date, " +
+            'r.status, r.reported_at, r.reviewed_by, r.reviewed_at, r.exposure_count, r.closed_by, r.closed_at ' +
+            'FROM positive_reports r LEFT JOIN user u ON u.username = r.username ' +
+            'WHERE r.status = ? ORDER BY r.reported_at ASC;';
+
+        connection.query(query, [status], function(err, rows) {
+            connection.release();
+
+            if (err) {
+                console.error('Query error:', err);
+                return res.status(500).json({ error: 'Failed to retrieve reports' });
+            }
+
+            res.json(rows);
+        });
+    });
+});
+
+/**
+ * POST /admin/positive_reports/:id/confirm
+ * Confirm a pending positive report and run exposure matching
+ *
+ * The case's check-ins over their infectious period are matched against
+ * everyone else's, each overlap is stored in the exposures table, and
+ * every exposed user gets a message in their notification inbox.
+ * Runs in a transaction so a report is never confirmed without its
+ * exposures being recorded.
+ */
+router.post('/positive_reports/:id/confirm',
+    security.writeLimiter,
+    validation.idParamValidation,
+    audit('positive_report.confirm', function(req, body) {
+        return [{ type: 'positive_report', id: body.report_id }]
+            .concat(traceTargets(body.username, body.from, body.to, body.exposures));
+    }),
+    function(req, res, next) {
+        var reportId = req.params.id;
+        var reviewer = req.session.user.username;
+
+        req.pool.getConnection(function(err, connection) {
+            if (err) {
+                console.error('Database connection error:', err);
+                return res.status(500).json({ error: 'Server error' });
+            }
+
+            // Roll back, release the connection and report a server error
+            function fail(message, err) {
+                console.error(message, err);
+                connection.rollback(function() {
+                    connection.release();
+                    res.status(500).json({ error: 'Failed to confirm report' });
+                });
+            }
+
+            connection.beginTransaction(function(err) {
+                if (err) {
+                    connection.release();
+                    console.error('Transaction error:', err);
+                    return res.status(500).json({ error: 'Server error' });
+                }
+
+                var selectQuery = "SELECT username, DATE_FORMAT(test_date, '%Y-%m-%d') AS test_date, " +
+                    "DATE_FORMAT(onset_date, '%Y-%m-%d') AS onset_date, status " +
+                    'FROM positive_reports WHERE report_id = ? FOR UPDATE;';
+
+                connection.query(selectQuery, [reportId], function(err, rows) {
+                    if (err) {
+                        return fail('Query error:', err);
+                    }
+
+                    if (rows.length === 0 || rows[0].status !== 'pending') {
+                        return connection.rollback(function() {
+                            connection.release();
+                            res.status(404).json({ error: 'No pending report with that id' });
+                        });
+                    }
+
+                    var report = rows[0];
+                    var period = tracing.infectiousPeriod(report.test_date, report.onset_date);
+                    var options = {
+                        username: report.username,
+                        from: period.from,
+                        to: period.to,
+                        windowMinutes: tracing.DEFAULT_WINDOW_MINUTES
+                    };
+
+                    tracing.findExposures(connection, options, function(err, exposures) {
+                        if (err) {
+                            return fail('Tracing query error:', err);
+                        }
+
+                        tracing.recordExposures(connection, reportId, exposures, function(err) {
+                            if (err) {
+                                return fail('Exposure insert error:', err);
+                            }
+
+                            notifications.notifyExposures(connection, reportId, exposures, function(err, notified) {
+                                if (err) {
+                                    return fail('Notification insert error:', err);
+                                }
+
+                                var updateQuery = "UPDATE positive_reports SET status = 'confirmed', reviewed_by = ?, " +
+                                    'reviewed_at = CURRENT_TIMESTAMP, exposure_count = ? WHERE report_id = ?;';
+
+                                connection.query(updateQuery, [reviewer, exposures.length, reportId], function(err) {
+                                    if (err) {
+                                        return fail('Update error:', err);
+                                    }
+
+                                    connection.commit(function(err) {
+                                        if (err) {
+                                            return fail('Commit error:', err);
+                                        }
+
+                                        connection.release();
+                                        res.json({
+                                            success: true,
+                                            report_id: reportId,
+                                            username: report.username,
+                                            from: period.from,
+                                            to: period.to,
+                                            exposures: exposures,
+                                            notified: notified
+                                        });
+                                    });
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    }
+);
+
+/**
+ * POST /admin/positive_reports/:id/reject
+ * Reject a pending positive report without running exposure matching
+ */
+router.post('/positive_reports/:id/reject',
+    security.writeLimiter,
+    validation.idParamValidation,
+    audit('positive_report.reject', function(req, body) {
+        return { type: 'positive_report', id: body.report_id };
+    }),
+    function(req, res, next) {
+        var reportId = req.params.id;
+        var reviewer = req.session.user.username;
+
+        req.pool.getConnection(function(err, connection) {
+            if (err) {
+                console.error('Database connection error:', err);
+                return res.status(500).json({ error: 'Server error' });
+            }
+
+            var query = "UPDATE positive_reports SET status = 'rejected', reviewed_by = ?, " +
+                "reviewed_at = CURRENT_TIMESTAMP WHERE report_id = ? AND status = 'pending';";
+
+            connection.query(query, [reviewer, reportId], function(err, result) {
+                connection.release();
+
+                if (err) {
+                    console.error('Update error:', err);
+                    return res.status(500).json({ error: 'Failed to reject report' });
+                }
+
+                if (result.affectedRows === 0) {
+                    return res.status(404).json({ error: 'No pending report with that id' });
+                }
+
+                res.json({ success: true, report_id: reportId });
+            });
+        });
+    }
+);
+
+/**
+ * POST /admin/positive_reports/:id/close
+ * Close the tracing investigation of a confirmed report
+ *
+ * While a report is confirmed and open, the check-ins recorded against
+ * it are kept past the retention period. Closing it lets the retention
+ * job purge them.
+ */
+router.post('/positive_reports/:id/close',
+    security.writeLimiter,
+    validation.idParamValidation,
+    audit('positive_report.close', function(req, body) {
+        return { type: 'positive_report', id: body.report_id };
+    }),
+    function(req, res, next) {
+        var reportId = req.params.id;
+        var admin = req.session.user.username;
+
+        req.pool.getConnection(function(err, connection) {
+            if (err) {
+                console.error('Database connection error:', err);
+                return res.status(500).json({ error: 'Server error' });
+            }
+
+            var query = "UPDATE positive_reports SET status = 'closed', closed_by = ?, " +
+                "closed_at = CURRENT_TIMESTAMP WHERE report_id = ? AND status = 'confirmed';";
+
+            connection.query(query, [admin, reportId], function(err, result) {
+                connection.release();
+
+                if (err) {
+                    console.error('Update error:', err);
+                    return res.status(500).json({ error: 'Failed to close report' });
+                }
+
+                if (result.affectedRows === 0) {
+                    return res.status(404).json({ error: 'No open confirmed report with that id' });
+                }
+
+                res.json({ success: true, report_id: reportId });
+            });
+        });
+    }
+);
+
+/**
+ * Change an account and end its open sessions
+ *
+ * Sessions hold a copy of the user's role from when they logged in, so
+ * they are ended for the change to take effect. Admins cannot change
+ * their own account this way, so they cannot lock themselves out.
+ *
+ * @param {Object} req - Express request (params.id is the account's u_id)
+ * @param {Object} res - Express response
+ * @param {string} assignments - SET clause, e.g. 'disabled = ?'
+ * @param {Array} values - Values for the SET clause placeholders
+ */
+function changeAccount(req, res, assignments, values) {
+    var userId = req.params.id;
+
+    if (userId === req.session.user.u_id) {
+        return res.status(400).json({ error: 'You cannot change your own account here' });
+    }
+
+    req.pool.getConnection(function(err, connection) {
+        if (err) {
+            console.error('Database connection error:', err);
+            return res.status(500).json({ error: 'Server error' });
+        }
+
+        var selectQuery = 'SELECT username FROM user WHERE u_id = ?;';
+
+        connection.query(selectQuery, [userId], function(err, rows) {
+            if (err) {
+                connection.release();
+                console.error('Query error:', err);
+                return res.status(500).json({ error: 'Failed to update user' });
+            }
+
+            if (rows.length === 0) {
+                connection.release();
+                return res.status(404).json({ error: 'No user with that id' });
+            }
+
+            var username = rows[0].username;
+            var updateQuery = 'UPDATE user SET ' + assignments + ' WHERE u_id = ?;';
+
+            connection.query(updateQuery, values.concat([userId]), function(err) {
+                if (err) {
+                    connection.release();
+                    console.error('Update error:', err);
+                    return res.status(500).json({ error: 'Failed to update user' });
+                }
+
+                var query = 'SELECT ' + USER_FIELDS + ' FROM user u WHERE u.u_id = ?;';
+
+                connection.query(query, [userId], function(err, users) {
+                    connection.release();
+
+                    if (err) {
+                        console.error('Query error:', err);
+                        return res.status(500).json({ error: 'Failed to update user' });
+                    }
+
+                    sessions.endUserSessions(req.sessionStore, username, function(err, ended) {
+                        if (err) {
+                            // The change is saved; it applies from the user's next login
+                            console.error('Session end error:', err);
+                        }
+
+                        res.json({
+                            success: true,
+                            user: users[0],
+                            sessions_ended: ended || 0
+                        });
+                    });
+                });
+            });
+        });
+    });
+}
+
+/**
+ * GET /admin/users
+ * Search user accounts
+ *
+ * Matches the search text against username, names and email address.
+ *
+ * Query parameters:
+ * - q: search text (optional)
+ * - user_type: user | manager | admin (optional)
+ * - page: page number, from 1
+ */
+router.get('/users',
+    validation.userSearchValidation,
+    audit('user.search', function(req, body) {
+        return {
+            details: 'Search "' + (req.query.q || '') + '", role ' + (req.query.user_type || 'any') +
+                ', page ' + body.page + ' (' + body.users.length + ' users shown)'
+        };
+    }),
+    function(req, res, next) {
+        var page = req.query.page || 1;
+        var conditions = [];
+        var values = [];
+
+        if (req.query.q) {
+            // Escape LIKE wildcards so the text is matched literally
+            var pattern = '%' + req.query.q.replace(/[\\%_]/g, '\\$&') + '%';
+            conditions.push('(u.username LIKE ? OR u.given_name LIKE ? OR u.family_name LIKE ? OR u.email_address LIKE ?)');
+            values.push(pattern, pattern, pattern, pattern);
+        }
+
+        if (req.query.user_type) {
+            conditions.push('u.user_type = ?');
+            values.push(req.query.user_type);
+        }
+
+        var where = conditions.length > 0 ? ' WHERE ' + conditions.join(' AND ') : '';
+
+        req.pool.getConnection(function(err, connection) {
+            if (err) {
+                console.error('Database connection error:', err);
+                return res.status(500).json({ error: 'Server error' });
+            }
+
+            var countQuery = 'SELECT COUNT(*) AS total FROM user u' + where + ';';
+
+            connection.query(countQuery, values, function(err, counts) {
+                if (err) {
+                    connection.release();
+                    console.error('Query error:', err);
+                    return res.status(500).json({ error: 'Failed to search users' });
+                }
+
+                var query = 'SELECT ' + USER_FIELDS + ' FROM user u' + where +
+                    ' ORDER BY u.username LIMIT ? OFFSET ?;';
+
+                connection.query(query, values.concat([USERS_PAGE_SIZE, (page - 1) * USERS_PAGE_SIZE]), function(err, rows) {
+                    connection.release();
+
+                    if (err) {
+                        console.error('Query error:', err);
+                        return res.status(500).json({ error: 'Failed to search users' });
+                    }
+
+                    res.json({
+                        users: rows,
+                        total: counts[0].total,
+                        page: page,
+                        page_size: USERS_PAGE_SIZE
+                    });
+                });
+            });
+        });
+    }
+);
+
+/**
+ * GET /admin/users/:id
+ * View a user account with how many times the user has checked in
+ *
+ * The count covers the user's own visits, not their dependants'. Also
+ * returns failed_logins (failed attempts since the user last logged in)
+ * and locked_until, if the account is locked.
+ */
+router.get('/users/:id',
+    validation.idParamValidation,
+    audit('user.view', function(req, body) {
+        return { type: 'user', id: body.username, details: 'Account details and check-in count' };
+    }),
+    function(req, res, next) {
+        req.pool.getConnection(function(err, connection) {
+            if (err) {
+                console.error('Database connection error:', err);
+                return res.status(500).json({ error: 'Server error' });
+            }
+
+            var query = 'SELECT ' + USER_FIELDS + ', COUNT(ci.c_id) AS check_in_count, ' +
+                'MAX(ci.checked_in_at) AS last_checked_in_at, ' +
+                '(SELECT failures_since_login FROM login_lockouts WHERE username = u.username) AS failed_logins, ' +
+                '(SELECT locked_until FROM login_lockouts WHERE username = u.username ' +
+                'AND locked_until > UTC_TIMESTAMP()) AS locked_until ' +
+                'FROM user u LEFT JOIN check_ins ci ON ci.username = u.username AND ci.dependant_id IS NULL ' +
+                'WHERE u.u_id = ? GROUP BY u.u_id;';
+
+            connection.query(query, [req.params.id], function(err, rows) {
+                connection.release();
+
+                if (err) {
+                    console.error('Query error:', err);
+                    return res.status(500).json({ error: 'Failed to retrieve user' });
+                }
+
+                if (rows.length === 0) {
+                    return res.status(404).json({ error: 'No user with that id' });
+                }
+
+                res.json(rows[0]);
+            });
+        });
+    }
+);
+
+/**
+ * PUT /admin/users/:id/user_type
+ * Change a user's role
+ *
+ * The user's open sessions are ended so the new role applies at once.
+ */
+router.put('/users/:id/user_type',
+    security.writeLimiter,
+    security.rejectUnexpectedFields(ALLOWED_FIELDS.userType),
+    validation.idParamValidation,
+    validation.userTypeValidation,
+    audit('user.role_change', function(req, body) {
+        return { type: 'user', id: body.user.username, details: 'Role set to ' + body.user.user_type };
+    }),
+    function(req, res, next) {
+        changeAccount(req, res, 'user_type = ?', [req.body.user_type]);
+    }
+);
+
+/**
+ * POST /admin/users/:id/disable
+ * Disable a user account
+ *
+ * A disabled account is refused at login and its open sessions are
+ * ended. Its check-ins are kept for contact tracing.
+ */
+router.post('/users/:id/disable',
+    security.writeLimiter,
+    validation.idParamValidation,
+    audit('user.disable', function(req, body) {
+        return { type: 'user', id: body.user.username };
+    }),
+    function(req, res, next) {
+        changeAccount(req, res, 'disabled = 1', []);
+    }
+);
+
+/**
+ * POST /admin/users/:id/enable
+ * Re-enable a disabled user account
+ */
+router.post('/users/:id/enable',
+    security.writeLimiter,
+    validation.idParamValidation,
+    audit('user.enable', function(req, body) {
+        return { type: 'user', id: body.user.username };
+    }),
+    function(req, res, next) {
+        changeAccount(req, res, 'disabled = 0', []);
+    }
+);
+
+/**
+ * GET /admin/lockouts
+ * List accounts with failed login attempts since they last logged in
+ *
+ * Locked accounts are listed first, then the most recently targeted.
+ */
+router.get('/lockouts', audit('lockout.list', function(req, body) {
+    return body.map(function(lockout) {
+        return { type: 'user', id: lockout.username, details: 'Failed logins listed' };
+    });
+}), function(req, res, next) {
+    req.pool.getConnection(function(err, connection) {
+        if (err) {
+            console.error('Database connection error:', err);
+            return res.status(500).json({ error: 'Server error' });
+        }
+
+        var query = 'SELECT u.u_id, l.username, l.failures_since_login AS failed_logins, l.lockouts, ' +
+            'IF(l.locked_until > UTC_TIMESTAMP(), l.locked_until, NULL) AS locked_until, ' +
+            'l.last_failed_at, l.last_failed_ip ' +
+            'FROM login_lockouts l JOIN user u ON u.username = l.username ' +
+            'WHERE l.failures_since_login > 0 OR l.locked_until > UTC_TIMESTAMP() ' +
+            'ORDER BY (l.locked_until > UTC_TIMESTAMP()) DESC, l.last_failed_at DESC;';
+
+        connection.query(query, function(err, rows) {
+            connection.release();
+
+            if (err) {
+                console.error('Query error:', err);
+                return res.status(500).json({ error: 'Failed to retrieve lockouts' });
+            }
+
+            res.json(rows);
+        });
+    });
+});
+
+/**
+ * POST /admin/users/:id/unlock
+ * Unlock an account locked after failed logins
+ *
+ * The failed attempt count starts again, and the lockout length goes
+ * back to the shortest. The user is still told about the failed attempts
+ * when they next log in.
+ */
+router.post('/users/:id/unlock',
+    security.writeLimiter,
+    validation.idParamValidation,
+    audit('user.unlock', function(req, body) {
+        return { type: 'user', id: body.username };
+    }),
+    function(req, res, next) {
+        req.pool.getConnection(function(err, connection) {
+            if (err) {
+                console.error('Database connection error:', err);
+                return res.status(500).json({ error: 'Server error' });
+            }
+
+            var query = 'SELECT username FROM user WHERE u_id = ?;';
+
+            connection.query(query, [req.params.id], function(err, rows) {
+                if (err) {
+                    connection.release();
+                    console.error('Query error:', err);
+                    return res.status(500).json({ error: 'Failed to unlock user' });
+                }
+
+                if (rows.length === 0) {
+                    connection.release();
+                    return res.status(404).json({ error: 'No user with that id' });
+                }
+
+                var username = rows[0].username;
+
+                lockouts.clearLockout(connection, username, function(err) {
+                    connection.release();
+
+                    if (err) {
+                        console.error('Update error:', err);
+                        return res.status(500).json({ error: 'Failed to unlock user' });
+                    }
+
+                    res.json({ success: true, username: username });
+                });
+            });
+        });
+    }
+);
+
+/**
+ * GET /admin/manager_applications
+ * List venue manager applications, pending ones by default
+ *
+ * Query parameters:
+ * - status: pending | approved | rejected
+ */
+router.get('/manager_applications', audit('manager_application.list', function(req, body) {
+    return body.map(function(application) {
+        return {
+            type: 'user',
+            id: application.username,
+            details: 'Manager application ' + application.application_id + ' listed'
+        };
+    });
+}), function(req, res, next) {
+    var status = req.query.status || 'pending';
+
+    if (!applications.APPLICATION_STATUSES.includes(status)) {
+        return res.status(400).json({ error: 'Invalid status' });
+    }
+
+    req.pool.getConnection(function(err, connection) {
+        if (err) {
+            console.error('Database connection error:', err);
+            return res.status(500).json({ error: 'Server error' });
+        }
+
+        var query = 'SELECT a.application_id, a.username, u.given_name, u.family_name, u.email_address, ' +
+            'a.status, a.note, a.applied_at, a.reviewed_by, a.reviewed_at ' +
+            'FROM manager_applications a LEFT JOIN user u ON u.username = a.username ' +
+            'WHERE a.status = ? ORDER BY a.applied_at ASC;';
+
+        connection.query(query, [status], function(err, rows) {
+            connection.release();
+
+            if (err) {
+                console.error('Query error:', err);
+                return res.status(500).json({ error: 'Failed to retrieve applications' });
+            }
+
+            res.json(rows);
+        });
+    });
+});
+
+/**
+ * POST /admin/manager_applications/:id/approve
+ * Approve a pending manager application and give the applicant the
+ * manager role
+ *
+ * Admin accounts are left as they are. The applicant's open sessions are
+ * ended so the new role applies at once. An optional note is shown to
+ * the applicant with the outcome.
+ */
+router.post('/manager_applications/:id/approve',
+    security.writeLimiter,
+    security.rejectUnexpectedFields(ALLOWED_FIELDS.applicationReview),
+    validation.idParamValidation,
+    validation.applicationReviewValidation,
+    audit('manager_application.approve', function(req, body) {
+        return [
+            { type: 'manager_application', id: body.application_id },
+            { type: 'user', id: body.username, details: 'Given the manager role' }
+        ];
+    }),
+    function(req, res, next) {
+        var applicationId = req.params.id;
+        var reviewer = req.session.user.username;
+        var note = req.body.note || null;
+
+        req.pool.getConnection(function(err, connection) {
+            if (err) {
+                console.error('Database connection error:', err);
+                return res.status(500).json({ error: 'Server error' });
+            }
+
+            // Roll back, release the connection and report a server error
+            function fail(message, err) {
+                console.error(message, err);
+                connection.rollback(function() {
+                    connection.release();
+                    res.status(500).json({ error: 'Failed to approve application' });
+                });
+            }
+
+            connection.beginTransaction(function(err) {
+                if (err) {
+                    connection.release();
+                    console.error('Transaction error:', err);
+                    return res.status(500).json({ error: 'Server error' });
+                }
+
+                var selectQuery = 'SELECT username, status FROM manager_applications WHERE application_id = ? FOR UPDATE;';
+
+                connection.query(selectQuery, [applicationId], function(err, rows) {
+                    if (err) {
+                        return fail('Query error:', err);
+                    }
+
+                    if (rows.length === 0 || rows[0].status !== 'pending') {
+                        return connection.rollback(function() {
+                            connection.release();
+                            res.status(404).json({ error: 'No pending application with that id' });
+                        });
+                    }
+
+                    var username = rows[0].username;
+                    var updateQuery = "UPDATE manager_applications SET status = 'approved', note = ?, " +
+                        'reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP WHERE application_id = ?;';
+
+                    connection.query(updateQuery, [note, reviewer, applicationId], function(err) {
+                        if (err) {
+                            return fail('Update error:', err);
+                        }
+
+                        var roleQuery = "UPDATE user SET user_type = 'manager' WHERE username = ? AND user_type = 'user';";
+
+                        connection.query(roleQuery, [username], function(err) {
+                            if (err) {
+                                return fail('Update error:', err);
+                            }
+
+                            connection.commit(function(err) {
+                                if (err) {
+                                    return fail('Commit error:', err);
+                                }
+
+                                connection.release();
+
+                                sessions.endUserSessions(req.sessionStore, username, function(err) {
+                                    if (err) {
+                                        // The role is saved; it applies from the user's next login
+                                        console.error('Session end error:', err);
+                                    }
+
+                                    res.json({ success: true, application_id: applicationId, username: username });
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    }
+);
+
+/**
+ * POST /admin/manager_applications/:id/reject
+ * Reject a pending manager application
+ *
+ * The applicant keeps their user account. An optional note is shown to
+ * them with the outcome.
+ */
+router.post('/manager_applications/:id/reject',
+    security.writeLimiter,
+    security.rejectUnexpectedFields(ALLOWED_FIELDS.applicationReview),
+    validation.idParamValidation,
+    validation.applicationReviewValidation,
+    audit('manager_application.reject', function(req, body) {
+        return { type: 'manager_application', id: body.application_id };
+    }),
+    function(req, res, next) {
+        var applicationId = req.params.id;
+        var reviewer = req.session.user.username;
+
+        req.pool.getConnection(function(err, connection) {
+            if (err) {
+                console.error('Database connection error:', err);
+                return res.status(500).json({ error: 'Server error' });
+            }
+
+            var query = "UPDATE manager_applications SET status = 'rejected', note = ?, reviewed_by = ?, " +
+                "reviewed_at = CURRENT_TIMESTAMP WHERE application_id = ? AND status = 'pending';";
+
+            connection.query(query, [req.body.note || null, reviewer, applicationId], function(err, result) {
+                connection.release();
+
+                if (err) {
+                    console.error('Update error:', err);
+                    return res.status(500).json({ error: 'Failed to reject application' });
+                }
+
+                if (result.affectedRows === 0) {
+                    return res.status(404).json({ error: 'No pending application with that id' });
+                }
+
+                res.json({ success: true, application_id: applicationId });
+            });
+        });
+    }
+);
+
+/**
+ * GET /admin/orphaned_check_ins
+ * Report historical check-ins whose codes do not match any venue
+ *
+ * Groups the check-ins by code, with how many there are and the dates
+ * (in UTC, as there is no venue to give a time zone) they span. Codes a
+ * venue has rotated away from are not orphaned.
+ */
+router.get('/orphaned_check_ins', audit('orphaned_check_in.list', function(req, body) {
+    var total = body.reduce(function(sum, code) {
+        return sum + Number(code.check_ins);
+    }, 0);
+
+    return { details: body.length + ' codes listed (' + total + ' check-ins)' };
+}), function(req, res, next) {
+    req.pool.getConnection(function(err, connection) {
+        if (err) {
+            console.error('Database connection error:', err);
+            return res.status(500).json({ error: 'Server error' });
+        }
+
+        var query = 'SELECT ci.check_in_code, COUNT(*) AS check_ins, ' +
+            "DATE_FORMAT(MIN(ci.checked_in_at), '%Y-%m-%d') AS first_date, " +
+            "DATE_FORMAT(MAX(ci.checked_in_at), '%Y-%m-%d') AS last_date " +
+            'FROM check_ins ci ' +
+            'LEFT JOIN venue v ON v.check_in_code = ci.check_in_code ' +
+            'LEFT JOIN retired_codes r ON r.check_in_code = ci.check_in_code ' +
+            'WHERE v.v_id IS NULL AND r.v_id IS NULL ' +
+            'GROUP BY ci.check_in_code ORDER BY check_ins DESC, ci.check_in_code;';
+
+        connection.query(query, function(err, rows) {
+            connection.release();
+
+            if (err) {
+                console.error('Query error:', err);
+                return res.status(500).json({ error: 'Failed to retrieve report' });
+            }
+
+            res.json(rows);
+        });
+    });
+});
+
+/**
+ * GET /admin/venues
+ * List every venue, for choosing one to export
+ */
+router.get('/venues', function(req, res, next) {
+    req.pool.getConnection(function(err, connection) {
+        if (err) {
+            console.error('Database connection error:', err);
+            return res.status(500).json({ error: 'Server error' });
+        }
+
+        var query = 'SELECT * FROM venue ORDER BY venue_name, v_id;';
+
+        connection.query(query, function(err, rows) {
+            connection.release();
+
+            if (err) {
+                console.error('Query error:', err);
+                return res.status(500).json({ error: 'Failed to retrieve venues' });
+            }
+
+            res.json(rows.map(venues.formatVenue));
+        });
+    });
+});
+
+/**
+ * GET /admin/venues/:id/export
+ * Download the attendance log for any venue
+ *
+ * Streams check-ins between two dates as CSV or an XLSX workbook,
+ * including visitors' names and contact details. Every export is
+ * recorded in export_audit and the audit log, with an audit entry for
+ * each visitor whose check-ins it contained.
+ *
+ * Query parameters:
+ * - from, to: date range (YYYY-MM-DD), inclusive
+ * - format: csv (default) | xlsx
+ */
+router.get('/venues/:id/export',
+    validation.idParamValidation,
+    validation.exportValidation,
+    function(req, res, next) {
+        var options = {
+            from: req.query.from,
+            to: req.query.to,
+            format: req.query.format || 'csv',
+            includeVisitors: true
+        };
+
+        req.pool.getConnection(function(err, connection) {
+            if (err) {
+                console.error('Database connection error:', err);
+                return res.status(500).json({ error: 'Server error' });
+            }
+
+            venues.findVenue(connection, req.params.id, function(err, venue) {
+                if (err) {
+                    connection.release();
+                    console.error('Query error:', err);
+                    return res.status(500).json({ error: 'Server error' });
+                }
+
+                if (!venue) {
+                    connection.release();
+                    return res.status(404).json({ error: 'No venue with that id' });
+                }
+
+                attendanceExports.auditedExport(connection, req, venue, options, res, function(err) {
+                    connection.release();
+
+                    if (err) {
+                        console.error('Export error:', err);
+                        if (!res.headersSent) {
+                            res.status(500).json({ error: 'Failed to export attendance' });
+                        }
+                    }
+                });
+            });
+        });
+    }
+);
+
+/**
+ * GET /admin/audit
+ * Search the audit log, most recent entries first
+ *
+ * Searching by target type "user" and a username finds everyone who has
+ * viewed or changed that person's data, including their check-ins in a
+ * trace or an attendance export. Searches are audit logged too.
+ *
+ * Query parameters (all optional):
+ * - actor: username that took the action
+ * - action: one of the recorded actions
+ * - target_type: user | venue | positive_report | manager_application | marker
+ * - target: target id (a username for users)
+ * - from, to: date range (YYYY-MM-DD, UTC), inclusive
+ * - page: page number, from 1
+ */
+router.get('/audit',
+    validation.auditSearchValidation,
+    audit('audit.search', function(req, body) {
+        var filters = ['actor', 'action', 'target_type', 'target', 'from', 'to'].filter(function(field) {
+            return req.query[field];
+        }).map(function(field) {
+            return field + '=' + req.query[field];
+        });
+
+        return { details: (filters.join(', ') || 'All entries') + ', page ' + body.page };
+    }),
+    function(req, res, next) {
+        req.pool.getConnection(function(err, connection) {
+            if (err) {
+                console.error('Database connection error:', err);
+                return res.status(500).json({ error: 'Server error' });
+            }
+
+            auditLog.search(connection, req.query, req.query.page || 1, function(err, result) {
+                connection.release();
+
+                if (err) {
+                    console.error('Query error:', err);
+                    return res.status(500).json({ error: 'Failed to search audit log' });
+                }
+
+                res.json(result);
+            });
+        });
+    }
+);
+
+module.exports = router;
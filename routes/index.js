@@ -5,6 +5,7 @@
  * - Home page
  * - User session status
  * - Account redirection based on user type
+ * - Deep-link check-in pages opened from venue QR codes
  * - Map marker operations
  * - Secure API key delivery
  *
@@ -13,6 +14,7 @@
  * - Input validation
  * - Rate limiting
  * - Secure API key handling
+ * - Audit logging of map marker changes
  */
 
 var express = require('express');
@@ -21,43 +23,13 @@ var router = express.Router();
 // Security middleware
 var security = require('../middleware/security');
 var validation = require('../middleware/validation');
+var auth = require('../middleware/auth');
+var audit = require('../middleware/audit').audit;
 
-/**
- * Authentication Middleware
- *
- * Checks if a user is logged in before allowing access to protected routes.
- */
-function requireAuth(req, res, next) {
-    if (req.session && req.session.user) {
-        next();
-    } else {
-        res.status(401).json({ error: 'Authentication required' });
-    }
-}
+var venues = require('../lib/venues');
 
-/**
- * Role-based Authorization Middleware Factory
- *
- * Creates middleware that checks if the user has one of the allowed roles.
- * This enforces principle of least privilege.
- *
- * @param {string[]} allowedRoles - Array of roles allowed to access the route
- */
-function requireRole(allowedRoles) {
-    return function(req, res, next) {
-        if (!req.session || !req.session.user) {
-            return res.status(401).json({ error: 'Authentication required' });
-        }
-
-        var userType = req.session.user.user_type;
-
-        if (!allowedRoles.includes(userType)) {
-            return res.status(403).json({ error: 'Access denied. Insufficient permissions.' });
-        }
-
-        next();
-    };
-}
+var requireAuth = auth.requireAuth;
+var requireRole = auth.requireRole;
 
 /**
  * Allowed fields for marker endpoint
@@ -119,6 +91,63 @@ router.get('/account', function(req, res, next) {
     }
 });
 
+/**
+ * GET /checkin/:code
+ * Deep-link check-in page that a venue's QR code points to
+ *
+ * The page looks up the venue, sends visitors without a session to log
+ * in (returning them here afterwards), and then checks in with one tap
+ * through POST /users/check_in.
+ */
+router.get('/checkin/:code', function(req, res, next) {
+    res.sendFile('checkin.html', { root: './public' });
+});
+
+/**
+ * GET /checkin/:code/venue
+ * Look up the venue a check-in code belongs to
+ *
+ * Public so the check-in page can show where the visitor is before they
+ * log in. Only the details printed on the venue's poster are returned.
+ */
+router.get('/checkin/:code/venue',
+    validation.checkInCodeParamValidation,
+    function(req, res, next) {
+        req.pool.getConnection(function(err, connection) {
+            if (err) {
+                console.error('Database connection error:', err);
+                return res.status(500).json({ error: 'Server error' });
+            }
+
+            venues.resolveCheckInCode(connection, req.params.code, null, function(err, venue) {
+                connection.release();
+
+                if (err) {
+                    console.error('Query error:', err);
+                    return res.status(500).json({ error: 'Failed to look up venue' });
+                }
+
+                if (!venue) {
+                    return res.status(404).json({
+                        error: 'Unknown venue',
+                        message: 'No active venue is registered with that check-in code'
+                    });
+                }
+
+                res.json({
+                    check_in_code: req.params.code,
+                    venue_name: venue.venue_name,
+                    street_number: venue.street_number,
+                    street_name: venue.street_name,
+                    suburb_town: venue.suburb_town,
+                    state: venue.state,
+                    postcode: venue.postcode
+                });
+            });
+        });
+    }
+);
+
 /**
  * GET /api/config/mapbox
  * Securely deliver Mapbox token to authenticated users
@@ -199,6 +228,7 @@ router.get('/mapmarkers', requireAuth, function(req, res, next) {
  * - Rate limited for write operations
  * - Input validation for coordinates
  * - Rejects unexpected fields
+ * - Audit logged
  */
 router.post('/addmarkers',
     requireAuth,
@@ -206,6 +236,9 @@ router.post('/addmarkers',
     security.writeLimiter,
     security.rejectUnexpectedFields(ALLOWED_FIELDS.marker),
     validation.markerValidation,
+    audit('marker.add', function(req, body) {
+        return { type: 'marker', id: body.id, details: 'Longitude ' + body.longitude + ', latitude ' + body.latitude };
+    }),
     function(req, res, next) {
         var longitude = parseFloat(req.body.long);
         var latitude = parseFloat(req.body.lat);
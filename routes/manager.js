@@ -0,0 +1,662 @@
+/**
+ * CovidWatch - Manager Routes
+ *
+ * This file handles venue manager operations including:
+ * - Venue registration and details
+ * - Venue check-in code issuance and rotation
+ * - QR codes for printable check-in posters
+ * - Venue capacity settings
+ * - Live venue occupancy
+ * - Venue attendance by day
+ * - Attendance exports (CSV and XLSX)
+ *
+ * Security features:
+ * - Every route requires an authenticated manager session
+ * - Managers can only act on the venue linked to their account
+ * - Schema-based input validation
+ * - Parameterized SQL queries
+ * - Views of visitors' check-ins are audit logged
+ */
+
+var express = require('express');
+var router = express.Router();
+
+// Security middleware
+var security = require('../middleware/security');
+var validation = require('../middleware/validation');
+var auth = require('../middleware/auth');
+var audit = require('../middleware/audit').audit;
+
+var venues = require('../lib/venues');
+var qrcodes = require('../lib/qrcodes');
+var attendance = require('../lib/attendance');
+var attendanceExports = require('../lib/exports');
+var timezones = require('../lib/timezones');
+var settings = require('../lib/settings');
+
+/**
+ * Allowed fields for each endpoint
+ * Used to reject requests with unexpected fields (parameter pollution prevention)
+ */
+var ALLOWED_FIELDS = {
+    venue: ['venue_name', 'street_number', 'street_name', 'suburb_town', 'state', 'postcode', 'timezone', 'max_stay_minutes'],
+    code: ['grace_hours'],
+    capacity: ['floor_area', 'enforce_capacity']
+};
+
+// How long a replaced check-in code keeps working by default
+var DEFAULT_CODE_GRACE_HOURS = settings.wholeNumber('VENUE_CODE_GRACE_HOURS', 24, 0, 168);
+
+// All manager routes are restricted to the manager role
+router.use(auth.requireRole(['manager']));
+
+/**
+ * GET /manager/venue
+ * Get the details of the manager's venue
+ *
+ * Includes check_in_url, the deep link its QR code points to, once the
+ * venue has a check-in code.
+ */
+router.get('/venue', function(req, res, next) {
+    var username = req.session.user.username;
+
+    req.pool.getConnection(function(err, connection) {
+        if (err) {
+            console.error('Database connection error:', err);
+            return res.status(500).json({ error: 'Server error' });
+        }
+
+        venues.findManagedVenue(connection, username, function(err, venue) {
+            connection.release();
+
+            if (err) {
+                console.error('Query error:', err);
+                return res.status(500).json({ error: 'Failed to retrieve venue' });
+            }
+
+            if (!venue) {
+                return res.status(404).json({ error: 'No venue registered for this account' });
+            }
+
+            var details = venues.formatVenue(venue);
+            details.check_in_url = venue.check_in_code ? qrcodes.checkInUrl(req, venue.check_in_code) : null;
+
+            res.json(details);
+        });
+    });
+});
+
+/**
+ * POST /manager/venue
+ * Register the venue this manager runs
+ *
+ * Creates the venue and links it to the manager through manager.venue.
+ * A manager can run one venue at a time.
+ */
+router.post('/venue',
+    security.writeLimiter,
+    security.rejectUnexpectedFields(ALLOWED_FIELDS.venue),
+    validation.venueValidation,
+    function(req, res, next) {
+        var user = req.session.user;
+
+        req.pool.getConnection(function(err, connection) {
+            if (err) {
+                console.error('Database connection error:', err);
+                return res.status(500).json({ error: 'Server error' });
+            }
+
+            // Roll back, release the connection and report a server error
+            function fail(message, err) {
+                console.error(message, err);
+                connection.rollback(function() {
+                    connection.release();
+                    res.status(500).json({ error: 'Failed to register venue' });
+                });
+            }
+
+            venues.findManagedVenue(connection, user.username, function(err, existing) {
+                if (err) {
+                    connection.release();
+                    console.error('Query error:', err);
+                    return res.status(500).json({ error: 'Server error' });
+                }
+
+                if (existing) {
+                    connection.release();
+                    return res.status(409).json({ error: 'A venue is already registered for this account' });
+                }
+
+                connection.beginTransaction(function(err) {
+                    if (err) {
+                        connection.release();
+                        console.error('Transaction error:', err);
+                        return res.status(500).json({ error: 'Server error' });
+                    }
+
+                    var insertQuery = 'INSERT INTO venue (venue_name, street_number, street_name, suburb_town, ' +
+                        "state, postcode, country, timezone, max_stay_minutes) VALUES (?, ?, ?, ?, ?, ?, 'Australia', ?, ?);";
+                    var params = [
+                        req.body.venue_name,
+                        req.body.street_number,
+                        req.body.street_name,
+                        req.body.suburb_town,
+                        req.body.state,
+                        req.body.postcode,
+                        req.body.timezone || timezones.forState(req.body.state),
+                        req.body.max_stay_minutes || null
+                    ];
+
+                    connection.query(insertQuery, params, function(err, result) {
+                        if (err) {
+                            return fail('Insert error:', err);
+                        }
+
+                        var venueId = result.insertId;
+                        var linkQuery = 'INSERT INTO manager (m_id, given_name, family_name, username, email_address, venue) ' +
+                            'VALUES (?, ?, ?, ?, ?, ?) ON DUPLICATE KEY UPDATE venue = VALUES(venue);';
+                        var linkParams = [user.u_id, user.given_name, user.family_name, user.username, user.email_address, venueId];
+
+                        connection.query(linkQuery, linkParams, function(err) {
+                            if (err) {
+                                return fail('Manager link error:', err);
+                            }
+
+                            connection.commit(function(err) {
+                                if (err) {
+                                    return fail('Commit error:', err);
+                                }
+
+                                connection.release();
+                                res.status(201).json({
+                                    success: true,
+                                    v_id: venueId,
+                                    message: 'Venue registered successfully'
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    }
+);
+
+/**
+ * PUT /manager/venue
+ * Update the details of the manager's venue
+ */
+router.put('/venue',
+    security.writeLimiter,
+    security.rejectUnexpectedFields(ALLOWED_FIELDS.venue),
+    validation.venueValidation,
+    function(req, res, next) {
+        var username = req.session.user.username;
+
+        req.pool.getConnection(function(err, connection) {
+            if (err) {
+                console.error('Database connection error:', err);
+                return res.status(500).json({ error: 'Server error' });
+            }
+
+            venues.findManagedVenue(connection, username, function(err, venue) {
+                if (err) {
+                    connection.release();
+                    console.error('Query error:', err);
+                    return res.status(500).json({ error: 'Server error' });
+                }
+
+                if (!venue) {
+                    connection.release();
+                    return res.status(404).json({ error: 'No venue registered for this account' });
+                }
+
+                var query = 'UPDATE venue SET venue_name = ?, street_number = ?, street_name = ?, ' +
+                    'suburb_town = ?, state = ?, postcode = ?, timezone = ?, max_stay_minutes = ? WHERE v_id = ?;';
+                var params = [
+                    req.body.venue_name,
+                    req.body.street_number,
+                    req.body.street_name,
+                    req.body.suburb_town,
+                    req.body.state,
+                    req.body.postcode,
+                    req.body.timezone || timezones.forState(req.body.state),
+                    req.body.max_stay_minutes || null,
+                    venue.v_id
+                ];
+
+                connection.query(query, params, function(err) {
+                    connection.release();
+
+                    if (err) {
+                        console.error('Update error:', err);
+                        return res.status(500).json({ error: 'Failed to update venue' });
+                    }
+
+                    res.json({ success: true, message: 'Venue updated successfully' });
+                });
+            });
+        });
+    }
+);
+
+/**
+ * DELETE /manager/venue
+ * Close the manager's venue
+ *
+ * The venue row is kept, marked inactive, because past check-ins still
+ * refer to it for contact tracing. The manager is unlinked so they can
+ * register a different venue.
+ */
+router.delete('/venue', security.writeLimiter, function(req, res, next) {
+    var username = req.session.user.username;
+
+    req.pool.getConnection(function(err, connection) {
+        if (err) {
+            console.error('Database connection error:', err);
+            return res.status(500).json({ error: 'Server error' });
+        }
+
+        // Roll back, release the connection and report a server error
+        function fail(message, err) {
+            console.error(message, err);
+            connection.rollback(function() {
+                connection.release();
+                res.status(500).json({ error: 'Failed to close venue' });
+            });
+        }
+
+        venues.findManagedVenue(connection, username, function(err, venue) {
+            if (err) {
+                connection.release();
+                console.error('Query error:', err);
+                return res.status(500).json({ error: 'Server error' });
+            }
+
+            if (!venue) {
+                connection.release();
+                return res.status(404).json({ error: 'No venue registered for this account' });
+            }
+
+            connection.beginTransaction(function(err) {
+                if (err) {
+                    connection.release();
+                    console.error('Transaction error:', err);
+                    return res.status(500).json({ error: 'Server error' });
+                }
+
+                connection.query('UPDATE venue SET active = 0 WHERE v_id = ?;', [venue.v_id], function(err) {
+                    if (err) {
+                        return fail('Update error:', err);
+                    }
+
+                    connection.query('UPDATE manager SET venue = NULL WHERE username = ?;', [username], function(err) {
+                        if (err) {
+                            return fail('Manager unlink error:', err);
+                        }
+
+                        connection.commit(function(err) {
+                            if (err) {
+                                return fail('Commit error:', err);
+                            }
+
+                            connection.release();
+                            res.json({ success: true, message: 'Venue closed' });
+                        });
+                    });
+                });
+            });
+        });
+    });
+});
+
+/**
+ * POST /manager/venue/code
+ * Issue a new check-in code for the manager's venue
+ *
+ * Codes are generated on the server with a cryptographically secure
+ * generator and are guaranteed not to clash with any other venue's code.
+ * If the venue already has a code, the old one stays valid for
+ * grace_hours (default VENUE_CODE_GRACE_HOURS, or 24) so printed posters
+ * can be swapped over.
+ */
+router.post('/venue/code',
+    security.writeLimiter,
+    security.rejectUnexpectedFields(ALLOWED_FIELDS.code),
+    validation.venueCodeValidation,
+    function(req, res, next) {
+        var username = req.session.user.username;
+        var graceHours = req.body.grace_hours !== undefined ?
+            req.body.grace_hours : DEFAULT_CODE_GRACE_HOURS;
+
+        req.pool.getConnection(function(err, connection) {
+            if (err) {
+                console.error('Database connection error:', err);
+                return res.status(500).json({ error: 'Server error' });
+            }
+
+            venues.findManagedVenue(connection, username, function(err, venue) {
+                if (err) {
+                    connection.release();
+                    console.error('Query error:', err);
+                    return res.status(500).json({ error: 'Server error' });
+                }
+
+                if (!venue) {
+                    connection.release();
+                    return res.status(404).json({ error: 'No venue registered for this account' });
+                }
+
+                venues.issueCode(connection, venue, graceHours, function(err, code) {
+                    connection.release();
+
+                    if (err) {
+                        console.error('Code issuance error:', err);
+                        return res.status(500).json({ error: 'Failed to issue check-in code' });
+                    }
+
+                    var response = {
+                        success: true,
+                        check_in_code: code
+                    };
+
+                    if (venue.check_in_code) {
+                        response.previous_code = venue.check_in_code;
+                        response.previous_code_valid_hours = graceHours;
+                    }
+
+                    res.status(201).json(response);
+                });
+            });
+        });
+    }
+);
+
+/**
+ * GET /manager/venue/qr.svg, GET /manager/venue/qr.png
+ * Render the venue's current check-in code as a QR code
+ *
+ * The QR code encodes the deep link to GET /checkin/:code. Responses are
+ * not cached because the image changes whenever the code is rotated.
+ *
+ * Query parameters:
+ * - download: if set, the image is sent as a file attachment
+ */
+router.get('/venue/qr.:format(svg|png)', function(req, res, next) {
+    var username = req.session.user.username;
+    var format = req.params.format;
+
+    req.pool.getConnection(function(err, connection) {
+        if (err) {
+            console.error('Database connection error:', err);
+            return res.status(500).json({ error: 'Server error' });
+        }
+
+        venues.findManagedVenue(connection, username, function(err, venue) {
+            connection.release();
+
+            if (err) {
+                console.error('Query error:', err);
+                return res.status(500).json({ error: 'Server error' });
+            }
+
+            if (!venue || !venue.check_in_code) {
+                return res.status(404).json({ error: 'No check-in code issued for this account' });
+            }
+
+            qrcodes.render(qrcodes.checkInUrl(req, venue.check_in_code), format, function(err, image) {
+                if (err) {
+                    console.error('QR code render error:', err);
+                    return res.status(500).json({ error: 'Failed to render QR code' });
+                }
+
+                res.set('Content-Type', qrcodes.CONTENT_TYPES[format]);
+                res.set('Cache-Control', 'no-store');
+                if (req.query.download) {
+                    res.attachment('checkin-' + venue.check_in_code + '.' + format);
+                }
+                res.send(image);
+            });
+        });
+    });
+});
+
+/**
+ * PUT /manager/venue/capacity
+ * Store the venue's floor area and its COVID-safe capacity
+ *
+ * Capacity is always calculated on the server from the floor area,
+ * using the same 4 m² per person rule as the dashboard calculator.
+ */
+router.put('/venue/capacity',
+    security.writeLimiter,
+    security.rejectUnexpectedFields(ALLOWED_FIELDS.capacity),
+    validation.capacityValidation,
+    function(req, res, next) {
+        var floorArea = req.body.floor_area;
+        var capacity = venues.calculateCapacity(floorArea);
+        var username = req.session.user.username;
+
+        req.pool.getConnection(function(err, connection) {
+            if (err) {
+                console.error('Database connection error:', err);
+                return res.status(500).json({ error: 'Server error' });
+            }
+
+            venues.findManagedVenue(connection, username, function(err, venue) {
+                if (err) {
+                    connection.release();
+                    console.error('Query error:', err);
+                    return res.status(500).json({ error: 'Server error' });
+                }
+
+                if (!venue) {
+                    connection.release();
+                    return res.status(404).json({ error: 'No venue registered for this account' });
+                }
+
+                var enforce = req.body.enforce_capacity !== undefined ?
+                    req.body.enforce_capacity : Boolean(venue.enforce_capacity);
+
+                var query = 'UPDATE venue SET floor_area = ?, capacity = ?, enforce_capacity = ? WHERE v_id = ?;';
+
+                connection.query(query, [floorArea, capacity, enforce, venue.v_id], function(err) {
+                    connection.release();
+
+                    if (err) {
+                        console.error('Update error:', err);
+                        return res.status(500).json({ error: 'Failed to save capacity' });
+                    }
+
+                    res.json({
+                        success: true,
+                        floor_area: floorArea,
+                        capacity: capacity,
+                        enforce_capacity: enforce
+                    });
+                });
+            });
+        });
+    }
+);
+
+/**
+ * GET /manager/occupancy
+ * Get the number of people currently checked in at the manager's venue
+ */
+router.get('/occupancy', function(req, res, next) {
+    var username = req.session.user.username;
+
+    req.pool.getConnection(function(err, connection) {
+        if (err) {
+            console.error('Database connection error:', err);
+            return res.status(500).json({ error: 'Server error' });
+        }
+
+        venues.findManagedVenue(connection, username, function(err, venue) {
+            if (err) {
+                connection.release();
+                console.error('Query error:', err);
+                return res.status(500).json({ error: 'Server error' });
+            }
+
+            if (!venue) {
+                connection.release();
+                return res.status(404).json({ error: 'No venue registered for this account' });
+            }
+
+            function sendOccupancy(occupancy) {
+                res.json({
+                    check_in_code: venue.check_in_code,
+                    occupancy: occupancy,
+                    capacity: venue.capacity,
+                    floor_area: venues.formatVenue(venue).floor_area,
+                    enforce_capacity: Boolean(venue.enforce_capacity)
+                });
+            }
+
+            // A venue without a code cannot have any check-ins yet
+            if (!venue.check_in_code) {
+                connection.release();
+                return sendOccupancy(0);
+            }
+
+            venues.currentOccupancy(connection, venue, function(err, occupancy) {
+                connection.release();
+
+                if (err) {
+                    console.error('Query error:', err);
+                    return res.status(500).json({ error: 'Failed to retrieve occupancy' });
+                }
+
+                sendOccupancy(occupancy);
+            });
+        });
+    });
+});
+
+/**
+ * GET /manager/attendance
+ * Get the attendance at the manager's venue for one day
+ *
+ * Lists the day's check-ins with the number of visitors inside during
+ * each hour and the peak hours. Visitors' usernames are only included
+ * when ATTENDANCE_SHOW_USERNAMES allows it, and each visitor shown is
+ * recorded in the audit log.
+ *
+ * Query parameters:
+ * - date: the day to report on (YYYY-MM-DD), defaults to today in the
+ *   venue's time zone
+ */
+router.get('/attendance',
+    validation.attendanceValidation,
+    audit('venue.attendance', function(req, body) {
+        if (!body.usernames_visible) {
+            return null;
+        }
+
+        var seen = {};
+        return body.check_ins.filter(function(checkIn) {
+            if (!checkIn.username || seen[checkIn.username]) {
+                return false;
+            }
+            seen[checkIn.username] = true;
+            return true;
+        }).map(function(checkIn) {
+            return { type: 'user', id: checkIn.username, details: 'Attendance on ' + body.date };
+        });
+    }),
+    function(req, res, next) {
+        var username = req.session.user.username;
+        var date = req.query.date || null;
+
+        req.pool.getConnection(function(err, connection) {
+            if (err) {
+                console.error('Database connection error:', err);
+                return res.status(500).json({ error: 'Server error' });
+            }
+
+            venues.findManagedVenue(connection, username, function(err, venue) {
+                if (err) {
+                    connection.release();
+                    console.error('Query error:', err);
+                    return res.status(500).json({ error: 'Server error' });
+                }
+
+                if (!venue) {
+                    connection.release();
+                    return res.status(404).json({ error: 'No venue registered for this account' });
+                }
+
+                attendance.venueAttendance(connection, venue, date, function(err, report) {
+                    connection.release();
+
+                    if (err) {
+                        console.error('Query error:', err);
+                        return res.status(500).json({ error: 'Failed to retrieve attendance' });
+                    }
+
+                    res.json(report);
+                });
+            });
+        });
+    }
+);
+
+/**
+ * GET /manager/export
+ * Download the attendance log for the manager's venue
+ *
+ * Streams check-ins between two dates as CSV or an XLSX workbook. Visitor
+ * columns are only filled in when ATTENDANCE_SHOW_USERNAMES allows it.
+ * Every export is recorded in export_audit and the audit log.
+ *
+ * Query parameters:
+ * - from, to: date range (YYYY-MM-DD), inclusive
+ * - format: csv (default) | xlsx
+ */
+router.get('/export',
+    validation.exportValidation,
+    function(req, res, next) {
+        var user = req.session.user;
+        var options = {
+            from: req.query.from,
+            to: req.query.to,
+            format: req.query.format || 'csv',
+            includeVisitors: attendance.usernamesVisible()
+        };
+
+        req.pool.getConnection(function(err, connection) {
+            if (err) {
+                console.error('Database connection error:', err);
+                return res.status(500).json({ error: 'Server error' });
+            }
+
+            venues.findManagedVenue(connection, user.username, function(err, venue) {
+                if (err) {
+                    connection.release();
+                    console.error('Query error:', err);
+                    return res.status(500).json({ error: 'Server error' });
+                }
+
+                if (!venue) {
+                    connection.release();
+                    return res.status(404).json({ error: 'No venue registered for this account' });
+                }
+
+                attendanceExports.auditedExport(connection, req, venue, options, res, function(err) {
+                    connection.release();
+
+                    if (err) {
+                        console.error('Export error:', err);
+                        if (!res.headersSent) {
+                            res.status(500).json({ error: 'Failed to export attendance' });
+                        }
+                    }
+                });
+            });
+        });
+    }
+);
+
+module.exports = router;
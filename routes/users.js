@@ -2,10 +2,17 @@
  * CovidWatch - User Routes
  *
  * This file handles user-related operations including:
- * - Authentication (login/logout)
+ * - Authentication (login/logout), with a second step for accounts
+ *   using two-factor authentication
+ * - Two-factor authentication setup for managers and admins
  * - User registration (signup)
- * - Venue check-ins
+ * - Password and email changes, and password resets by email
+ * - Listing and revoking the user's logged-in sessions
+ * - Venue check-ins and check-outs, and guest check-ins without an account
  * - Check-in history retrieval
+ * - Dependants checked in alongside the user
+ * - Self-reported positive tests
+ * - Notification inbox
  *
  * Security features:
  * - bcrypt password hashing with salt
@@ -21,23 +28,33 @@ var bcrypt = require('bcrypt');
 // Security middleware
 var security = require('../middleware/security');
 var validation = require('../middleware/validation');
+var auth = require('../middleware/auth');
+
+var applications = require('../lib/applications');
+var checkins = require('../lib/checkins');
+var dependants = require('../lib/dependants');
+var lockouts = require('../lib/lockouts');
+var qrcodes = require('../lib/qrcodes');
+var resets = require('../lib/resets');
+var sessions = require('../lib/sessions');
+var timezones = require('../lib/timezones');
+var totp = require('../lib/totp');
+var twofactor = require('../lib/twofactor');
+var venues = require('../lib/venues');
+
+var requireAuth = auth.requireAuth;
 
 // bcrypt configuration: 12 rounds provides good security/performance balance
 var BCRYPT_ROUNDS = 12;
 
-/**
- * Authentication Middleware
- *
- * Checks if a user is logged in before allowing access to protected routes.
- * Returns 401 Unauthorized if no valid session exists.
- */
-function requireAuth(req, res, next) {
-    if (req.session && req.session.user) {
-        next();
-    } else {
-        res.status(401).json({ error: 'Authentication required' });
-    }
-}
+// Time allowed between the password and the second login step, and the
+// wrong codes allowed before the password must be entered again
+var PENDING_LOGIN_MS = 5 * 60 * 1000;
+var MAX_SECOND_FACTOR_ATTEMPTS = 5;
+
+// An offline check-in only counts as delayed if its visit began at least
+// this long before it was sent; one sent sooner is treated as live
+var DELAYED_CHECK_IN_MS = 5 * 60 * 1000;
 
 /**
  * Allowed fields for each endpoint
@@ -45,10 +62,145 @@ function requireAuth(req, res, next) {
  */
 var ALLOWED_FIELDS = {
     login: ['user', 'pass'],
+    loginVerify: ['code', 'recovery_code'],
     signup: ['user', 'pass', 'email', 'given_name', 'family_name', 'type'],
-    checkIn: ['check_in', 'date', 'time']
+    checkIn: ['check_in', 'date', 'time', 'offline_id', 'occurred_at', 'dependants'],
+    guestCheckIn: ['check_in', 'date', 'time', 'name', 'phone_number'],
+    checkOut: ['check_in', 'date', 'time'],
+    positiveReport: ['test_date', 'onset_date'],
+    dependant: ['given_name', 'family_name', 'phone_number', 'email'],
+    changePassword: ['current_password', 'new_password'],
+    changeEmail: ['current_password', 'email'],
+    passwordResetRequest: ['email'],
+    passwordReset: ['token', 'new_password'],
+    twoFactorEnable: ['code'],
+    twoFactorDisable: ['current_password'],
+    recoveryCodes: ['current_password']
 };
 
+/**
+ * Log a user in once their password has been verified
+ *
+ * Disabled accounts are refused here, after the password check, so the
+ * response does not reveal an account's status to someone without its
+ * password.
+ *
+ * Accounts using two-factor authentication are not logged in yet: the
+ * username is kept in req.session.pendingLogin until the second step,
+ * POST /users/login/verify, is passed.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} connection - MySQL connection, released here
+ * @param {Object} user - The user's row from the user table
+ */
+function finishLogin(req, res, connection, user) {
+    if (user.disabled) {
+        connection.release();
+        return res.status(403).json({ error: 'This account has been disabled. Contact an administrator.' });
+    }
+
+    if (user.totp_enabled) {
+        connection.release();
+
+        req.session.pendingLogin = {
+            username: user.username,
+            expires: Date.now() + PENDING_LOGIN_MS,
+            attempts: 0
+        };
+        return res.json({ success: true, two_factor_required: true });
+    }
+
+    completeLogin(req, res, connection, user);
+}
+
+/**
+ * Record a failed login against an account, telling the owner if it
+ * locked the account
+ *
+ * Errors are only logged: the login has failed either way.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} connection - MySQL connection from the pool
+ * @param {Object} user - The user's row from the user table
+ * @param {Function} callback - Called with (locked), true if this
+ *   failure locked the account
+ */
+function recordFailedLogin(req, connection, user, callback) {
+    lockouts.recordFailure(connection, user.username, req.ip, function(err, lockout) {
+        if (err) {
+            console.error('Failed login record error:', err);
+            return callback(false);
+        }
+
+        if (!lockout) {
+            return callback(false);
+        }
+
+        lockouts.notifyLockout(connection, req.mailer, user, lockout, function(err) {
+            if (err) {
+                console.error('Lockout notification error:', err);
+            }
+            callback(true);
+        });
+    });
+}
+
+/**
+ * Log a user in once every login step has been passed
+ *
+ * The outcome of a manager application the user has not been shown yet
+ * is included in the response, along with the number of failed attempts
+ * to log in to the account since the user last logged in.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} connection - MySQL connection, released here
+ * @param {Object} user - The user's row from the user table
+ */
+function completeLogin(req, res, connection, user) {
+    lockouts.recordSuccess(connection, user.username, function(err, failures) {
+        if (err) {
+            console.error('Failed login reset error:', err);
+        }
+
+        applications.takeOutcome(connection, user.username, function(err, outcome) {
+            connection.release();
+
+            if (err) {
+                // Not worth failing the login over; the outcome is shown next time
+                console.error('Application outcome error:', err);
+            }
+
+            // Store user info in session (excluding password)
+            delete req.session.pendingLogin;
+            req.session.user = {
+                u_id: user.u_id,
+                given_name: user.given_name,
+                family_name: user.family_name,
+                username: user.username,
+                email_address: user.email_address,
+                user_type: user.user_type,
+                totp_enabled: Boolean(user.totp_enabled)
+            };
+            req.session.client = sessions.clientDetails(req);
+
+            var response = {
+                success: true,
+                username: user.username,
+                user_type: user.user_type
+            };
+            if (outcome) {
+                response.manager_application = outcome;
+            }
+            if (failures > 0) {
+                response.failed_logins_since_last_login = failures;
+            }
+            res.json(response);
+        });
+    });
+}
+
 /**
  * POST /users/login
  * Authenticate a user with username and password
@@ -57,7 +209,13 @@ var ALLOWED_FIELDS = {
  * - Rate limited: 5 attempts per 15 minutes
  * - bcrypt password verification
  * - Generic error messages prevent username enumeration
+ * - Failed attempts are counted per account, which is locked for a
+ *   while after too many (see lib/lockouts.js)
+ * - Disabled accounts are refused
  * - Input validation and sanitization
+ *
+ * Responds with two_factor_required instead of logging in when the
+ * account uses two-factor authentication.
  */
 router.post('/login',
     security.authLimiter,
@@ -74,7 +232,8 @@ router.post('/login',
             }
 
             // First, get the user by username only
-            var query = 'SELECT u_id, given_name, family_name, username, password, email_address, user_type FROM user WHERE username = ?;';
+            var query = 'SELECT u_id, given_name, family_name, username, password, email_address, user_type, ' +
+                'disabled, totp_enabled FROM user WHERE username = ?;';
 
             connection.query(query, [username], function(err, rows) {
                 if (err) {
@@ -90,104 +249,187 @@ router.post('/login',
                 }
 
                 var user = rows[0];
-                var storedHash = user.password;
 
-                // Check if password is bcrypt hash or legacy SHA-256
-                var isBcryptHash = storedHash && storedHash.startsWith('$2');
-
-                if (isBcryptHash) {
-                    // Verify with bcrypt
-                    bcrypt.compare(password, storedHash, function(err, match) {
+                // Answer a wrong password the same way as an unknown username,
+                // and count it against the account
+                function refuse() {
+                    recordFailedLogin(req, connection, user, function() {
                         connection.release();
+                        res.status(401).json({ error: 'Invalid username or password' });
+                    });
+                }
 
-                        if (err) {
-                            console.error('bcrypt error:', err);
-                            return res.status(500).json({ error: 'Server error' });
-                        }
+                function verifyPassword() {
+                    var storedHash = user.password;
 
-                        if (match) {
-                            // Store user info in session (excluding password)
-                            req.session.user = {
-                                u_id: user.u_id,
-                                given_name: user.given_name,
-                                family_name: user.family_name,
-                                username: user.username,
-                                email_address: user.email_address,
-                                user_type: user.user_type
-                            };
-                            res.json({
-                                success: true,
-                                username: user.username,
-                                user_type: user.user_type
-                            });
-                        } else {
-                            res.status(401).json({ error: 'Invalid username or password' });
-                        }
-                    });
-                } else {
-                    // Legacy SHA-256 hash - verify and upgrade to bcrypt
-                    var shaQuery = 'SELECT u_id FROM user WHERE username = ? AND password = SHA2(?, 256);';
+                    // Check if password is bcrypt hash or legacy SHA-256
+                    var isBcryptHash = storedHash && storedHash.startsWith('$2');
 
-                    connection.query(shaQuery, [username, password], function(err, shaRows) {
-                        if (err) {
-                            connection.release();
-                            console.error('Query error:', err);
-                            return res.status(500).json({ error: 'Server error' });
-                        }
+                    if (isBcryptHash) {
+                        // Verify with bcrypt
+                        bcrypt.compare(password, storedHash, function(err, match) {
+                            if (err) {
+                                connection.release();
+                                console.error('bcrypt error:', err);
+                                return res.status(500).json({ error: 'Server error' });
+                            }
 
-                        if (shaRows.length > 0) {
-                            // Password matches legacy hash, upgrade to bcrypt
-                            bcrypt.hash(password, BCRYPT_ROUNDS, function(err, hash) {
-                                if (err) {
-                                    connection.release();
-                                    console.error('bcrypt hash error:', err);
-                                    // Still allow login even if upgrade fails
-                                    req.session.user = {
-                                        u_id: user.u_id,
-                                        given_name: user.given_name,
-                                        family_name: user.family_name,
-                                        username: user.username,
-                                        email_address: user.email_address,
-                                        user_type: user.user_type
-                                    };
-                                    return res.json({
-                                        success: true,
-                                        username: user.username,
-                                        user_type: user.user_type
-                                    });
-                                }
+                            if (match) {
+                                finishLogin(req, res, connection, user);
+                            } else {
+                                refuse();
+                            }
+                        });
+                    } else {
+                        // Legacy SHA-256 hash - verify and upgrade to bcrypt
+                        var shaQuery = 'SELECT u_id FROM user WHERE username = ? AND password = SHA2(?, 256);';
 
-                                // Update password to bcrypt hash
-                                var updateQuery = 'UPDATE user SET password = ? WHERE u_id = ?;';
-                                connection.query(updateQuery, [hash, user.u_id], function(err) {
-                                    connection.release();
+                        connection.query(shaQuery, [username, password], function(err, shaRows) {
+                            if (err) {
+                                connection.release();
+                                console.error('Query error:', err);
+                                return res.status(500).json({ error: 'Server error' });
+                            }
 
+                            if (shaRows.length > 0) {
+                                // Password matches legacy hash, upgrade to bcrypt
+                                bcrypt.hash(password, BCRYPT_ROUNDS, function(err, hash) {
                                     if (err) {
-                                        console.error('Password upgrade error:', err);
+                                        console.error('bcrypt hash error:', err);
+                                        // Still allow login even if upgrade fails
+                                        return finishLogin(req, res, connection, user);
                                     }
 
-                                    // Login successful
-                                    req.session.user = {
-                                        u_id: user.u_id,
-                                        given_name: user.given_name,
-                                        family_name: user.family_name,
-                                        username: user.username,
-                                        email_address: user.email_address,
-                                        user_type: user.user_type
-                                    };
-                                    res.json({
-                                        success: true,
-                                        username: user.username,
-                                        user_type: user.user_type
+                                    // Update password to bcrypt hash
+                                    var updateQuery = 'UPDATE user SET password = ? WHERE u_id = ?;';
+                                    connection.query(updateQuery, [hash, user.u_id], function(err) {
+                                        if (err) {
+                                            console.error('Password upgrade error:', err);
+                                        }
+
+                                        finishLogin(req, res, connection, user);
                                     });
                                 });
-                            });
-                        } else {
+                            } else {
+                                refuse();
+                            }
+                        });
+                    }
+                }
+
+                lockouts.isLocked(connection, username, function(err, locked) {
+                    if (err) {
+                        connection.release();
+                        console.error('Query error:', err);
+                        return res.status(500).json({ error: 'Server error' });
+                    }
+
+                    // A locked account gets the generic answer without its
+                    // password being checked, so guesses can't continue
+                    if (locked) {
+                        connection.release();
+                        return res.status(401).json({ error: 'Invalid username or password' });
+                    }
+
+                    verifyPassword();
+                });
+            });
+        });
+    }
+);
+
+/**
+ * POST /users/login/verify
+ * Second login step for accounts using two-factor authentication
+ *
+ * Takes the 6-digit code from the user's authenticator app, or one of
+ * their recovery codes, after POST /users/login has accepted the password.
+ *
+ * Security features:
+ * - Rate limited: shares the login limit of 5 attempts per 15 minutes
+ * - Only 5 wrong codes are allowed, and only for 5 minutes, before the
+ *   password must be entered again
+ * - Wrong codes count towards locking the account, like wrong passwords
+ * - Authenticator codes and recovery codes only work once
+ */
+router.post('/login/verify',
+    security.authLimiter,
+    security.rejectUnexpectedFields(ALLOWED_FIELDS.loginVerify),
+    validation.twoFactorLoginValidation,
+    function(req, res, next) {
+        var pending = req.session.pendingLogin;
+
+        if (!pending || pending.expires < Date.now() || pending.attempts >= MAX_SECOND_FACTOR_ATTEMPTS) {
+            delete req.session.pendingLogin;
+            return res.status(401).json({ error: 'Please log in again' });
+        }
+
+        pending.attempts++;
+
+        req.pool.getConnection(function(err, connection) {
+            if (err) {
+                console.error('Database connection error:', err);
+                return res.status(500).json({ error: 'Server error' });
+            }
+
+            var query = 'SELECT u_id, given_name, family_name, username, email_address, user_type, ' +
+                'disabled, totp_enabled, totp_secret, totp_last_step FROM user WHERE username = ?;';
+
+            connection.query(query, [pending.username], function(err, rows) {
+                if (err) {
+                    connection.release();
+                    console.error('Query error:', err);
+                    return res.status(500).json({ error: 'Server error' });
+                }
+
+                // The account was disabled or changed since the password step
+                if (rows.length === 0 || rows[0].disabled || !rows[0].totp_enabled) {
+                    connection.release();
+                    delete req.session.pendingLogin;
+                    return res.status(401).json({ error: 'Please log in again' });
+                }
+
+                var user = rows[0];
+
+                lockouts.isLocked(connection, user.username, function(err, locked) {
+                    if (err) {
+                        connection.release();
+                        console.error('Query error:', err);
+                        return res.status(500).json({ error: 'Server error' });
+                    }
+
+                    if (locked) {
+                        connection.release();
+                        delete req.session.pendingLogin;
+                        return res.status(401).json({ error: 'Please log in again' });
+                    }
+
+                    twofactor.checkSecondFactor(connection, user, req.body, function(err, accepted) {
+                        if (err) {
                             connection.release();
-                            res.status(401).json({ error: 'Invalid username or password' });
+                            console.error('Two-factor check error:', err);
+                            return res.status(500).json({ error: 'Server error' });
+                        }
+
+                        if (accepted) {
+                            return completeLogin(req, res, connection, user);
                         }
+
+                        recordFailedLogin(req, connection, user, function(locked) {
+                            connection.release();
+
+                            if (locked) {
+                                delete req.session.pendingLogin;
+                                return res.status(401).json({ error: 'Please log in again' });
+                            }
+
+                            res.status(401).json({
+                                error: 'Invalid authentication code',
+                                attempts_remaining: MAX_SECOND_FACTOR_ATTEMPTS - pending.attempts
+                            });
+                        });
                     });
-                }
+                });
             });
         });
     }
@@ -225,6 +467,9 @@ router.post('/logout', function(req, res, next) {
  * - bcrypt password hashing with salt
  * - Input validation and sanitization
  * - Rejects unexpected fields
+ *
+ * Venue manager sign-ups get a user account and a pending manager
+ * application; the manager role is granted when an admin approves it.
  */
 router.post('/signup',
     security.authLimiter,
@@ -281,26 +526,71 @@ router.post('/signup',
                             return res.status(409).json({ error: 'Email already registered' });
                         }
 
-                        // Insert new user with bcrypt-hashed password
-                        var insertQuery = 'INSERT INTO user (given_name, family_name, username, password, email_address, user_type) VALUES (?, ?, ?, ?, ?, ?);';
+                        // Roll back, release the connection and report the error
+                        function fail(message, err) {
+                            console.error(message, err);
+                            connection.rollback(function() {
+                                connection.release();
+                                if (err.code === 'ER_DUP_ENTRY') {
+                                    return res.status(409).json({ error: 'Username or email already exists' });
+                                }
+                                res.status(500).json({ error: 'Registration failed' });
+                            });
+                        }
 
-                        connection.query(insertQuery, [givenName, familyName, username, hash, email, userType],
-                            function(err, result) {
+                        connection.beginTransaction(function(err) {
+                            if (err) {
                                 connection.release();
+                                console.error('Transaction error:', err);
+                                return res.status(500).json({ error: 'Server error' });
+                            }
 
+                            // Commit the new account (and application) and respond
+                            function finish(err) {
                                 if (err) {
-                                    console.error('Insert error:', err);
-                                    if (err.code === 'ER_DUP_ENTRY') {
-                                        return res.status(409).json({ error: 'Username or email already exists' });
-                                    }
-                                    return res.status(500).json({ error: 'Registration failed' });
+                                    return fail('Application insert error:', err);
                                 }
 
-                                res.status(201).json({
-                                    success: true,
-                                    message: 'Account created successfully'
+                                connection.commit(function(err) {
+                                    if (err) {
+                                        return fail('Commit error:', err);
+                                    }
+
+                                    connection.release();
+
+                                    if (userType === 'manager') {
+                                        return res.status(201).json({
+                                            success: true,
+                                            manager_application: 'pending',
+                                            message: 'Account created successfully. Your venue manager application ' +
+                                                'is awaiting review by an administrator.'
+                                        });
+                                    }
+
+                                    res.status(201).json({
+                                        success: true,
+                                        message: 'Account created successfully'
+                                    });
                                 });
-                            });
+                            }
+
+                            // Insert new user with bcrypt-hashed password. Managers start as
+                            // ordinary users until an admin approves their application.
+                            var insertQuery = 'INSERT INTO user (given_name, family_name, username, password, email_address, user_type) VALUES (?, ?, ?, ?, ?, ?);';
+
+                            connection.query(insertQuery, [givenName, familyName, username, hash, email, 'user'],
+                                function(err) {
+                                    if (err) {
+                                        return fail('Insert error:', err);
+                                    }
+
+                                    if (userType !== 'manager') {
+                                        return finish(null);
+                                    }
+
+                                    applications.applyForManager(connection, username, finish);
+                                });
+                        });
                     });
                 });
             });
@@ -309,25 +599,63 @@ router.post('/signup',
 );
 
 /**
- * POST /users/check_in
- * Record a venue check-in for COVID contact tracing
+ * Check a logged-in user's current password
+ *
+ * Accepts both bcrypt and legacy SHA-256 hashes, like login does.
+ *
+ * @param {Object} connection - MySQL connection from the pool
+ * @param {string} username - The user whose password to check
+ * @param {string} password - The password they entered
+ * @param {Function} callback - Called with (err, match)
+ */
+function checkPassword(connection, username, password, callback) {
+    var query = 'SELECT password FROM user WHERE username = ?;';
+
+    connection.query(query, [username], function(err, rows) {
+        if (err) {
+            return callback(err);
+        }
+
+        if (rows.length === 0 || !rows[0].password) {
+            return callback(null, false);
+        }
+
+        var storedHash = rows[0].password;
+
+        if (storedHash.startsWith('$2')) {
+            return bcrypt.compare(password, storedHash, callback);
+        }
+
+        var shaQuery = 'SELECT u_id FROM user WHERE username = ? AND password = SHA2(?, 256);';
+
+        connection.query(shaQuery, [username, password], function(err, shaRows) {
+            if (err) {
+                return callback(err);
+            }
+            callback(null, shaRows.length > 0);
+        });
+    });
+}
+
+/**
+ * POST /users/change_password
+ * Change the logged-in user's password
  *
  * Security features:
- * - Requires authentication
- * - Rate limited for write operations
- * - Input validation
- * - Username taken from session (prevents impersonation)
+ * - Requires authentication and the current password
+ * - Rate limited: 3 sensitive operations per hour
+ * - New password must meet the signup rules
+ * - bcrypt password hashing with salt
+ * - Session ID regenerated afterwards
+ * - The user is logged out on every other device
  */
-router.post('/check_in',
+router.post('/change_password',
     requireAuth,
-    security.writeLimiter,
-    security.rejectUnexpectedFields(ALLOWED_FIELDS.checkIn),
-    validation.checkInValidation,
+    security.sensitiveOpLimiter,
+    security.rejectUnexpectedFields(ALLOWED_FIELDS.changePassword),
+    validation.changePasswordValidation,
     function(req, res, next) {
-        var checkInCode = req.body.check_in;
-        var date = req.body.date;
-        var time = req.body.time;
-        var username = req.session.user.username;
+        var user = req.session.user;
 
         req.pool.getConnection(function(err, connection) {
             if (err) {
@@ -335,19 +663,58 @@ router.post('/check_in',
                 return res.status(500).json({ error: 'Server error' });
             }
 
-            var query = 'INSERT INTO check_ins (check_in_code, date_, time_, username) VALUES (?, ?, ?, ?);';
-
-            connection.query(query, [checkInCode, date, time, username], function(err, result) {
-                connection.release();
-
+            checkPassword(connection, user.username, req.body.current_password, function(err, match) {
                 if (err) {
-                    console.error('Insert error:', err);
-                    return res.status(500).json({ error: 'Check-in failed' });
+                    connection.release();
+                    console.error('Password check error:', err);
+                    return res.status(500).json({ error: 'Server error' });
                 }
 
-                res.status(201).json({
-                    success: true,
-                    message: 'Check-in recorded successfully'
+                if (!match) {
+                    connection.release();
+                    return res.status(401).json({ error: 'Current password is incorrect' });
+                }
+
+                bcrypt.hash(req.body.new_password, BCRYPT_ROUNDS, function(err, hash) {
+                    if (err) {
+                        connection.release();
+                        console.error('bcrypt hash error:', err);
+                        return res.status(500).json({ error: 'Server error' });
+                    }
+
+                    var updateQuery = 'UPDATE user SET password = ? WHERE username = ?;';
+
+                    connection.query(updateQuery, [hash, user.username], function(err) {
+                        connection.release();
+
+                        if (err) {
+                            console.error('Update error:', err);
+                            return res.status(500).json({ error: 'Failed to change password' });
+                        }
+
+                        // Give the session a new ID, in case the old one was exposed
+                        req.session.regenerate(function(err) {
+                            if (err) {
+                                console.error('Session regenerate error:', err);
+                                return res.status(500).json({ error: 'Password changed, but please log in again' });
+                            }
+
+                            req.session.user = user;
+                            req.session.client = sessions.clientDetails(req);
+
+                            // Whoever knew the old password may still be logged in elsewhere
+                            sessions.endOtherSessions(req.sessionStore, user.username, req.sessionID, function(err) {
+                                if (err) {
+                                    console.error('Session end error:', err);
+                                    return res.status(500).json({
+                                        error: 'Password changed, but other devices could not be logged out'
+                                    });
+                                }
+
+                                res.json({ success: true, message: 'Password changed successfully' });
+                            });
+                        });
+                    });
                 });
             });
         });
@@ -355,23 +722,1120 @@ router.post('/check_in',
 );
 
 /**
- * POST /users/history
- * Get the current user's check-in history
+ * POST /users/change_email
+ * Change the logged-in user's email address
  *
  * Security features:
- * - Requires authentication
- * - Only returns data for the authenticated user
+ * - Requires authentication and the current password
+ * - Rate limited: 3 sensitive operations per hour
+ * - New email must meet the signup rules and not already be registered
  */
-router.post('/history', requireAuth, function(req, res, next) {
-    var username = req.session.user.username;
+router.post('/change_email',
+    requireAuth,
+    security.sensitiveOpLimiter,
+    security.rejectUnexpectedFields(ALLOWED_FIELDS.changeEmail),
+    validation.changeEmailValidation,
+    function(req, res, next) {
+        var username = req.session.user.username;
+        var email = req.body.email;
 
-    req.pool.getConnection(function(err, connection) {
-        if (err) {
-            console.error('Database connection error:', err);
-            return res.status(500).json({ error: 'Server error' });
-        }
+        req.pool.getConnection(function(err, connection) {
+            if (err) {
+                console.error('Database connection error:', err);
+                return res.status(500).json({ error: 'Server error' });
+            }
+
+            checkPassword(connection, username, req.body.current_password, function(err, match) {
+                if (err) {
+                    connection.release();
+                    console.error('Password check error:', err);
+                    return res.status(500).json({ error: 'Server error' });
+                }
+
+                if (!match) {
+                    connection.release();
+                    return res.status(401).json({ error: 'Current password is incorrect' });
+                }
+
+                var emailCheckQuery = 'SELECT username FROM user WHERE email_address = ? AND username <> ?;';
+
+                connection.query(emailCheckQuery, [email, username], function(err, rows) {
+                    if (err) {
+                        connection.release();
+                        console.error('Query error:', err);
+                        return res.status(500).json({ error: 'Server error' });
+                    }
+
+                    if (rows.length > 0) {
+                        connection.release();
+                        return res.status(409).json({ error: 'Email already registered' });
+                    }
+
+                    var updateQuery = 'UPDATE user SET email_address = ? WHERE username = ?;';
+
+                    connection.query(updateQuery, [email, username], function(err) {
+                        connection.release();
+
+                        if (err) {
+                            console.error('Update error:', err);
+                            return res.status(500).json({ error: 'Failed to change email' });
+                        }
+
+                        req.session.user.email_address = email;
+                        res.json({ success: true, email: email });
+                    });
+                });
+            });
+        });
+    }
+);
+
+/**
+ * POST /users/request_password_reset
+ * Email a password reset link
+ *
+ * The response is sent before the address is looked up and is the same
+ * whether or not it is registered, so it can't be used to find out who
+ * has an account. Disabled accounts are not sent a link.
+ *
+ * Security features:
+ * - Rate limited: 3 sensitive operations per hour
+ * - Single-use reset tokens that expire, stored only as hashes
+ */
+router.post('/request_password_reset',
+    security.sensitiveOpLimiter,
+    security.rejectUnexpectedFields(ALLOWED_FIELDS.passwordResetRequest),
+    validation.passwordResetRequestValidation,
+    function(req, res, next) {
+        var email = req.body.email;
+
+        res.json({
+            success: true,
+            message: 'If that email address is registered, a password reset link has been sent to it.'
+        });
+
+        req.pool.getConnection(function(err, connection) {
+            if (err) {
+                return console.error('Database connection error:', err);
+            }
+
+            var query = 'SELECT username, given_name FROM user WHERE email_address = ? AND disabled = 0;';
+
+            connection.query(query, [email], function(err, rows) {
+                if (err) {
+                    connection.release();
+                    return console.error('Query error:', err);
+                }
+
+                if (rows.length === 0) {
+                    return connection.release();
+                }
+
+                var user = rows[0];
+
+                resets.createReset(connection, user.username, function(err, token) {
+                    connection.release();
+
+                    if (err) {
+                        return console.error('Password reset insert error:', err);
+                    }
+
+                    var url = resets.resetUrl(req, token);
+                    if (!url) {
+                        return console.error('Password reset error: PUBLIC_URL must be set to send reset links');
+                    }
+
+                    req.mailer.send({
+                        to: email,
+                        subject: 'Reset your CovidWatch password',
+                        text: 'Hi ' + (user.given_name || user.username) + ',\n\n' +
+                            'Someone asked to reset the password of your CovidWatch account (' + user.username + '). ' +
+                            'To choose a new password, open this link within ' + resets.RESET_TOKEN_MINUTES + ' minutes:\n\n' +
+                            url + '\n\n' +
+                            'If you did not ask for this, you can ignore this email. Your password has not been changed.\n'
+                    }, function(err) {
+                        if (err) {
+                            console.error('Password reset email error:', err);
+                        }
+                    });
+                });
+            });
+        });
+    }
+);
+
+/**
+ * POST /users/reset_password
+ * Set a new password using the token from a reset email
+ *
+ * The token is used up, the account is unlocked if it was locked after
+ * failed logins, and the user is logged out of every open session.
+ *
+ * Security features:
+ * - Rate limited: 3 sensitive operations per hour
+ * - New password must meet the signup rules
+ * - bcrypt password hashing with salt
+ */
+router.post('/reset_password',
+    security.sensitiveOpLimiter,
+    security.rejectUnexpectedFields(ALLOWED_FIELDS.passwordReset),
+    validation.passwordResetValidation,
+    function(req, res, next) {
+        bcrypt.hash(req.body.new_password, BCRYPT_ROUNDS, function(err, hash) {
+            if (err) {
+                console.error('bcrypt hash error:', err);
+                return res.status(500).json({ error: 'Server error' });
+            }
+
+            req.pool.getConnection(function(err, connection) {
+                if (err) {
+                    console.error('Database connection error:', err);
+                    return res.status(500).json({ error: 'Server error' });
+                }
+
+                // Roll back, release the connection and report a server error
+                function fail(message, err) {
+                    console.error(message, err);
+                    connection.rollback(function() {
+                        connection.release();
+                        res.status(500).json({ error: 'Failed to reset password' });
+                    });
+                }
+
+                connection.beginTransaction(function(err) {
+                    if (err) {
+                        connection.release();
+                        console.error('Transaction error:', err);
+                        return res.status(500).json({ error: 'Server error' });
+                    }
+
+                    resets.consumeReset(connection, req.body.token, function(err, username) {
+                        if (err) {
+                            return fail('Password reset query error:', err);
+                        }
+
+                        if (!username) {
+                            return connection.rollback(function() {
+                                connection.release();
+                                res.status(400).json({ error: 'This reset link is invalid or has expired' });
+                            });
+                        }
+
+                        var updateQuery = 'UPDATE user SET password = ? WHERE username = ?;';
+
+                        connection.query(updateQuery, [hash, username], function(err) {
+                            if (err) {
+                                return fail('Update error:', err);
+                            }
+
+                            connection.commit(function(err) {
+                                if (err) {
+                                    return fail('Commit error:', err);
+                                }
+
+                                // Proving access to the email address unlocks the account
+                                lockouts.clearLockout(connection, username, function(err) {
+                                    connection.release();
+
+                                    if (err) {
+                                        console.error('Lockout clear error:', err);
+                                    }
+
+                                    sessions.endUserSessions(req.sessionStore, username, function(err) {
+                                        if (err) {
+                                            console.error('Session end error:', err);
+                                        }
+
+                                        res.json({ success: true, message: 'Your password has been reset. Please log in.' });
+                                    });
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    }
+);
+
+/**
+ * Two-factor Role Middleware
+ *
+ * Only managers and admins can set up two-factor authentication. This is
+ * checked here rather than with requireRole, which turns away admins
+ * until they have set it up.
+ */
+function requireTwoFactorRole(req, res, next) {
+    if (!twofactor.ALLOWED_ROLES.includes(req.session.user.user_type)) {
+        return res.status(403).json({ error: 'Two-factor authentication is only available to managers and admins' });
+    }
+    next();
+}
+
+/**
+ * GET /users/two_factor
+ * Get the logged-in user's two-factor authentication status
+ *
+ * Returns:
+ * - enabled: whether two-factor authentication is on
+ * - required: whether the user's role must use it
+ * - recovery_codes_remaining: unused recovery codes, when it is on
+ */
+router.get('/two_factor', requireAuth, requireTwoFactorRole, function(req, res, next) {
+    var user = req.session.user;
+
+    req.pool.getConnection(function(err, connection) {
+        if (err) {
+            console.error('Database connection error:', err);
+            return res.status(500).json({ error: 'Server error' });
+        }
+
+        var query = 'SELECT totp_enabled FROM user WHERE username = ?;';
+
+        connection.query(query, [user.username], function(err, rows) {
+            if (err) {
+                connection.release();
+                console.error('Query error:', err);
+                return res.status(500).json({ error: 'Server error' });
+            }
+
+            var enabled = rows.length > 0 && Boolean(rows[0].totp_enabled);
+            var status = {
+                enabled: enabled,
+                required: twofactor.REQUIRED_ROLES.includes(user.user_type)
+            };
+
+            if (!enabled) {
+                connection.release();
+                return res.json(status);
+            }
+
+            twofactor.countRecoveryCodes(connection, user.username, function(err, remaining) {
+                connection.release();
+
+                if (err) {
+                    console.error('Query error:', err);
+                    return res.status(500).json({ error: 'Server error' });
+                }
+
+                status.recovery_codes_remaining = remaining;
+                res.json(status);
+            });
+        });
+    });
+});
+
+/**
+ * POST /users/two_factor/setup
+ * Start setting up two-factor authentication
+ *
+ * Creates a new secret for the user's authenticator app, returned as text
+ * and as a QR code to scan. Two-factor authentication is not turned on
+ * until a code from the app is confirmed with POST /users/two_factor/enable.
+ *
+ * Security features:
+ * - Requires authentication, as a manager or admin
+ * - Rate limited for write operations
+ */
+router.post('/two_factor/setup',
+    requireAuth,
+    requireTwoFactorRole,
+    security.writeLimiter,
+    function(req, res, next) {
+        var username = req.session.user.username;
+        var secret = totp.generateSecret();
+
+        req.pool.getConnection(function(err, connection) {
+            if (err) {
+                console.error('Database connection error:', err);
+                return res.status(500).json({ error: 'Server error' });
+            }
+
+            var updateQuery = 'UPDATE user SET totp_secret = ?, totp_last_step = NULL ' +
+                'WHERE username = ? AND totp_enabled = 0;';
+
+            connection.query(updateQuery, [secret, username], function(err, result) {
+                connection.release();
+
+                if (err) {
+                    console.error('Update error:', err);
+                    return res.status(500).json({ error: 'Failed to start two-factor setup' });
+                }
+
+                if (result.affectedRows === 0) {
+                    return res.status(409).json({ error: 'Two-factor authentication is already on' });
+                }
+
+                var url = totp.otpauthUrl(secret, username, twofactor.ISSUER);
+
+                qrcodes.dataUrl(url, function(err, qrCode) {
+                    if (err) {
+                        console.error('QR code render error:', err);
+                        return res.status(500).json({ error: 'Failed to render QR code' });
+                    }
+
+                    res.set('Cache-Control', 'no-store');
+                    res.json({ secret: secret, otpauth_url: url, qr_code: qrCode });
+                });
+            });
+        });
+    }
+);
+
+/**
+ * POST /users/two_factor/enable
+ * Turn on two-factor authentication
+ *
+ * Confirms the secret from POST /users/two_factor/setup with a code from
+ * the authenticator app, then issues recovery codes. The recovery codes
+ * are only ever shown in this response.
+ *
+ * Security features:
+ * - Requires authentication, as a manager or admin
+ * - Rate limited for write operations
+ */
+router.post('/two_factor/enable',
+    requireAuth,
+    requireTwoFactorRole,
+    security.writeLimiter,
+    security.rejectUnexpectedFields(ALLOWED_FIELDS.twoFactorEnable),
+    validation.twoFactorEnableValidation,
+    function(req, res, next) {
+        var username = req.session.user.username;
+
+        req.pool.getConnection(function(err, connection) {
+            if (err) {
+                console.error('Database connection error:', err);
+                return res.status(500).json({ error: 'Server error' });
+            }
+
+            // Roll back, release the connection and report a server error
+            function fail(message, err) {
+                console.error(message, err);
+                connection.rollback(function() {
+                    connection.release();
+                    res.status(500).json({ error: 'Failed to turn on two-factor authentication' });
+                });
+            }
+
+            // Roll back, release the connection and refuse the request
+            function refuse(status, message) {
+                connection.rollback(function() {
+                    connection.release();
+                    res.status(status).json({ error: message });
+                });
+            }
+
+            connection.beginTransaction(function(err) {
+                if (err) {
+                    connection.release();
+                    console.error('Transaction error:', err);
+                    return res.status(500).json({ error: 'Server error' });
+                }
+
+                var query = 'SELECT totp_secret, totp_enabled FROM user WHERE username = ? FOR UPDATE;';
+
+                connection.query(query, [username], function(err, rows) {
+                    if (err) {
+                        return fail('Query error:', err);
+                    }
+
+                    if (rows.length === 0 || !rows[0].totp_secret) {
+                        return refuse(400, 'Start two-factor setup first');
+                    }
+
+                    if (rows[0].totp_enabled) {
+                        return refuse(409, 'Two-factor authentication is already on');
+                    }
+
+                    var step = totp.verify(rows[0].totp_secret, req.body.code, null);
+                    if (step === null) {
+                        return refuse(400, 'Invalid authentication code');
+                    }
+
+                    var updateQuery = 'UPDATE user SET totp_enabled = 1, totp_last_step = ? WHERE username = ?;';
+
+                    connection.query(updateQuery, [step, username], function(err) {
+                        if (err) {
+                            return fail('Update error:', err);
+                        }
+
+                        twofactor.issueRecoveryCodes(connection, username, function(err, codes) {
+                            if (err) {
+                                return fail('Recovery code error:', err);
+                            }
+
+                            connection.commit(function(err) {
+                                if (err) {
+                                    return fail('Commit error:', err);
+                                }
+
+                                connection.release();
+                                req.session.user.totp_enabled = true;
+
+                                res.set('Cache-Control', 'no-store');
+                                res.json({ success: true, recovery_codes: codes });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    }
+);
+
+/**
+ * POST /users/two_factor/disable
+ * Turn off two-factor authentication
+ *
+ * Not allowed for roles that must use it (admins). Any role can turn it
+ * off, so a user moved out of the manager role is not left with it.
+ *
+ * Security features:
+ * - Requires authentication and the current password
+ * - Rate limited: 3 sensitive operations per hour
+ */
+router.post('/two_factor/disable',
+    requireAuth,
+    security.sensitiveOpLimiter,
+    security.rejectUnexpectedFields(ALLOWED_FIELDS.twoFactorDisable),
+    validation.currentPasswordValidation,
+    function(req, res, next) {
+        var user = req.session.user;
+
+        if (twofactor.REQUIRED_ROLES.includes(user.user_type)) {
+            return res.status(403).json({ error: 'Two-factor authentication is required for this account' });
+        }
+
+        req.pool.getConnection(function(err, connection) {
+            if (err) {
+                console.error('Database connection error:', err);
+                return res.status(500).json({ error: 'Server error' });
+            }
+
+            checkPassword(connection, user.username, req.body.current_password, function(err, match) {
+                if (err) {
+                    connection.release();
+                    console.error('Password check error:', err);
+                    return res.status(500).json({ error: 'Server error' });
+                }
+
+                if (!match) {
+                    connection.release();
+                    return res.status(401).json({ error: 'Current password is incorrect' });
+                }
+
+                var updateQuery = 'UPDATE user SET totp_enabled = 0, totp_secret = NULL, totp_last_step = NULL ' +
+                    'WHERE username = ?;';
+
+                connection.query(updateQuery, [user.username], function(err) {
+                    if (err) {
+                        connection.release();
+                        console.error('Update error:', err);
+                        return res.status(500).json({ error: 'Failed to turn off two-factor authentication' });
+                    }
+
+                    var deleteQuery = 'DELETE FROM recovery_codes WHERE username = ?;';
+
+                    connection.query(deleteQuery, [user.username], function(err) {
+                        connection.release();
+
+                        if (err) {
+                            // Unused codes are harmless while two-factor authentication is off
+                            console.error('Recovery code delete error:', err);
+                        }
+
+                        req.session.user.totp_enabled = false;
+                        res.json({ success: true });
+                    });
+                });
+            });
+        });
+    }
+);
+
+/**
+ * POST /users/two_factor/recovery_codes
+ * Replace the logged-in user's recovery codes with a new set
+ *
+ * The old codes stop working. The new ones are only ever shown in this
+ * response.
+ *
+ * Security features:
+ * - Requires authentication and the current password
+ * - Rate limited: 3 sensitive operations per hour
+ */
+router.post('/two_factor/recovery_codes',
+    requireAuth,
+    security.sensitiveOpLimiter,
+    security.rejectUnexpectedFields(ALLOWED_FIELDS.recoveryCodes),
+    validation.currentPasswordValidation,
+    function(req, res, next) {
+        var username = req.session.user.username;
+
+        req.pool.getConnection(function(err, connection) {
+            if (err) {
+                console.error('Database connection error:', err);
+                return res.status(500).json({ error: 'Server error' });
+            }
+
+            checkPassword(connection, username, req.body.current_password, function(err, match) {
+                if (err) {
+                    connection.release();
+                    console.error('Password check error:', err);
+                    return res.status(500).json({ error: 'Server error' });
+                }
+
+                if (!match) {
+                    connection.release();
+                    return res.status(401).json({ error: 'Current password is incorrect' });
+                }
+
+                var query = 'SELECT totp_enabled FROM user WHERE username = ?;';
+
+                connection.query(query, [username], function(err, rows) {
+                    if (err) {
+                        connection.release();
+                        console.error('Query error:', err);
+                        return res.status(500).json({ error: 'Server error' });
+                    }
+
+                    if (rows.length === 0 || !rows[0].totp_enabled) {
+                        connection.release();
+                        return res.status(400).json({ error: 'Two-factor authentication is not on' });
+                    }
+
+                    twofactor.issueRecoveryCodes(connection, username, function(err, codes) {
+                        connection.release();
+
+                        if (err) {
+                            console.error('Recovery code error:', err);
+                            return res.status(500).json({ error: 'Failed to issue recovery codes' });
+                        }
+
+                        res.set('Cache-Control', 'no-store');
+                        res.json({ success: true, recovery_codes: codes });
+                    });
+                });
+            });
+        });
+    }
+);
+
+/**
+ * GET /users/sessions
+ * List the devices the current user is logged in on
+ *
+ * Each session has an id (for revoking it), a device description, the IP
+ * address it was last used from, when it was started and last seen, and
+ * whether it is the session making this request.
+ */
+router.get('/sessions', requireAuth, function(req, res, next) {
+    sessions.listUserSessions(req.sessionStore, req.session.user.username, req.sessionID, function(err, list) {
+        if (err) {
+            console.error('Query error:', err);
+            return res.status(500).json({ error: 'Failed to retrieve sessions' });
+        }
+
+        res.json(list);
+    });
+});
+
+/**
+ * POST /users/sessions/revoke_all
+ * Log the current user out on every other device
+ *
+ * The session making the request stays logged in.
+ *
+ * Security features:
+ * - Requires authentication
+ * - Rate limited for write operations
+ */
+router.post('/sessions/revoke_all',
+    requireAuth,
+    security.writeLimiter,
+    function(req, res, next) {
+        sessions.endOtherSessions(req.sessionStore, req.session.user.username, req.sessionID, function(err, count) {
+            if (err) {
+                console.error('Session end error:', err);
+                return res.status(500).json({ error: 'Failed to log out other devices' });
+            }
+
+            res.json({ success: true, sessions_ended: count });
+        });
+    }
+);
+
+/**
+ * POST /users/sessions/:id/revoke
+ * Log the current user out on one device
+ *
+ * Revoking the session making the request logs it out, like
+ * POST /users/logout.
+ *
+ * Security features:
+ * - Requires authentication
+ * - Rate limited for write operations
+ * - Only the user's own sessions can be revoked
+ */
+router.post('/sessions/:id/revoke',
+    requireAuth,
+    security.writeLimiter,
+    validation.idParamValidation,
+    function(req, res, next) {
+        sessions.endSession(req.sessionStore, req.session.user.username, req.params.id, function(err, sid) {
+            if (err) {
+                console.error('Session end error:', err);
+                return res.status(500).json({ error: 'Failed to revoke session' });
+            }
+
+            if (!sid) {
+                return res.status(404).json({ error: 'Session not found' });
+            }
+
+            if (sid !== req.sessionID) {
+                return res.json({ success: true, logged_out: false });
+            }
+
+            // Stop express-session saving the current session back afterwards
+            req.session.destroy(function(err) {
+                if (err) {
+                    console.error('Session destruction error:', err);
+                }
+                res.clearCookie('sessionId');
+                res.json({ success: true, logged_out: true });
+            });
+        });
+    }
+);
+
+/**
+ * POST /users/check_in
+ * Record a venue check-in for COVID contact tracing
+ *
+ * Security features:
+ * - Requires authentication
+ * - Rate limited for write operations
+ * - Input validation
+ * - Username taken from session (prevents impersonation)
+ * - Only codes belonging to an active, registered venue are accepted
+ *
+ * The user can bring any of their registered dependants, listed by id in
+ * dependants. Each person gets their own check-in row.
+ *
+ * If the venue is full, the check-in is refused when the venue enforces
+ * its capacity, and accepted with a warning otherwise. A group is refused
+ * unless there is room for all of it.
+ *
+ * The visit is timed by the server's clock (checked_in_at, in UTC). The
+ * date and time sent by the phone are stored alongside for reference only.
+ *
+ * Check-ins made while offline are queued by the browser and sent later
+ * with an offline_id and the occurred_at timestamp of the visit. One whose
+ * visit began more than a few minutes before it was sent is timed by
+ * occurred_at and marked as delayed; otherwise it is handled as a live
+ * check-in. A delayed visit that would still be going on is checked
+ * against the venue's capacity at the time it began, and only one that
+ * would already have ended skips the capacity check. Re-sending the same
+ * offline_id does not record it twice.
+ */
+router.post('/check_in',
+    requireAuth,
+    security.writeLimiter,
+    security.rejectUnexpectedFields(ALLOWED_FIELDS.checkIn),
+    validation.checkInValidation,
+    function(req, res, next) {
+        var checkInCode = req.body.check_in;
+        var date = req.body.date;
+        var time = req.body.time;
+        var offlineId = req.body.offline_id || null;
+        var occurredAt = offlineId !== null ? new Date(req.body.occurred_at) : null;
+        var delayed = occurredAt !== null && occurredAt.getTime() < Date.now() - DELAYED_CHECK_IN_MS;
+        var username = req.session.user.username;
+        var dependantIds = Array.from(new Set(req.body.dependants || []));
+
+        req.pool.getConnection(function(err, connection) {
+            if (err) {
+                console.error('Database connection error:', err);
+                return res.status(500).json({ error: 'Server error' });
+            }
+
+            var visitedAt = delayed ? occurredAt : null;
+
+            venues.resolveCheckInCode(connection, checkInCode, visitedAt, function(err, venue) {
+                if (err) {
+                    connection.release();
+                    console.error('Query error:', err);
+                    return res.status(500).json({ error: 'Check-in failed' });
+                }
+
+                if (!venue) {
+                    connection.release();
+                    return res.status(404).json({
+                        error: 'Unknown venue',
+                        message: 'No active venue is registered with that check-in code'
+                    });
+                }
+
+                dependants.findDependants(connection, username, dependantIds, function(err, group) {
+                    if (err) {
+                        connection.release();
+                        console.error('Query error:', err);
+                        return res.status(500).json({ error: 'Check-in failed' });
+                    }
+
+                    if (group.length !== dependantIds.length) {
+                        connection.release();
+                        return res.status(404).json({ error: 'Unknown dependant' });
+                    }
+
+                    // One row per person. The offline_id goes on the user's own row
+                    // only, and all rows go in one statement, so a re-sent offline
+                    // check-in is rejected as a whole.
+                    var checkedInAt = visitedAt || new Date();
+                    var rows = [[venue.check_in_code, date, time, username, delayed, offlineId, checkedInAt, null]];
+                    group.forEach(function(dependant) {
+                        rows.push([venue.check_in_code, date, time, username, delayed, null, checkedInAt,
+                            dependant.dependant_id]);
+                    });
+
+                    // The capacity check and the insert share a transaction that
+                    // locks the venue, so simultaneous check-ins can't overfill it
+                    connection.beginTransaction(function(err) {
+                        if (err) {
+                            connection.release();
+                            console.error('Transaction error:', err);
+                            return res.status(500).json({ error: 'Check-in failed' });
+                        }
+
+                        // Roll back, release the connection and report a server error
+                        function fail(message, err) {
+                            console.error(message, err);
+                            connection.rollback(function() {
+                                connection.release();
+                                res.status(500).json({ error: 'Check-in failed' });
+                            });
+                        }
+
+                        function recordCheckIn(full) {
+                            // Always record the venue's current code, so visits made with a
+                            // code that is being rotated out still match for tracing
+                            var query = 'INSERT INTO check_ins (check_in_code, date_, time_, username, is_delayed, ' +
+                                'offline_id, checked_in_at, dependant_id) VALUES ?;';
+
+                            connection.query(query, [rows], function(err, result) {
+                                // An offline check-in that was already synced before
+                                if (err && err.code === 'ER_DUP_ENTRY' && offlineId !== null) {
+                                    return connection.rollback(function() {
+                                        connection.release();
+                                        res.json({
+                                            success: true,
+                                            venue_name: venue.venue_name,
+                                            delayed: delayed,
+                                            message: 'Check-in already recorded'
+                                        });
+                                    });
+                                }
+
+                                if (err) {
+                                    return fail('Insert error:', err);
+                                }
+
+                                connection.commit(function(err) {
+                                    if (err) {
+                                        return fail('Commit error:', err);
+                                    }
+
+                                    connection.release();
+
+                                    var response = {
+                                        success: true,
+                                        venue_name: venue.venue_name,
+                                        delayed: delayed,
+                                        people: rows.length,
+                                        message: 'Check-in recorded successfully'
+                                    };
+
+                                    // Otherwise the check-in is accepted with a warning
+                                    if (full) {
+                                        response.warning = 'This venue is at or over its COVID-safe capacity';
+                                    }
+
+                                    res.status(201).json(response);
+                                });
+                            });
+                        }
+
+                        // A delayed visit that would have ended by now, at the venue's
+                        // maximum stay, can no longer add to the crowd
+                        var maxStayMs = (venue.max_stay_minutes || checkins.DEFAULT_MAX_STAY_MINUTES) * 60 * 1000;
+                        if (delayed && visitedAt.getTime() + maxStayMs <= Date.now()) {
+                            return recordCheckIn(false);
+                        }
+
+                        venues.lockCapacityStatus(connection, venue, visitedAt, function(err, status) {
+                            if (err) {
+                                return fail('Query error:', err);
+                            }
+
+                            // The whole group has to fit
+                            var full = status.capacity !== null && status.occupancy + rows.length > status.capacity;
+
+                            // Venues that enforce their capacity turn visitors away when full
+                            if (full && status.enforce) {
+                                return connection.rollback(function() {
+                                    connection.release();
+                                    res.status(409).json({
+                                        error: 'Venue is at capacity',
+                                        occupancy: status.occupancy,
+                                        capacity: status.capacity
+                                    });
+                                });
+                            }
+
+                            recordCheckIn(full);
+                        });
+                    });
+                });
+            });
+        });
+    }
+);
+
+/**
+ * POST /users/guest_check_in
+ * Record a check-in for a visitor without an account
+ *
+ * Guests give a name and phone number instead of logging in. The check-in
+ * has no username and is marked with is_guest, and contact tracing uses
+ * the phone number to reach the guest. Guests cannot check out, so their
+ * visits end after the venue's maximum stay.
+ *
+ * Security features:
+ * - Rate limited for write operations (per IP address, as there is no session)
+ * - Input validation
+ * - Only codes belonging to an active, registered venue are accepted
+ */
+router.post('/guest_check_in',
+    security.writeLimiter,
+    security.rejectUnexpectedFields(ALLOWED_FIELDS.guestCheckIn),
+    validation.guestCheckInValidation,
+    function(req, res, next) {
+        var checkInCode = req.body.check_in;
+
+        req.pool.getConnection(function(err, connection) {
+            if (err) {
+                console.error('Database connection error:', err);
+                return res.status(500).json({ error: 'Server error' });
+            }
+
+            venues.resolveCheckInCode(connection, checkInCode, null, function(err, venue) {
+                if (err) {
+                    connection.release();
+                    console.error('Query error:', err);
+                    return res.status(500).json({ error: 'Check-in failed' });
+                }
+
+                if (!venue) {
+                    connection.release();
+                    return res.status(404).json({
+                        error: 'Unknown venue',
+                        message: 'No active venue is registered with that check-in code'
+                    });
+                }
+
+                // The capacity check and the insert share a transaction that
+                // locks the venue, so simultaneous check-ins can't overfill it
+                connection.beginTransaction(function(err) {
+                    if (err) {
+                        connection.release();
+                        console.error('Transaction error:', err);
+                        return res.status(500).json({ error: 'Check-in failed' });
+                    }
+
+                    // Roll back, release the connection and report a server error
+                    function fail(message, err) {
+                        console.error(message, err);
+                        connection.rollback(function() {
+                            connection.release();
+                            res.status(500).json({ error: 'Check-in failed' });
+                        });
+                    }
+
+                    venues.lockCapacityStatus(connection, venue, null, function(err, status) {
+                        if (err) {
+                            return fail('Query error:', err);
+                        }
+
+                        // Venues that enforce their capacity turn visitors away when full
+                        if (status.full && status.enforce) {
+                            return connection.rollback(function() {
+                                connection.release();
+                                res.status(409).json({
+                                    error: 'Venue is at capacity',
+                                    occupancy: status.occupancy,
+                                    capacity: status.capacity
+                                });
+                            });
+                        }
+
+                        var query = 'INSERT INTO check_ins (check_in_code, date_, time_, checked_in_at, ' +
+                            'is_guest, guest_name, guest_phone) VALUES (?, ?, ?, UTC_TIMESTAMP(), 1, ?, ?);';
+                        var params = [
+                            venue.check_in_code,
+                            req.body.date,
+                            req.body.time,
+                            req.body.name,
+                            req.body.phone_number
+                        ];
+
+                        connection.query(query, params, function(err) {
+                            if (err) {
+                                return fail('Insert error:', err);
+                            }
+
+                            connection.commit(function(err) {
+                                if (err) {
+                                    return fail('Commit error:', err);
+                                }
+
+                                connection.release();
+
+                                var response = {
+                                    success: true,
+                                    venue_name: venue.venue_name,
+                                    guest: true,
+                                    message: 'Check-in recorded successfully'
+                                };
+
+                                // Otherwise the check-in is accepted with a warning
+                                if (status.full) {
+                                    response.warning = 'This venue is at or over its COVID-safe capacity';
+                                }
+
+                                res.status(201).json(response);
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    }
+);
+
+/**
+ * POST /users/check_out
+ * Record the end of a venue visit
+ *
+ * Closes the user's most recent open check-in, or the most recent open
+ * check-in at the given venue code when one is supplied, along with the
+ * dependants checked in with it. The check-out is
+ * timed by the server's clock; the phone's date and time are kept for
+ * reference. Visits that are never checked out are closed automatically
+ * after the venue's maximum stay (see lib/checkins.js).
+ *
+ * Security features:
+ * - Requires authentication
+ * - Rate limited for write operations
+ * - Input validation
+ * - Only the authenticated user's check-ins can be closed
+ */
+router.post('/check_out',
+    requireAuth,
+    security.writeLimiter,
+    security.rejectUnexpectedFields(ALLOWED_FIELDS.checkOut),
+    validation.checkOutValidation,
+    function(req, res, next) {
+        var checkInCode = req.body.check_in || null;
+        var date = req.body.date;
+        var time = req.body.time;
+        var username = req.session.user.username;
+
+        req.pool.getConnection(function(err, connection) {
+            if (err) {
+                console.error('Database connection error:', err);
+                return res.status(500).json({ error: 'Server error' });
+            }
+
+            var query = 'SELECT ci.check_in_code, ci.checked_in_at FROM check_ins ci ' +
+                'WHERE ci.username = ? AND ci.checked_out_at IS NULL ';
+            var params = [username];
+
+            if (checkInCode) {
+                query += 'AND ci.check_in_code = ? ';
+                params.push(checkInCode);
+            }
+
+            query += 'ORDER BY ci.checked_in_at DESC LIMIT 1;';
+
+            connection.query(query, params, function(err, rows) {
+                if (err) {
+                    connection.release();
+                    console.error('Query error:', err);
+                    return res.status(500).json({ error: 'Server error' });
+                }
+
+                if (rows.length === 0) {
+                    connection.release();
+                    return res.status(404).json({ error: 'No open check-in found' });
+                }
+
+                // GREATEST keeps the visit from ending before it began when a
+                // delayed check-in's timestamp came from a phone running fast
+                // Dependants checked in together share the visit's checked_in_at,
+                // so the whole group is checked out at once
+                var updateQuery = 'UPDATE check_ins SET checked_out_at = GREATEST(UTC_TIMESTAMP(), checked_in_at), ' +
+                    'date_out = ?, time_out = ? ' +
+                    'WHERE username = ? AND check_in_code = ? AND checked_in_at = ? AND checked_out_at IS NULL;';
+                var updateParams = [date, time, username, rows[0].check_in_code, rows[0].checked_in_at];
+
+                connection.query(updateQuery, updateParams, function(err, result) {
+                    connection.release();
+
+                    if (err) {
+                        console.error('Update error:', err);
+                        return res.status(500).json({ error: 'Check-out failed' });
+                    }
+
+                    res.json({
+                        success: true,
+                        check_in_code: rows[0].check_in_code,
+                        people: result.affectedRows,
+                        message: 'Check-out recorded successfully'
+                    });
+                });
+            });
+        });
+    }
+);
+
+/**
+ * POST /users/history
+ * Get the current user's check-in history
+ *
+ * Times are shown in the local time of the venue visited, given by
+ * time_zone. is_delayed marks check-ins that were made offline and
+ * synced later. Check-ins of the user's dependants are included, with
+ * the dependant's name in dependant.
+ *
+ * Security features:
+ * - Requires authentication
+ * - Only returns data for the authenticated user
+ */
+router.post('/history', requireAuth, function(req, res, next) {
+    var username = req.session.user.username;
 
-        var query = 'SELECT check_in_code, date_, time_ FROM check_ins WHERE username = ? ORDER BY date_ DESC, time_ DESC;';
+    req.pool.getConnection(function(err, connection) {
+        if (err) {
+            console.error('Database connection error:', err);
+            return res.status(500).json({ error: 'Server error' });
+        }
+
+        var query = 'SELECT ci.check_in_code, ci.checked_in_at, ci.checked_out_at, ci.auto_checked_out, ci.is_delayed, ' +
+            'v.timezone, d.given_name, d.family_name FROM check_ins ci ' +
+            'LEFT JOIN venue v ON ' + venues.checkInsAtVenue('ci', 'v') + ' ' +
+            'LEFT JOIN dependants d ON d.dependant_id = ci.dependant_id ' +
+            'WHERE ci.username = ? ORDER BY ci.checked_in_at DESC, ci.dependant_id;';
 
         connection.query(query, [username], function(err, rows) {
             connection.release();
@@ -381,9 +1845,373 @@ router.post('/history', requireAuth, function(req, res, next) {
                 return res.status(500).json({ error: 'Failed to retrieve history' });
             }
 
+            res.json(rows.map(function(row) {
+                var timeZone = row.timezone || timezones.DEFAULT_TIMEZONE;
+                var visit = checkins.localVisit(row.checked_in_at, row.checked_out_at, timeZone);
+
+                return {
+                    check_in_code: row.check_in_code,
+                    date_: visit.date_,
+                    time_: visit.time_,
+                    date_out: visit.date_out,
+                    time_out: visit.time_out,
+                    time_zone: timeZone,
+                    auto_checked_out: row.auto_checked_out,
+                    is_delayed: row.is_delayed,
+                    dependant: row.given_name ? row.given_name + ' ' + row.family_name : null
+                };
+            }));
+        });
+    });
+});
+
+/**
+ * GET /users/dependants
+ * List the dependants the current user can check in with them
+ *
+ * Security features:
+ * - Requires authentication
+ * - Only returns the authenticated user's dependants
+ */
+router.get('/dependants', requireAuth, function(req, res, next) {
+    var username = req.session.user.username;
+
+    req.pool.getConnection(function(err, connection) {
+        if (err) {
+            console.error('Database connection error:', err);
+            return res.status(500).json({ error: 'Server error' });
+        }
+
+        dependants.listDependants(connection, username, function(err, rows) {
+            connection.release();
+
+            if (err) {
+                console.error('Query error:', err);
+                return res.status(500).json({ error: 'Failed to retrieve dependants' });
+            }
+
             res.json(rows);
         });
     });
 });
 
+/**
+ * POST /users/dependants
+ * Register a dependant, such as a child, on the current user's profile
+ *
+ * Security features:
+ * - Requires authentication
+ * - Rate limited for write operations
+ * - Input validation
+ * - The dependant is always added to the authenticated user
+ */
+router.post('/dependants',
+    requireAuth,
+    security.writeLimiter,
+    security.rejectUnexpectedFields(ALLOWED_FIELDS.dependant),
+    validation.dependantValidation,
+    function(req, res, next) {
+        var username = req.session.user.username;
+
+        req.pool.getConnection(function(err, connection) {
+            if (err) {
+                console.error('Database connection error:', err);
+                return res.status(500).json({ error: 'Server error' });
+            }
+
+            var query = 'INSERT INTO dependants (username, given_name, family_name, phone_number, email_address) ' +
+                'VALUES (?, ?, ?, ?, ?);';
+            var params = [
+                username,
+                req.body.given_name,
+                req.body.family_name,
+                req.body.phone_number || null,
+                req.body.email || null
+            ];
+
+            connection.query(query, params, function(err, result) {
+                connection.release();
+
+                if (err) {
+                    console.error('Insert error:', err);
+                    return res.status(500).json({ error: 'Failed to add dependant' });
+                }
+
+                res.status(201).json({
+                    success: true,
+                    dependant_id: result.insertId,
+                    message: 'Dependant added successfully'
+                });
+            });
+        });
+    }
+);
+
+/**
+ * DELETE /users/dependants/:id
+ * Remove a dependant from the current user's profile
+ *
+ * The dependant is deactivated rather than deleted, so check-ins already
+ * made with them can still be traced.
+ *
+ * Security features:
+ * - Requires authentication
+ * - Rate limited for write operations
+ * - The dependant must belong to the authenticated user
+ */
+router.delete('/dependants/:id',
+    requireAuth,
+    security.writeLimiter,
+    validation.idParamValidation,
+    function(req, res, next) {
+        var username = req.session.user.username;
+
+        req.pool.getConnection(function(err, connection) {
+            if (err) {
+                console.error('Database connection error:', err);
+                return res.status(500).json({ error: 'Server error' });
+            }
+
+            var query = 'UPDATE dependants SET active = 0 WHERE dependant_id = ? AND username = ? AND active = 1;';
+
+            connection.query(query, [req.params.id, username], function(err, result) {
+                connection.release();
+
+                if (err) {
+                    console.error('Update error:', err);
+                    return res.status(500).json({ error: 'Failed to remove dependant' });
+                }
+
+                if (result.affectedRows === 0) {
+                    return res.status(404).json({ error: 'Dependant not found' });
+                }
+
+                res.json({ success: true, message: 'Dependant removed' });
+            });
+        });
+    }
+);
+
+/**
+ * POST /users/positive_report
+ * Report a positive COVID-19 test
+ *
+ * The report is queued for admin review. Exposure matching only runs
+ * once an admin confirms it (see POST /admin/positive_reports/:id/confirm).
+ *
+ * Security features:
+ * - Requires authentication
+ * - Rate limited for write operations
+ * - Input validation
+ * - Username taken from session (prevents reporting for others)
+ */
+router.post('/positive_report',
+    requireAuth,
+    security.writeLimiter,
+    security.rejectUnexpectedFields(ALLOWED_FIELDS.positiveReport),
+    validation.positiveReportValidation,
+    function(req, res, next) {
+        var username = req.session.user.username;
+        var testDate = req.body.test_date;
+        var onsetDate = req.body.onset_date || null;
+
+        req.pool.getConnection(function(err, connection) {
+            if (err) {
+                console.error('Database connection error:', err);
+                return res.status(500).json({ error: 'Server error' });
+            }
+
+            // Only one report per user may be awaiting review at a time
+            var checkQuery = "SELECT report_id FROM positive_reports WHERE username = ? AND status = 'pending';";
+
+            connection.query(checkQuery, [username], function(err, rows) {
+                if (err) {
+                    connection.release();
+                    console.error('Query error:', err);
+                    return res.status(500).json({ error: 'Server error' });
+                }
+
+                if (rows.length > 0) {
+                    connection.release();
+                    return res.status(409).json({ error: 'You already have a report awaiting review' });
+                }
+
+                var insertQuery = 'INSERT INTO positive_reports (username, test_date, onset_date) VALUES (?, ?, ?);';
+
+                connection.query(insertQuery, [username, testDate, onsetDate], function(err, result) {
+                    connection.release();
+
+                    if (err) {
+                        console.error('Insert error:', err);
+                        return res.status(500).json({ error: 'Failed to submit report' });
+                    }
+
+                    res.status(201).json({
+                        success: true,
+                        report_id: result.insertId,
+                        message: 'Report submitted for review'
+                    });
+                });
+            });
+        });
+    }
+);
+
+/**
+ * GET /users/positive_report
+ * Get the status of the current user's most recent positive test report
+ *
+ * Security features:
+ * - Requires authentication
+ * - Only returns data for the authenticated user
+ */
+router.get('/positive_report', requireAuth, function(req, res, next) {
+    var username = req.session.user.username;
+
+    req.pool.getConnection(function(err, connection) {
+        if (err) {
+            console.error('Database connection error:', err);
+            return res.status(500).json({ error: 'Server error' });
+        }
+
+        var query = "SELECT report_id, DATE_FORMAT(test_date, '%Y-%m-%d') AS test_date, " +
+            "DATE_FORMAT(onset_date, '%Y-%m-%d') AS onset_date, status, reported_at " +
+            'FROM positive_reports WHERE username = ? ORDER BY report_id DESC LIMIT 1;';
+
+        connection.query(query, [username], function(err, rows) {
+            connection.release();
+
+            if (err) {
+                console.error('Query error:', err);
+                return res.status(500).json({ error: 'Failed to retrieve report' });
+            }
+
+            res.json(rows.length > 0 ? rows[0] : null);
+        });
+    });
+});
+
+/**
+ * GET /users/notifications
+ * Get the current user's notification inbox
+ *
+ * Returns the most recent notifications along with the unread count,
+ * which the frontend shows as a badge next to the account dropdown.
+ *
+ * Security features:
+ * - Requires authentication
+ * - Only returns data for the authenticated user
+ */
+router.get('/notifications', requireAuth, function(req, res, next) {
+    var username = req.session.user.username;
+
+    req.pool.getConnection(function(err, connection) {
+        if (err) {
+            console.error('Database connection error:', err);
+            return res.status(500).json({ error: 'Server error' });
+        }
+
+        var query = 'SELECT n_id, message, created_at, read_at FROM notifications ' +
+            'WHERE username = ? ORDER BY created_at DESC, n_id DESC LIMIT 50;';
+
+        connection.query(query, [username], function(err, rows) {
+            if (err) {
+                connection.release();
+                console.error('Query error:', err);
+                return res.status(500).json({ error: 'Failed to retrieve notifications' });
+            }
+
+            var countQuery = 'SELECT COUNT(*) AS unread FROM notifications WHERE username = ? AND read_at IS NULL;';
+
+            connection.query(countQuery, [username], function(err, countRows) {
+                connection.release();
+
+                if (err) {
+                    console.error('Query error:', err);
+                    return res.status(500).json({ error: 'Failed to retrieve notifications' });
+                }
+
+                res.json({
+                    unread: countRows[0].unread,
+                    notifications: rows
+                });
+            });
+        });
+    });
+});
+
+/**
+ * POST /users/notifications/read_all
+ * Mark all of the current user's notifications as read
+ *
+ * Security features:
+ * - Requires authentication
+ * - Only affects the authenticated user's notifications
+ */
+router.post('/notifications/read_all', requireAuth, function(req, res, next) {
+    var username = req.session.user.username;
+
+    req.pool.getConnection(function(err, connection) {
+        if (err) {
+            console.error('Database connection error:', err);
+            return res.status(500).json({ error: 'Server error' });
+        }
+
+        var query = 'UPDATE notifications SET read_at = CURRENT_TIMESTAMP WHERE username = ? AND read_at IS NULL;';
+
+        connection.query(query, [username], function(err, result) {
+            connection.release();
+
+            if (err) {
+                console.error('Update error:', err);
+                return res.status(500).json({ error: 'Failed to update notifications' });
+            }
+
+            res.json({ success: true, updated: result.affectedRows });
+        });
+    });
+});
+
+/**
+ * POST /users/notifications/:id/read
+ * Mark a single notification as read
+ *
+ * Security features:
+ * - Requires authentication
+ * - The notification must belong to the authenticated user
+ */
+router.post('/notifications/:id/read',
+    requireAuth,
+    validation.idParamValidation,
+    function(req, res, next) {
+        var username = req.session.user.username;
+        var notificationId = req.params.id;
+
+        req.pool.getConnection(function(err, connection) {
+            if (err) {
+                console.error('Database connection error:', err);
+                return res.status(500).json({ error: 'Server error' });
+            }
+
+            var query = 'UPDATE notifications SET read_at = COALESCE(read_at, CURRENT_TIMESTAMP) ' +
+                'WHERE n_id = ? AND username = ?;';
+
+            connection.query(query, [notificationId, username], function(err, result) {
+                connection.release();
+
+                if (err) {
+                    console.error('Update error:', err);
+                    return res.status(500).json({ error: 'Failed to update notification' });
+                }
+
+                if (result.affectedRows === 0) {
+                    return res.status(404).json({ error: 'Notification not found' });
+                }
+
+                res.json({ success: true });
+            });
+        });
+    }
+);
+
 module.exports = router;
@@ -0,0 +1,57 @@
+/**
+ * Saving sessions: new ones are inserted, stored ones are only updated
+ * so an ended session is never brought back
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+
+var MySQLStore = require('../lib/sessionstore').MySQLStore;
+
+/**
+ * Pool holding one stored session, recording each query it is sent
+ *
+ * @returns {Object} Pool with the queries sent in .queries
+ */
+function fakePool() {
+    return {
+        queries: [],
+        query: function(sql, params, callback) {
+            this.queries.push(sql);
+            if (/^SELECT/.test(sql)) {
+                return callback(null, [{ data: JSON.stringify({ cookie: {}, user: { username: 'alice' } }) }]);
+            }
+            callback(null, { affectedRows: 0 });
+        }
+    };
+}
+
+test('a new session is inserted', function(t, done) {
+    var pool = fakePool();
+    var store = new MySQLStore(pool);
+
+    store.set('new-sid', { cookie: {}, user: { username: 'alice' } }, function(err) {
+        assert.ifError(err);
+        assert.match(pool.queries[0], /^INSERT INTO sessions /);
+        assert.doesNotMatch(pool.queries[0], /ON DUPLICATE KEY/);
+        done();
+    });
+});
+
+test('a session loaded from the store is only updated', function(t, done) {
+    var pool = fakePool();
+    var store = new MySQLStore(pool);
+
+    store.load('old-sid', function(err, sess) {
+        assert.ifError(err);
+
+        // Ended elsewhere while this request ran: the UPDATE finds no row
+        store.set('old-sid', sess, function(err) {
+            assert.ifError(err);
+            assert.match(pool.queries[1], /^UPDATE sessions SET /);
+            assert.strictEqual(pool.queries.length, 2);
+            assert.ok(!('storedInDatabase' in JSON.parse(JSON.stringify(sess))));
+            done();
+        });
+    });
+});
@@ -0,0 +1,50 @@
+/**
+ * Whole-number settings read from the environment
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+
+var settings = require('../lib/settings');
+
+var NAME = 'COVIDWATCH_TEST_SETTING';
+
+/**
+ * Read the test setting with a given value, silencing the warning
+ *
+ * @param {string|undefined} value - Environment value
+ * @returns {number} The setting
+ */
+function read(value) {
+    var warn = console.warn;
+    console.warn = function() {};
+
+    if (value === undefined) {
+        delete process.env[NAME];
+    } else {
+        process.env[NAME] = value;
+    }
+
+    try {
+        return settings.wholeNumber(NAME, 30, 1, 3650);
+    } finally {
+        console.warn = warn;
+        delete process.env[NAME];
+    }
+}
+
+test('valid whole numbers are used', function() {
+    assert.strictEqual(read('7'), 7);
+    assert.strictEqual(read(' 90 '), 90);
+});
+
+test('unset or empty settings use the default', function() {
+    assert.strictEqual(read(undefined), 30);
+    assert.strictEqual(read(''), 30);
+});
+
+test('negative, fractional, out of range and non-numeric values use the default', function() {
+    ['-5', '0.5', '0', '1e3', '10days', '99999'].forEach(function(value) {
+        assert.strictEqual(read(value), 30, value);
+    });
+});
@@ -0,0 +1,85 @@
+/**
+ * Contact tracing across a venue code rotation
+ *
+ * The exposure query runs in MySQL, so these tests check the SQL it is
+ * built from and how its rows are reported, using a stand-in connection.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+
+var tracing = require('../lib/tracing');
+
+// A case who checked in under a venue's old code, and a contact who
+// checked in under the code it was rotated to, at the same time
+var CASE_VISIT = {
+    c_id: 10,
+    check_in_code: 'OLD234',
+    checked_in_at: new Date('2021-06-10T01:00:00Z'),
+    checked_out_at: new Date('2021-06-10T02:00:00Z')
+};
+
+var CONTACT_ROW = {
+    c_id: 11,
+    username: 'contact1',
+    given_name: 'Casey',
+    family_name: 'Contact',
+    email_address: 'casey@example.com',
+    check_in_code: 'NEW567',
+    checked_in_at: new Date('2021-06-10T01:30:00Z'),
+    checked_out_at: new Date('2021-06-10T03:00:00Z'),
+    dependant_id: null,
+    dependant_given_name: null,
+    dependant_family_name: null,
+    is_guest: 0,
+    guest_name: null,
+    guest_phone: null,
+    case_c_id: CASE_VISIT.c_id,
+    case_checked_in_at: CASE_VISIT.checked_in_at,
+    case_checked_out_at: CASE_VISIT.checked_out_at,
+    timezone: 'Australia/Adelaide'
+};
+
+/**
+ * Connection that records the exposure query and returns the given rows
+ *
+ * @param {Object[]} rows - Rows to return
+ * @returns {Object} Connection with the last query in .sql
+ */
+function fakeConnection(rows) {
+    return {
+        query: function(sql, params, callback) {
+            this.sql = sql;
+            callback(null, rows);
+        }
+    };
+}
+
+test('contacts are matched through the venue, not only the exact code', function(t, done) {
+    var connection = fakeConnection([]);
+
+    tracing.findExposures(connection, { username: 'case1', from: '2021-06-09', to: '2021-06-11' }, function(err) {
+        assert.ifError(err);
+
+        var join = connection.sql.slice(connection.sql.indexOf('INNER JOIN check_ins e'));
+        join = join.slice(0, join.indexOf('LEFT JOIN user'));
+
+        assert.match(join, /e\.check_in_code = v\.check_in_code/);
+        assert.match(join, /e\.check_in_code IN \(SELECT r\.check_in_code FROM retired_codes r WHERE r\.v_id = v\.v_id\)/);
+        done();
+    });
+});
+
+test('a contact under the new code is reported for a case under the retired code', function(t, done) {
+    var connection = fakeConnection([CONTACT_ROW]);
+
+    tracing.findExposures(connection, { username: 'case1', from: '2021-06-09', to: '2021-06-11' }, function(err, exposures) {
+        assert.ifError(err);
+        assert.strictEqual(exposures.length, 1);
+        assert.strictEqual(exposures[0].username, 'contact1');
+        assert.strictEqual(exposures[0].contacts.length, 1);
+        assert.strictEqual(exposures[0].contacts[0].check_in_code, 'NEW567');
+        assert.strictEqual(exposures[0].contacts[0].case_c_id, CASE_VISIT.c_id);
+        done();
+    });
+});